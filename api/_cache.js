@@ -0,0 +1,102 @@
+// In-memory response cache for the serverless proxy
+//
+// Lives for as long as the function instance stays warm. Entries are keyed by
+// normalized upstream URL; concurrent misses for one key share one upstream call.
+import crypto from 'crypto';
+import proxyConfig from './_config';
+
+const entries = new Map();
+const pending = new Map();
+
+/**
+ * Normalizes an upstream URL so equivalent requests share a cache entry
+ * @param {URL} url - Upstream URL
+ * @returns {string}
+ */
+export const cacheKey = (url) => {
+  const normalized = new URL(url.toString());
+  normalized.hostname = normalized.hostname.toLowerCase();
+  normalized.hash = '';
+  normalized.searchParams.sort();
+  return normalized.toString();
+};
+
+/**
+ * Looks up the cache TTL for an upstream URL
+ * @param {URL} url - Upstream URL
+ * @returns {number} - TTL in seconds; 0 means the response is not cached
+ */
+export const ttlFor = (url) => {
+  return proxyConfig.cacheTtl[url.pathname.replace(/\/+$/, '')] || 0;
+};
+
+/**
+ * Computes a strong ETag for a response body
+ * @param {Buffer} body - Response body
+ * @returns {string}
+ */
+export const etagFor = (body) => {
+  return `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+};
+
+/**
+ * Checks an If-None-Match header against an ETag
+ * @param {string} header - If-None-Match request header
+ * @param {string} etag - Current ETag
+ * @returns {boolean} - True if the client already has this version
+ */
+export const matchesEtag = (header, etag) => {
+  if (!header || !etag) return false;
+  if (header.trim() === '*') return true;
+  // Weak comparison, as RFC 7232 requires for If-None-Match
+  const strip = (tag) => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => strip(tag) === strip(etag));
+};
+
+/**
+ * Returns a cached response if it has not expired
+ * @param {string} key - Cache key
+ * @returns {Object|undefined} - { status, contentType, body, etag, expiresAt }
+ */
+export const getCached = (key) => {
+  const entry = entries.get(key);
+  if (!entry) return undefined;
+  if (entry.expiresAt <= Date.now()) {
+    entries.delete(key);
+    return undefined;
+  }
+  return entry;
+};
+
+/**
+ * Stores a response, evicting the oldest entries beyond the size limit
+ * @param {string} key - Cache key
+ * @param {Object} response - { status, contentType, body, etag }
+ * @param {number} ttl - TTL in seconds
+ * @returns {Object} - The stored entry
+ */
+export const setCached = (key, response, ttl) => {
+  const entry = { ...response, expiresAt: Date.now() + ttl * 1000 };
+  entries.delete(key);
+  entries.set(key, entry);
+  while (entries.size > proxyConfig.cacheMaxEntries) {
+    entries.delete(entries.keys().next().value);
+  }
+  return entry;
+};
+
+/**
+ * Runs `load` for a key unless a call for the same key is already running,
+ * in which case its result is shared
+ * @param {string} key - Cache key
+ * @param {Function} load - () => Promise
+ * @returns {Promise}
+ */
+export const coalesce = (key, load) => {
+  if (pending.has(key)) return pending.get(key);
+  const promise = Promise.resolve()
+    .then(load)
+    .finally(() => pending.delete(key));
+  pending.set(key, promise);
+  return promise;
+};
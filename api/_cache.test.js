@@ -0,0 +1,180 @@
+/**
+ * @jest-environment node
+ */
+import handler from './proxy';
+import proxyConfig from './_config';
+import { cacheKey, coalesce, etagFor, getCached, matchesEtag, setCached, ttlFor } from './_cache';
+import { proxyRequest, proxyResponse, upstreamResponse } from './_testUtils';
+
+const API = 'https://sg-bus-data-api.vercel.app';
+const NOW = Date.parse('2024-01-01T08:00:00Z');
+
+const entry = (body) => ({ status: 200, contentType: 'application/json', body: Buffer.from(body), etag: etagFor(Buffer.from(body)) });
+
+let keyCount = 0;
+const uniqueKey = () => `${API}/api/test/${++keyCount}`;
+
+let now;
+beforeEach(() => {
+  now = NOW;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('cache keys and TTLs', () => {
+  test('treat equivalent URLs alike', () => {
+    expect(cacheKey(new URL(`${API}/api/arrivals?b=2&a=1#top`)))
+      .toBe(cacheKey(new URL('https://SG-BUS-DATA-API.vercel.app/api/arrivals?a=1&b=2')));
+  });
+
+  test('come from the configured path', () => {
+    expect(ttlFor(new URL(`${API}/api/arrivals/`))).toBe(15);
+    expect(ttlFor(new URL(`${API}/api/other`))).toBe(0);
+  });
+});
+
+describe('getCached and setCached', () => {
+  test('expire entries after their TTL', () => {
+    const key = uniqueKey();
+    setCached(key, entry('{}'), 15);
+
+    now += 14999;
+    expect(getCached(key)).toMatchObject({ status: 200, expiresAt: NOW + 15000 });
+    now += 1;
+    expect(getCached(key)).toBeUndefined();
+  });
+
+  test('evict the oldest entries beyond cacheMaxEntries', () => {
+    const { cacheMaxEntries } = proxyConfig;
+    proxyConfig.cacheMaxEntries = 2;
+    try {
+      const [first, second, third] = [uniqueKey(), uniqueKey(), uniqueKey()];
+      setCached(first, entry('1'), 60);
+      setCached(second, entry('2'), 60);
+      // Storing again makes an entry the newest
+      setCached(first, entry('1'), 60);
+      setCached(third, entry('3'), 60);
+
+      expect(getCached(second)).toBeUndefined();
+      expect(getCached(first)).toBeDefined();
+      expect(getCached(third)).toBeDefined();
+    } finally {
+      proxyConfig.cacheMaxEntries = cacheMaxEntries;
+    }
+  });
+});
+
+describe('coalesce', () => {
+  test('shares one load between concurrent callers', async () => {
+    const key = uniqueKey();
+    const load = jest.fn(async () => 'data');
+
+    const results = await Promise.all([coalesce(key, load), coalesce(key, load)]);
+
+    expect(results).toEqual(['data', 'data']);
+    expect(load).toHaveBeenCalledTimes(1);
+  });
+
+  test('forgets a failed load', async () => {
+    const key = uniqueKey();
+    const load = jest.fn()
+      .mockRejectedValueOnce(new Error('down'))
+      .mockResolvedValueOnce('data');
+
+    await expect(coalesce(key, load)).rejects.toThrow('down');
+    await expect(coalesce(key, load)).resolves.toBe('data');
+  });
+});
+
+describe('matchesEtag', () => {
+  const etag = etagFor(Buffer.from('{}'));
+
+  test('accepts the same tag, weak or strong, alone or in a list', () => {
+    expect(matchesEtag(etag, etag)).toBe(true);
+    expect(matchesEtag(`W/${etag}`, etag)).toBe(true);
+    expect(matchesEtag(`"other", ${etag}`, etag)).toBe(true);
+    expect(matchesEtag(' * ', etag)).toBe(true);
+  });
+
+  test('rejects other tags and missing headers', () => {
+    expect(matchesEtag('"other"', etag)).toBe(false);
+    expect(matchesEtag(undefined, etag)).toBe(false);
+    expect(matchesEtag('*', undefined)).toBe(false);
+  });
+});
+
+describe('proxy cache', () => {
+  const send = async (request) => {
+    const res = proxyResponse();
+    await handler(request, res);
+    return res;
+  };
+
+  let stopCount = 10000;
+  const arrivalsRequest = (headers) => proxyRequest({
+    url: `${API}/api/arrivals`,
+    query: { busStopCode: String(stopCount) },
+    headers
+  });
+
+  beforeEach(() => {
+    stopCount++;
+    global.fetch = jest.fn(async () => upstreamResponse('{"success":true,"data":{"arrivals":[]}}'));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('shares one upstream fetch between concurrent misses', async () => {
+    const [first, second] = await Promise.all([send(arrivalsRequest()), send(arrivalsRequest())]);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(first.body).toEqual(second.body);
+  });
+
+  test('answers from the cache until the TTL runs out', async () => {
+    expect((await send(arrivalsRequest())).headers['x-cache']).toBe('MISS');
+
+    now += 10000;
+    const hit = await send(arrivalsRequest());
+    expect(hit.headers['x-cache']).toBe('HIT');
+    expect(hit.headers['cache-control']).toBe('public, max-age=5');
+
+    now += 5000;
+    expect((await send(arrivalsRequest())).headers['x-cache']).toBe('MISS');
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('answers If-None-Match with 304 Not Modified', async () => {
+    const { headers: { etag } } = await send(arrivalsRequest());
+
+    expect((await send(arrivalsRequest({ 'if-none-match': etag }))).statusCode).toBe(304);
+    expect((await send(arrivalsRequest({ 'if-none-match': `W/${etag}` }))).statusCode).toBe(304);
+    expect((await send(arrivalsRequest({ 'if-none-match': `"stale", ${etag}` }))).statusCode).toBe(304);
+    expect((await send(arrivalsRequest({ 'if-none-match': '*' }))).statusCode).toBe(304);
+    expect((await send(arrivalsRequest({ 'if-none-match': '"stale"' }))).statusCode).toBe(200);
+  });
+
+  test('does not cache failed responses', async () => {
+    global.fetch.mockResolvedValueOnce(upstreamResponse('{"success":false}', { status: 503 }));
+
+    expect((await send(arrivalsRequest())).statusCode).toBe(503);
+    const retried = await send(arrivalsRequest());
+
+    expect(retried.statusCode).toBe(200);
+    expect(retried.headers['x-cache']).toBe('MISS');
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not cache paths without a TTL', async () => {
+    await send(proxyRequest());
+    const again = await send(proxyRequest());
+
+    expect(again.headers['cache-control']).toBe('no-store');
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
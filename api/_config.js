@@ -0,0 +1,60 @@
+// Configuration for the serverless proxy (api/proxy.js)
+//
+// Files prefixed with an underscore are not deployed as functions by Vercel,
+// so this module is only importable by the other handlers.
+
+const list = (value, fallback) => {
+  if (!value) return fallback;
+  return value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+};
+
+const proxyConfig = {
+  // Upstream hosts the proxy may fetch from. Override with a comma-separated
+  // PROXY_ALLOWED_HOSTS environment variable.
+  allowedHosts: list(process.env.PROXY_ALLOWED_HOSTS, ['sg-bus-data-api.vercel.app']),
+
+  // Abort upstream requests that take longer than this (ms)
+  upstreamTimeout: Number(process.env.PROXY_UPSTREAM_TIMEOUT) || 10000,
+
+  // Refuse upstream responses larger than this (bytes)
+  maxResponseBytes: Number(process.env.PROXY_MAX_RESPONSE_BYTES) || 5 * 1024 * 1024,
+
+  // Seconds to cache successful responses, by upstream path. Paths not
+  // listed here are not cached.
+  cacheTtl: {
+    '/api/bus-stops': 6 * 60 * 60,
+    '/api/bus-routes': 6 * 60 * 60,
+    '/api/arrivals': 15
+  },
+
+  // Stop sequences of every service, served compactly by api/service-stops.js.
+  // They are read from the full routes dataset, polylines and all, which may
+  // be larger than maxResponseBytes; the index sent to clients is not.
+  serviceStops: {
+    upstreamUrl: process.env.SERVICE_STOPS_UPSTREAM_URL || 'https://sg-bus-data-api.vercel.app/api/bus-routes',
+    maxUpstreamBytes: Number(process.env.SERVICE_STOPS_MAX_UPSTREAM_BYTES) || 50 * 1024 * 1024,
+    ttl: 6 * 60 * 60
+  },
+
+  // Most responses kept in memory per function instance
+  cacheMaxEntries: Number(process.env.PROXY_CACHE_MAX_ENTRIES) || 500,
+
+  // Token-bucket limits per client IP. With perEndpoint set, each upstream
+  // path gets its own bucket; `endpoints` overrides the defaults by path.
+  rateLimit: {
+    enabled: process.env.PROXY_RATE_LIMIT !== 'off',
+    capacity: Number(process.env.PROXY_RATE_LIMIT_CAPACITY) || 30,
+    refillPerSecond: Number(process.env.PROXY_RATE_LIMIT_REFILL) || 0.5,
+    perEndpoint: process.env.PROXY_RATE_LIMIT_PER_ENDPOINT !== 'false',
+    // Arrivals are polled for many stops at once: Near Me refreshes up to 12
+    // stops every 30 s, live route positions 8 stops a minute, and alerts,
+    // the recorder and map popups add their own stops. The bucket takes a
+    // full refresh of any view as one burst and sustains about one a second.
+    endpoints: {
+      '/api/arrivals': { capacity: 40, refillPerSecond: 1 }
+    },
+    maxClients: 10000
+  }
+};
+
+export default proxyConfig;
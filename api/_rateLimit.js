@@ -0,0 +1,77 @@
+// Token-bucket rate limiter for the serverless proxy
+//
+// Buckets live in memory per function instance. Each bucket holds up to
+// `capacity` tokens and refills at `refillPerSecond`; a request takes one.
+import proxyConfig from './_config';
+
+const buckets = new Map();
+
+/**
+ * Works out the client address. Clients can send their own
+ * X-Forwarded-For, so only the last entry, which the platform's proxy
+ * appends, is trusted; earlier entries would let a client pick a new
+ * bucket with every request.
+ * @param {Object} req - Incoming request
+ * @returns {string}
+ */
+export const clientIp = (req) => {
+  const forwardedFor = String(req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+  if (forwardedFor.length > 0) return forwardedFor[forwardedFor.length - 1];
+  return req.socket?.remoteAddress || 'unknown';
+};
+
+/**
+ * Returns the bucket settings for an upstream path
+ * @param {string} pathname - Upstream path, e.g. '/api/arrivals'
+ * @returns {Object} - { capacity, refillPerSecond }
+ */
+export const limitsFor = (pathname) => {
+  const { capacity, refillPerSecond, endpoints } = proxyConfig.rateLimit;
+  return { capacity, refillPerSecond, ...endpoints[pathname.replace(/\/+$/, '')] };
+};
+
+// Forget buckets that have refilled completely; they hold no state worth keeping
+const prune = (now) => {
+  buckets.forEach((bucket, key) => {
+    const refilled = bucket.tokens + (now - bucket.updatedAt) / 1000 * bucket.refillPerSecond;
+    if (refilled >= bucket.capacity) buckets.delete(key);
+  });
+};
+
+/**
+ * Takes a token for a client
+ * @param {string} ip - Client address
+ * @param {string} pathname - Upstream path
+ * @returns {Object} - { allowed, limit, remaining, retryAfter } where
+ *   retryAfter is in whole seconds and only set when the request is refused
+ */
+export const takeToken = (ip, pathname) => {
+  const { capacity, refillPerSecond } = limitsFor(pathname);
+  const key = proxyConfig.rateLimit.perEndpoint ? `${ip} ${pathname}` : ip;
+  const now = Date.now();
+
+  let bucket = buckets.get(key);
+  if (!bucket) {
+    if (buckets.size >= proxyConfig.rateLimit.maxClients) prune(now);
+    bucket = { tokens: capacity, updatedAt: now, capacity, refillPerSecond };
+    buckets.set(key, bucket);
+  }
+
+  bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * refillPerSecond);
+  bucket.updatedAt = now;
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return { allowed: true, limit: capacity, remaining: Math.floor(bucket.tokens) };
+  }
+
+  return {
+    allowed: false,
+    limit: capacity,
+    remaining: 0,
+    retryAfter: Math.max(1, Math.ceil((1 - bucket.tokens) / refillPerSecond))
+  };
+};
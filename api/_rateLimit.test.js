@@ -0,0 +1,113 @@
+/**
+ * @jest-environment node
+ */
+import handler from './proxy';
+import { clientIp, limitsFor, takeToken } from './_rateLimit';
+import { proxyRequest, proxyResponse, upstreamResponse } from './_testUtils';
+
+const NOW = Date.parse('2024-01-01T08:00:00Z');
+
+let ipCount = 0;
+const uniqueIp = () => `198.51.100.${++ipCount}`;
+
+// Takes `count` tokens and returns the last answer
+const takeTokens = (ip, pathname, count) => {
+  let result;
+  for (let i = 0; i < count; i++) result = takeToken(ip, pathname);
+  return result;
+};
+
+let now;
+beforeEach(() => {
+  now = NOW;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('takeToken', () => {
+  test('allows a full bucket, then refuses with the wait for the next token', () => {
+    const ip = uniqueIp();
+
+    expect(takeToken(ip, '/api/bus-stops')).toEqual({ allowed: true, limit: 30, remaining: 29 });
+    expect(takeTokens(ip, '/api/bus-stops', 29)).toMatchObject({ allowed: true, remaining: 0 });
+    // Refilling at half a token a second
+    expect(takeToken(ip, '/api/bus-stops')).toEqual({ allowed: false, limit: 30, remaining: 0, retryAfter: 2 });
+
+    now += 1000;
+    expect(takeToken(ip, '/api/bus-stops').retryAfter).toBe(1);
+  });
+
+  test('refills over time, up to the capacity', () => {
+    const ip = uniqueIp();
+    takeTokens(ip, '/api/bus-stops', 30);
+
+    now += 2000;
+    expect(takeToken(ip, '/api/bus-stops')).toMatchObject({ allowed: true, remaining: 0 });
+    expect(takeToken(ip, '/api/bus-stops').allowed).toBe(false);
+
+    now += 10 * 60000;
+    expect(takeToken(ip, '/api/bus-stops').remaining).toBe(29);
+  });
+
+  test('applies per-endpoint limits in buckets of their own', () => {
+    const ip = uniqueIp();
+    takeTokens(ip, '/api/bus-stops', 30);
+
+    expect(limitsFor('/api/arrivals/')).toEqual({ capacity: 40, refillPerSecond: 1 });
+    expect(takeToken(ip, '/api/arrivals')).toEqual({ allowed: true, limit: 40, remaining: 39 });
+    expect(takeToken(ip, '/api/bus-stops').allowed).toBe(false);
+  });
+
+  test('keeps a bucket per client', () => {
+    const [first, second] = [uniqueIp(), uniqueIp()];
+    takeTokens(first, '/api/bus-stops', 30);
+
+    expect(takeToken(first, '/api/bus-stops').allowed).toBe(false);
+    expect(takeToken(second, '/api/bus-stops').allowed).toBe(true);
+  });
+});
+
+describe('clientIp', () => {
+  test('trusts only the X-Forwarded-For entry the platform appended', () => {
+    const req = { headers: { 'x-forwarded-for': '10.0.0.1, 192.0.2.7 , 203.0.113.9' }, socket: { remoteAddress: '10.1.1.1' } };
+
+    expect(clientIp(req)).toBe('203.0.113.9');
+  });
+
+  test('ignores a client picking new addresses for itself', () => {
+    const from = (spoofed) => clientIp({ headers: { 'x-forwarded-for': `${spoofed}, 203.0.113.9` } });
+
+    expect(from('10.0.0.1')).toBe(from('10.0.0.2'));
+  });
+
+  test('falls back to the socket address', () => {
+    expect(clientIp({ headers: { 'x-forwarded-for': ' , ' }, socket: { remoteAddress: '192.0.2.1' } })).toBe('192.0.2.1');
+    expect(clientIp({ headers: {} })).toBe('unknown');
+  });
+});
+
+describe('rate limited proxy requests', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('get 429 with Retry-After once the bucket is empty', async () => {
+    global.fetch = jest.fn(async () => upstreamResponse('{"success":true,"data":{}}'));
+    const ip = uniqueIp();
+    takeTokens(ip, '/api/other', 30);
+
+    const request = proxyRequest();
+    request.socket.remoteAddress = ip;
+    const res = proxyResponse();
+    await handler(request, res);
+
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['retry-after']).toBe('2');
+    expect(res.headers['x-ratelimit-remaining']).toBe('0');
+    expect(res.body.error).toMatchObject({ source: 'blocked', code: 'RATE_LIMITED' });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,72 @@
+// Request handling shared by the serverless functions: CORS, the methods
+// they accept, rate limiting and the JSON error shape clients rely on
+import proxyConfig from './_config';
+import { clientIp, takeToken } from './_rateLimit';
+
+const ALLOWED_METHODS = ['GET', 'OPTIONS'];
+
+/**
+ * Sends a JSON error, marking whether the function refused the request
+ * ('blocked') or the upstream API failed ('upstream'), so clients can tell
+ * the two apart
+ * @param {Object} res - Outgoing response
+ * @param {number} status - HTTP status
+ * @param {string} source - 'blocked' or 'upstream'
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable message
+ */
+export const sendError = (res, status, source, code, message) => {
+  res.setHeader('X-Proxy-Error', source);
+  res.status(status).json({
+    success: false,
+    error: { source, code, message }
+  });
+};
+
+/**
+ * Adds the CORS headers and answers anything but a GET: preflight requests
+ * get 204, other methods 405
+ * @param {Object} req - Incoming request
+ * @param {Object} res - Outgoing response
+ * @returns {boolean} - True if the request has been answered
+ */
+export const answerNonGet = (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', ALLOWED_METHODS.join(', '));
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
+  res.setHeader('Access-Control-Expose-Headers',
+    'ETag, Retry-After, X-Cache, X-Proxy-Error, X-RateLimit-Limit, X-RateLimit-Remaining');
+
+  if (req.method === 'OPTIONS') {
+    res.status(204).end();
+    return true;
+  }
+  if (!ALLOWED_METHODS.includes(req.method)) {
+    res.setHeader('Allow', ALLOWED_METHODS.join(', '));
+    sendError(res, 405, 'blocked', 'METHOD_NOT_ALLOWED', `Method ${req.method} is not allowed`);
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Takes a rate-limit token for the client, answering 429 when it has none
+ * left. Does nothing when rate limiting is disabled.
+ * @param {Object} req - Incoming request
+ * @param {Object} res - Outgoing response
+ * @param {string} pathname - Upstream path the bucket is for
+ * @returns {boolean} - True if the request has been refused
+ */
+export const rateLimited = (req, res, pathname) => {
+  if (!proxyConfig.rateLimit.enabled) return false;
+
+  const { allowed, limit, remaining, retryAfter } = takeToken(clientIp(req), pathname);
+  res.setHeader('X-RateLimit-Limit', String(limit));
+  res.setHeader('X-RateLimit-Remaining', String(remaining));
+  if (!allowed) {
+    res.setHeader('Retry-After', String(retryAfter));
+    sendError(res, 429, 'blocked', 'RATE_LIMITED', `Too many requests - retry in ${retryAfter}s`);
+    return true;
+  }
+  return false;
+};
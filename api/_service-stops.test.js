@@ -0,0 +1,75 @@
+/**
+ * @jest-environment node
+ */
+import handler, { extractStops } from './service-stops';
+import { proxyRequest, proxyResponse, upstreamResponse } from './_testUtils';
+
+const routes = (data) => JSON.stringify({ success: true, data: { routes: data } });
+
+const send = async (request = proxyRequest({ url: null })) => {
+  const res = proxyResponse();
+  await handler(request, res);
+  return res;
+};
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe('extractStops', () => {
+  test('keeps the stop sequences per direction, as strings', () => {
+    const body = Buffer.from(routes({
+      10: { polylines: ['abc', 'def'], stops: [['75009', 76059], ['76059', '75009']] },
+      '10e': { polylines: ['ghi'], stops: [['75009'], null] }
+    }));
+
+    expect(extractStops(body)).toEqual({
+      10: [['75009', '76059'], ['76059', '75009']],
+      '10e': [['75009'], []]
+    });
+  });
+
+  test('skips services without stops', () => {
+    expect(extractStops(Buffer.from(routes({ 10: { polylines: ['abc'] }, 12: null })))).toEqual({});
+  });
+
+  test.each([
+    ['not JSON', '<html>'],
+    ['a failure', JSON.stringify({ success: false, data: { routes: {} } })],
+    ['missing routes', JSON.stringify({ success: true, data: {} })]
+  ])('rejects a body that is %s', (_, body) => {
+    expect(() => extractStops(Buffer.from(body))).toThrow(expect.objectContaining({
+      status: 502,
+      code: 'UPSTREAM_MALFORMED'
+    }));
+  });
+});
+
+describe('service stops handler', () => {
+  test('reports a malformed upstream response without caching it, then serves and caches the index', async () => {
+    global.fetch = jest.fn(async () => upstreamResponse('{"success":true}'));
+    const failed = await send();
+
+    expect(failed.statusCode).toBe(502);
+    expect(failed.headers['x-proxy-error']).toBe('upstream');
+    expect(failed.body.error.code).toBe('UPSTREAM_MALFORMED');
+
+    global.fetch = jest.fn(async () => upstreamResponse(routes({ 10: { stops: [['75009', '76059']] } })));
+    const first = await send();
+    const second = await send();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect([first.headers['x-cache'], second.headers['x-cache']]).toEqual(['MISS', 'HIT']);
+    expect(JSON.parse(second.body.toString())).toEqual({
+      success: true,
+      data: { services: { 10: [['75009', '76059']] } }
+    });
+  });
+
+  test('refuses methods other than GET', async () => {
+    const res = await send(proxyRequest({ method: 'POST', url: null }));
+
+    expect(res.statusCode).toBe(405);
+    expect(res.headers.allow).toBe('GET, OPTIONS');
+  });
+});
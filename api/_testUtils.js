@@ -0,0 +1,43 @@
+// Stand-ins for the Vercel request and response objects and for upstream
+// fetch() responses, shared by the serverless function tests
+
+const API = 'https://sg-bus-data-api.vercel.app';
+
+let requestCount = 0;
+
+// Each request comes from its own address so rate limits never interfere
+export const proxyRequest = ({ method = 'GET', url = `${API}/api/other`, query = {}, headers = {} } = {}) => ({
+  method,
+  query: url ? { url, ...query } : query,
+  headers,
+  socket: { remoteAddress: `203.0.113.${++requestCount % 250}` }
+});
+
+export const proxyResponse = () => ({
+  statusCode: null,
+  headers: {},
+  body: undefined,
+  setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+  send(body) { this.body = body; return this; },
+  end() { return this; }
+});
+
+// A fetch() response whose body arrives as a single chunk
+export const upstreamResponse = (body, { status = 200, headers = { 'content-type': 'application/json' } } = {}) => {
+  const bytes = new Uint8Array(Buffer.from(body));
+  return {
+    status,
+    headers: { get: name => headers[name.toLowerCase()] ?? null },
+    body: {
+      getReader: () => {
+        let read = false;
+        return {
+          read: async () => (read ? { done: true } : (read = true, { done: false, value: bytes })),
+          cancel: async () => {}
+        };
+      }
+    }
+  };
+};
@@ -0,0 +1,99 @@
+// Upstream requests shared by the serverless functions (api/proxy.js and
+// api/service-stops.js): time and size limits, and failures as UpstreamError
+import proxyConfig from './_config';
+import { etagFor } from './_cache';
+
+// Failure while talking to the upstream API
+export class UpstreamError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Reads an upstream body, giving up once it exceeds the size cap
+ * @param {Response} response - Upstream fetch response
+ * @param {number} limit - Maximum size in bytes
+ * @returns {Promise<Buffer|null>} - Body, or null if it was too large
+ */
+const readLimitedBody = async (response, limit) => {
+  const declared = Number(response.headers.get('content-length'));
+  if (declared > limit) return null;
+  if (!response.body) return Buffer.alloc(0);
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > limit) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(Buffer.from(value));
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Fetches a response from the upstream API
+ * @param {URL} targetUrl - Allowlisted upstream URL
+ * @param {Object} headers - Headers to forward
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - Largest body accepted
+ * @returns {Promise<Object>} - { status, contentType, body, etag }
+ * @throws {UpstreamError}
+ */
+export const fetchUpstream = async (targetUrl, headers, { maxBytes = proxyConfig.maxResponseBytes } = {}) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), proxyConfig.upstreamTimeout);
+  const timeoutError = () => new UpstreamError(504, 'UPSTREAM_TIMEOUT',
+    `Upstream did not respond within ${proxyConfig.upstreamTimeout / 1000}s`);
+
+  try {
+    let response;
+    try {
+      response = await fetch(targetUrl.toString(), {
+        method: 'GET',
+        headers,
+        redirect: 'manual',
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (controller.signal.aborted) throw timeoutError();
+      console.error('Proxy error:', error);
+      throw new UpstreamError(502, 'UPSTREAM_UNREACHABLE', 'Could not reach the upstream API');
+    }
+
+    // Redirects could lead off the allowlist, so they are not followed
+    if (response.status >= 300 && response.status < 400) {
+      throw new UpstreamError(502, 'UPSTREAM_REDIRECT', 'Upstream responded with a redirect');
+    }
+
+    let body;
+    try {
+      body = await readLimitedBody(response, maxBytes);
+    } catch (error) {
+      if (controller.signal.aborted) throw timeoutError();
+      throw new UpstreamError(502, 'UPSTREAM_FAILED', error.message);
+    }
+    if (body === null) {
+      throw new UpstreamError(502, 'UPSTREAM_TOO_LARGE',
+        `Upstream response exceeded ${maxBytes} bytes`);
+    }
+
+    return {
+      status: response.status,
+      contentType: response.headers.get('content-type') || 'application/octet-stream',
+      body,
+      etag: response.status === 200 ? etagFor(body) : undefined
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+};
@@ -1,54 +1,151 @@
 // Vercel serverless function to proxy API requests and add CORS headers
-export default async function handler(req, res) {
-  // Add CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  
-  // Handle preflight requests
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
-  }
-  
+import proxyConfig from './_config';
+import { cacheKey, coalesce, getCached, matchesEtag, setCached, ttlFor } from './_cache';
+import { answerNonGet, rateLimited, sendError } from './_respond';
+import { fetchUpstream, UpstreamError } from './_upstream';
+
+// Hop-by-hop headers (RFC 7230 §6.1) and headers that identify or
+// authenticate the client; none of these may reach the upstream API.
+const STRIPPED_REQUEST_HEADERS = new Set([
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+  'host',
+  'content-length',
+  'cookie',
+  'authorization',
+  'origin',
+  'referer',
+  'forwarded',
+  'x-real-ip',
+  'x-forwarded-for',
+  'x-forwarded-host',
+  'x-forwarded-proto',
+  'x-forwarded-port',
+  // Conditional requests are answered by the proxy from its own cache
+  'if-none-match',
+  'if-modified-since',
+  'if-match',
+  'if-unmodified-since',
+  'if-range',
+  'range'
+]);
+
+const blocked = (res, status, code, message) => sendError(res, status, 'blocked', code, message);
+const upstreamFailed = (res, status, code, message) => sendError(res, status, 'upstream', code, message);
+
+/**
+ * Builds the upstream URL, or returns null if it is not allowed
+ * @param {string} url - Target URL from the query string
+ * @param {Object} queryParams - Remaining query parameters to append
+ * @returns {URL|null}
+ */
+const resolveTarget = (url, queryParams) => {
+  let target;
   try {
-    // Get the target URL from query parameters
-    const { url, ...queryParams } = req.query;
-    
-    if (!url) {
-      return res.status(400).json({ 
-        error: 'Missing URL parameter',
-        usage: 'Use ?url=https://sg-bus-data-api.vercel.app/api/endpoint'
+    target = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  if (target.protocol !== 'https:' || target.username || target.password || target.port) {
+    return null;
+  }
+  if (!proxyConfig.allowedHosts.includes(target.hostname.toLowerCase())) {
+    return null;
+  }
+
+  Object.keys(queryParams).forEach(key => {
+    [].concat(queryParams[key]).forEach(value => target.searchParams.append(key, value));
+  });
+  return target;
+};
+
+/**
+ * Copies the incoming headers that are safe to forward upstream
+ * @param {Object} headers - Incoming request headers
+ * @returns {Object}
+ */
+const forwardableHeaders = (headers) => {
+  // Headers named in Connection are hop-by-hop as well
+  const connectionHeaders = new Set(
+    String(headers.connection || '').split(',').map(name => name.trim().toLowerCase())
+  );
+
+  const forwarded = {};
+  Object.entries(headers).forEach(([name, value]) => {
+    const lower = name.toLowerCase();
+    if (STRIPPED_REQUEST_HEADERS.has(lower) || connectionHeaders.has(lower)) return;
+    if (lower.startsWith('x-vercel-')) return;
+    forwarded[lower] = value;
+  });
+  return forwarded;
+};
+
+export default async function handler(req, res) {
+  if (answerNonGet(req, res)) return;
+
+  // Get the target URL from query parameters
+  const { url, ...queryParams } = req.query;
+
+  if (!url || typeof url !== 'string') {
+    return blocked(res, 400, 'MISSING_URL',
+      'Missing URL parameter. Use ?url=https://sg-bus-data-api.vercel.app/api/endpoint');
+  }
+
+  const targetUrl = resolveTarget(url, queryParams);
+  if (!targetUrl) {
+    return blocked(res, 403, 'HOST_NOT_ALLOWED',
+      `Only https URLs on ${proxyConfig.allowedHosts.join(', ')} may be proxied`);
+  }
+
+  if (rateLimited(req, res, targetUrl.pathname)) return;
+
+  const key = cacheKey(targetUrl);
+  const ttl = ttlFor(targetUrl);
+
+  let upstream = ttl ? getCached(key) : undefined;
+  res.setHeader('X-Cache', upstream ? 'HIT' : 'MISS');
+
+  if (!upstream) {
+    try {
+      // Concurrent misses for the same URL share one upstream request
+      upstream = await coalesce(key, async () => {
+        const result = await fetchUpstream(targetUrl, forwardableHeaders(req.headers));
+        return ttl && result.status === 200 ? setCached(key, result, ttl) : result;
       });
+    } catch (error) {
+      if (error instanceof UpstreamError) {
+        return upstreamFailed(res, error.status, error.code, error.message);
+      }
+      console.error('Proxy error:', error);
+      return upstreamFailed(res, 502, 'UPSTREAM_FAILED', error.message);
     }
-    
-    // Construct the full URL with query parameters
-    const targetUrl = new URL(url);
-    Object.keys(queryParams).forEach(key => {
-      targetUrl.searchParams.append(key, queryParams[key]);
-    });
-    
-    // Make the request to the target API
-    const response = await fetch(targetUrl.toString(), {
-      method: req.method,
-      headers: {
-        'Content-Type': 'application/json',
-        ...req.headers
-      },
-      body: req.method !== 'GET' ? JSON.stringify(req.body) : undefined
-    });
-    
-    // Get the response data
-    const data = await response.json();
-    
-    // Return the response with CORS headers
-    res.status(response.status).json(data);
-    
-  } catch (error) {
-    console.error('Proxy error:', error);
-    res.status(500).json({ 
-      error: 'Proxy error',
-      message: error.message 
-    });
   }
-} 
\ No newline at end of file
+
+  if (upstream.expiresAt) {
+    const maxAge = Math.max(0, Math.ceil((upstream.expiresAt - Date.now()) / 1000));
+    res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+  } else {
+    res.setHeader('Cache-Control', 'no-store');
+  }
+  if (upstream.etag) {
+    res.setHeader('ETag', upstream.etag);
+    if (matchesEtag(req.headers['if-none-match'], upstream.etag)) {
+      res.status(304).end();
+      return;
+    }
+  }
+
+  // Pass the upstream response through unchanged, whatever its type
+  res.setHeader('Content-Type', upstream.contentType);
+  if (upstream.status >= 400) {
+    res.setHeader('X-Proxy-Error', 'upstream');
+  }
+  res.status(upstream.status).send(upstream.body);
+}
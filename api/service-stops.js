@@ -0,0 +1,81 @@
+// Vercel serverless function serving the stop sequences of every bus service:
+// { success: true, data: { services: { [serviceNo]: [[stopCode, ...], ...] } } }
+// with one sequence per direction. This is all the stop -> services index and
+// trip planner need, without downloading every route polyline to the client.
+import proxyConfig from './_config';
+import { coalesce, etagFor, getCached, matchesEtag, setCached } from './_cache';
+import { answerNonGet, rateLimited, sendError } from './_respond';
+import { fetchUpstream, UpstreamError } from './_upstream';
+
+const CACHE_KEY = 'service-stops';
+
+/**
+ * Keeps only the stop sequences of a routes response
+ * @param {Buffer} body - Upstream /api/bus-routes body
+ * @returns {Object} - Stop sequences by service number
+ * @throws {UpstreamError} - If the body is not a routes response
+ */
+export const extractStops = (body) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(body.toString('utf8'));
+  } catch (error) {
+    throw new UpstreamError(502, 'UPSTREAM_MALFORMED', 'Upstream routes are not valid JSON');
+  }
+  const routes = parsed?.data?.routes;
+  if (parsed?.success !== true || !routes || typeof routes !== 'object') {
+    throw new UpstreamError(502, 'UPSTREAM_MALFORMED', 'Upstream response has no routes');
+  }
+
+  const services = {};
+  Object.entries(routes).forEach(([service, route]) => {
+    if (!Array.isArray(route?.stops)) return;
+    services[service] = route.stops.map(codes => (Array.isArray(codes) ? codes.map(String) : []));
+  });
+  return services;
+};
+
+const loadServiceStops = async () => {
+  const { upstreamUrl, maxUpstreamBytes, ttl } = proxyConfig.serviceStops;
+  const targetUrl = new URL(upstreamUrl);
+  if (!proxyConfig.allowedHosts.includes(targetUrl.hostname.toLowerCase())) {
+    throw new UpstreamError(500, 'HOST_NOT_ALLOWED', 'The routes upstream is not on the allowlist');
+  }
+
+  const upstream = await fetchUpstream(targetUrl, { accept: 'application/json' }, { maxBytes: maxUpstreamBytes });
+  if (upstream.status !== 200) {
+    throw new UpstreamError(502, 'UPSTREAM_FAILED', `Upstream responded with ${upstream.status}`);
+  }
+
+  const body = Buffer.from(JSON.stringify({ success: true, data: { services: extractStops(upstream.body) } }));
+  return setCached(CACHE_KEY, { status: 200, contentType: 'application/json', body, etag: etagFor(body) }, ttl);
+};
+
+export default async function handler(req, res) {
+  if (answerNonGet(req, res)) return;
+  if (rateLimited(req, res, '/api/service-stops')) return;
+
+  let index = getCached(CACHE_KEY);
+  res.setHeader('X-Cache', index ? 'HIT' : 'MISS');
+  if (!index) {
+    try {
+      index = await coalesce(CACHE_KEY, loadServiceStops);
+    } catch (error) {
+      if (error instanceof UpstreamError) {
+        return sendError(res, error.status, 'upstream', error.code, error.message);
+      }
+      console.error('Service stops error:', error);
+      return sendError(res, 502, 'upstream', 'UPSTREAM_FAILED', error.message);
+    }
+  }
+
+  const maxAge = Math.max(0, Math.ceil((index.expiresAt - Date.now()) / 1000));
+  res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+  res.setHeader('ETag', index.etag);
+  if (matchesEtag(req.headers['if-none-match'], index.etag)) {
+    res.status(304).end();
+    return;
+  }
+  res.setHeader('Content-Type', index.contentType);
+  res.status(200).send(index.body);
+}
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { addAlert, cancelAlert } from './alerts';
+import { ALERT_MINUTES, requestNotificationPermission } from './ArrivalAlerts';
+import { useAlerts } from './hooks';
+
+/**
+ * 🔔 button setting an arrival alert for a service at a stop, with the
+ * alerts already set for that pair.
+ *
+ * @param {Object} props
+ * @param {string} props.stopCode - Bus stop code
+ * @param {string} props.service - Service number
+ */
+function AlertButton({ stopCode, service }) {
+  const { alerts } = useAlerts();
+  const [open, setOpen] = useState(false);
+  const [minutes, setMinutes] = useState(5);
+  const [error, setError] = useState(null);
+
+  if (!stopCode || !service) return null;
+
+  const existing = alerts.filter(alert => alert.stopCode === stopCode && alert.service === service);
+
+  const submit = () => {
+    try {
+      addAlert({ stopCode, service, minutes });
+      requestNotificationPermission();
+      setError(null);
+      setOpen(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <span style={{ position: 'relative', display: 'inline-block' }} onClick={(e) => e.stopPropagation()}>
+      <button
+        onClick={() => setOpen(!open)}
+        title={existing.length > 0 ? `Alerts set for ${service} at ${stopCode}` : `Alert me when ${service} is approaching`}
+        style={{
+          padding: '0 4px',
+          border: 'none',
+          background: 'none',
+          color: existing.length > 0 ? '#1976d2' : '#999',
+          fontSize: '1.05em',
+          cursor: 'pointer'
+        }}
+      >
+        {existing.length > 0 ? '🔔' : '🔕'}
+      </button>
+
+      {open && (
+        <div style={{
+          position: 'absolute',
+          top: '100%',
+          left: 0,
+          zIndex: 1500,
+          width: '210px',
+          padding: '8px',
+          backgroundColor: 'white',
+          color: '#333',
+          border: '1px solid #ddd',
+          borderRadius: '6px',
+          boxShadow: '0 2px 8px rgba(0,0,0,0.2)',
+          fontSize: '0.85em',
+          fontWeight: 'normal',
+          textAlign: 'left'
+        }}>
+          {existing.map(alert => (
+            <div key={alert.id} style={{ display: 'flex', alignItems: 'center', marginBottom: '4px' }}>
+              <span style={{ flex: 1 }}>🔔 At {alert.minutes} min{alert.repeat ? ', every bus' : ''}</span>
+              <button onClick={() => cancelAlert(alert.id)} title="Cancel alert" style={{ cursor: 'pointer' }}>✕</button>
+            </div>
+          ))}
+          <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+            Alert at
+            <select value={minutes} onChange={(e) => setMinutes(Number(e.target.value))}>
+              {ALERT_MINUTES.map(option => <option key={option} value={option}>{option} min</option>)}
+            </select>
+            <button onClick={submit} style={{ marginLeft: 'auto', cursor: 'pointer' }}>Set</button>
+          </div>
+          {error && <div style={{ color: '#c62828', marginTop: '4px' }}>{error}</div>}
+        </div>
+      )}
+    </span>
+  );
+}
+
+export default AlertButton;
@@ -1,13 +1,147 @@
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import ArrivalAlerts from './ArrivalAlerts';
+import ArrivalRecorder from './ArrivalRecorder';
 import BusMap from './BusMap';
 import BusTracker from './BusTracker';
+import DepartureBoard from './DepartureBoard';
+import FavouriteButton from './FavouriteButton';
+import { getFavourites } from './favourites';
+import MyBuses from './MyBuses';
+import NearbyStops from './NearbyStops';
+import PredictionReport from './PredictionReport';
 import RouteVisualization from './RouteVisualization';
+import StopSearch from './StopSearch';
+import TripPlanner from './TripPlanner';
+import { buildUrlSearch, parseUrlState } from './urlState';
 import './App.css';
 
+const DEFAULT_SERVICE = '27';
+const DEFAULT_STOP = '65011';
+
+// The service and stop to start with: the first favourite pair, else the
+// first favourite service and stop, else the built-in examples
+const initialSelection = () => {
+  const favourites = getFavourites();
+  const pair = favourites.find(entry => entry.type === 'stopService');
+  return {
+    service: pair?.service || favourites.find(entry => entry.service)?.service || DEFAULT_SERVICE,
+    stop: pair?.stopCode || favourites.find(entry => entry.stopCode)?.stopCode || DEFAULT_STOP
+  };
+};
+
+// Stop codes typed into the departure board box, e.g. "65011, 65009"
+const parseStopCodes = (text) => text.split(/[\s,]+/).filter(code => /^\d{5}$/.test(code));
+
+// Services typed into the service box, e.g. "27, 80, 86", each once
+const parseServices = (text) => Array.from(new Set(text.split(/[\s,]+/).filter(Boolean)));
+
+// The tab for a link that names none: a lobby screen can open straight
+// onto the board with ?board=65011,65009
+const defaultTab = (linked) => (linked.boardStops ? 'board'
+  : getFavourites().length > 0 ? 'favourites'
+  : 'map');
+
+// Which parameters each tab puts in the URL; the rest stay in memory
+const TAB_PARAMS = {
+  tracker: ['services', 'stop', 'bus', 'map'],
+  route: ['services', 'map'],
+  map: ['map'],
+  board: ['boardStops'],
+  report: ['services', 'stop']
+};
+
 function App() {
-  const [activeTab, setActiveTab] = useState('map');
-  const [selectedService, setSelectedService] = useState('27');
-  const [selectedStop, setSelectedStop] = useState('65011');
+  // State from the URL the app was opened with, falling back to favourites
+  const [opened] = useState(() => parseUrlState(window.location.search));
+  const [activeTab, setActiveTab] = useState(() => opened.state.tab || defaultTab(opened.state));
+  const [selectedService, setSelectedService] = useState(() => opened.state.services?.join(', ') || initialSelection().service);
+  const [selectedStop, setSelectedStop] = useState(() => opened.state.stop || initialSelection().stop);
+  const [focusedStop, setFocusedStop] = useState(null);
+  const [boardStops, setBoardStops] = useState(() => opened.state.boardStops?.join(', ') || initialSelection().stop);
+  const [selectedBus, setSelectedBus] = useState(() => opened.state.bus || null);
+  const [mapView, setMapView] = useState(() => opened.state.map || null);
+  // Bus and map view to show from a link, until the user moves on
+  const [linked, setLinked] = useState(() => ({ bus: opened.state.bus || null, map: opened.state.map || null }));
+  const [linkErrors, setLinkErrors] = useState(opened.errors);
+
+  // The tracker follows every service entered; the other views the first
+  const services = parseServices(selectedService);
+  const firstService = services[0] || '';
+
+  // Keep the URL in step: switching tabs adds a history entry, anything
+  // else updates the current one
+  const urlSynced = useRef(false);
+  const search = buildUrlSearch(Object.fromEntries(
+    ['tab', ...(TAB_PARAMS[activeTab] || [])].map(name => [name, {
+      tab: activeTab,
+      services,
+      stop: /^\d{5}$/.test(selectedStop.trim()) ? selectedStop.trim() : null,
+      boardStops: parseStopCodes(boardStops),
+      bus: selectedBus,
+      map: mapView
+    }[name]])
+  ));
+  useEffect(() => {
+    if (search === window.location.search) return;
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    const tabChanged = parseUrlState(window.location.search).state.tab !== activeTab;
+    if (urlSynced.current && tabChanged) window.history.pushState(null, '', url);
+    else window.history.replaceState(null, '', url);
+    urlSynced.current = true;
+  }, [search, activeTab]);
+
+  // Back and forward restore the state in the URL
+  useEffect(() => {
+    const handlePopState = () => {
+      const { state, errors } = parseUrlState(window.location.search);
+      setActiveTab(state.tab || defaultTab(state));
+      if (state.services) setSelectedService(state.services.join(', '));
+      if (state.stop) setSelectedStop(state.stop);
+      if (state.boardStops) setBoardStops(state.boardStops.join(', '));
+      setSelectedBus(state.bus || null);
+      setMapView(state.map || null);
+      setLinked({ bus: state.bus || null, map: state.map || null });
+      setLinkErrors(errors);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  // Moving to another view drops the linked bus and map view
+  const selectTab = (tab) => {
+    if (tab === activeTab) return;
+    setActiveTab(tab);
+    setSelectedBus(null);
+    setMapView(null);
+    setLinked({ bus: null, map: null });
+  };
+
+  // A stop picked in search becomes the tracked stop and is shown on the map
+  const handleStopSelect = (stop) => {
+    setSelectedStop(stop.properties.code);
+    setFocusedStop({ stop });
+    setLinked(current => ({ ...current, map: null }));
+  };
+
+  // Opens a favourite in the tracker or route view
+  const handleTrack = (tab, service, stopCode) => {
+    setSelectedService(service);
+    if (stopCode) setSelectedStop(stopCode);
+    selectTab(tab);
+  };
+
+  // A different service or stop is a new view: forget the linked one
+  const changeService = (value) => {
+    setSelectedService(value);
+    setSelectedBus(null);
+    setLinked({ bus: null, map: null });
+  };
+
+  const changeStop = (value) => {
+    setSelectedStop(value);
+    setSelectedBus(null);
+    setLinked({ bus: null, map: null });
+  };
 
   return (
     <div className="App">
@@ -15,36 +149,89 @@ function App() {
         <h1>Singapore Bus Tracker</h1>
         <nav>
           <button 
-            onClick={() => setActiveTab('map')}
+            onClick={() => selectTab('favourites')}
+            className={activeTab === 'favourites' ? 'active' : ''}
+          >
+            My Buses
+          </button>
+          <button 
+            onClick={() => selectTab('map')}
             className={activeTab === 'map' ? 'active' : ''}
           >
             Bus Map
           </button>
           <button 
-            onClick={() => setActiveTab('tracker')}
+            onClick={() => selectTab('nearby')}
+            className={activeTab === 'nearby' ? 'active' : ''}
+          >
+            Near Me
+          </button>
+          <button 
+            onClick={() => selectTab('trip')}
+            className={activeTab === 'trip' ? 'active' : ''}
+          >
+            Trip Planner
+          </button>
+          <button 
+            onClick={() => selectTab('tracker')}
             className={activeTab === 'tracker' ? 'active' : ''}
           >
             Bus Tracker
           </button>
           <button 
-            onClick={() => setActiveTab('route')}
+            onClick={() => selectTab('route')}
             className={activeTab === 'route' ? 'active' : ''}
           >
             Route Visualization
           </button>
+          <button 
+            onClick={() => selectTab('board')}
+            className={activeTab === 'board' ? 'active' : ''}
+          >
+            Departure Board
+          </button>
+          <button 
+            onClick={() => selectTab('report')}
+            className={activeTab === 'report' ? 'active' : ''}
+          >
+            Reliability
+          </button>
         </nav>
+
+        {linkErrors.length > 0 && (
+          <div
+            role="alert"
+            style={{ margin: '10px auto 0', maxWidth: '640px', padding: '8px 12px', backgroundColor: '#fff3e0', border: '1px solid #ffcc80', borderRadius: '6px', color: '#e65100', textAlign: 'left', fontSize: '0.9em' }}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <strong>⚠️ Some of this link could not be used</strong>
+              <button onClick={() => setLinkErrors([])} title="Dismiss" style={{ border: 'none', background: 'none', cursor: 'pointer' }}>✕</button>
+            </div>
+            <ul style={{ margin: '4px 0 0', paddingLeft: '20px' }}>
+              {linkErrors.map(message => <li key={message}>{message}</li>)}
+            </ul>
+          </div>
+        )}
+
+        <div style={{ marginTop: '10px' }}>
+          <StopSearch onSelect={handleStopSelect} />
+        </div>
         
-        {activeTab !== 'map' && (
+        {(activeTab === 'tracker' || activeTab === 'route') && (
           <div style={{ marginTop: '10px', display: 'flex', gap: '10px', alignItems: 'center', justifyContent: 'center', flexWrap: 'wrap' }}>
             <div>
-              <label>Bus Service: </label>
+              <label>{activeTab === 'tracker' ? 'Bus Services: ' : 'Bus Service: '}</label>
               <input 
                 type="text" 
                 value={selectedService} 
-                onChange={(e) => setSelectedService(e.target.value)}
-                placeholder="Enter bus service number"
+                onChange={(e) => changeService(e.target.value)}
+                placeholder={activeTab === 'tracker' ? 'e.g. 27, 80, 86' : 'Enter bus service number'}
                 style={{ marginLeft: '5px' }}
               />
+              {services.length === 1 && <FavouriteButton service={firstService} />}
+              {activeTab === 'route' && services.length > 1 && (
+                <small style={{ marginLeft: '5px', color: '#666' }}>(showing {firstService})</small>
+              )}
             </div>
             {activeTab === 'tracker' && (
               <div>
@@ -52,7 +239,7 @@ function App() {
                 <input 
                   type="text" 
                   value={selectedStop} 
-                  onChange={(e) => setSelectedStop(e.target.value)}
+                  onChange={(e) => changeStop(e.target.value)}
                   placeholder="Enter bus stop code"
                   style={{ marginLeft: '5px' }}
                 />
@@ -63,26 +250,57 @@ function App() {
             )}
           </div>
         )}
+
+        {activeTab === 'board' && (
+          <div style={{ marginTop: '10px' }}>
+            <label>Bus Stop Codes: </label>
+            <input 
+              type="text" 
+              value={boardStops} 
+              onChange={(e) => setBoardStops(e.target.value)}
+              placeholder="e.g. 65011, 65009"
+              style={{ marginLeft: '5px' }}
+            />
+          </div>
+        )}
       </header>
 
       <main>
-        {activeTab === 'map' && <BusMap />}
+        {activeTab === 'favourites' && <MyBuses refreshInterval={30000} onTrack={handleTrack} />}
+        {activeTab === 'map' && <BusMap focusStop={focusedStop} view={linked.map} onViewChange={setMapView} />}
+        {activeTab === 'nearby' && <NearbyStops refreshInterval={30000} />}
+        {activeTab === 'trip' && <TripPlanner refreshInterval={30000} />}
         {activeTab === 'tracker' && (
           <BusTracker 
-            serviceNumber={selectedService}
+            serviceNumbers={services}
             busStopCode={selectedStop}
             refreshInterval={30000}
             showRoute={true}
+            linkedBus={linked.bus}
+            onSelectedBusChange={setSelectedBus}
+            view={linked.map}
+            onViewChange={setMapView}
           />
         )}
+        {activeTab === 'board' && (
+          <DepartureBoard stopCodes={parseStopCodes(boardStops)} refreshInterval={30000} />
+        )}
+        {activeTab === 'report' && (
+          <PredictionReport defaultStop={selectedStop} defaultService={firstService} />
+        )}
         {activeTab === 'route' && (
           <RouteVisualization 
-            serviceNumber={selectedService}
+            serviceNumber={firstService}
             showStops={true}
             showPatternLabels={true}
+            view={linked.map}
+            onViewChange={setMapView}
           />
         )}
       </main>
+
+      <ArrivalAlerts refreshInterval={30000} />
+      <ArrivalRecorder refreshInterval={30000} />
     </div>
   );
 }
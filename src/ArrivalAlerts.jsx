@@ -0,0 +1,232 @@
+import React, { useEffect, useState } from 'react';
+import { addAlert, cancelAlert, checkAlerts } from './alerts';
+import { useAlerts, useAllStops, useArrivalsRefreshes } from './hooks';
+import { minutesUntil } from './utils';
+
+export const ALERT_MINUTES = [1, 2, 3, 5, 8, 10, 15];
+
+const TOAST_DURATION = 20000;
+
+const notificationsSupported = () => typeof Notification !== 'undefined';
+
+/**
+ * Asks for permission to show system notifications. Call from a click
+ * handler: browsers ignore the request otherwise.
+ */
+export const requestNotificationPermission = () => {
+  if (!notificationsSupported() || Notification.permission !== 'default') return;
+  try {
+    Notification.requestPermission();
+  } catch (err) {
+    console.warn('Notification permission request failed:', err);
+  }
+};
+
+// Short two-tone chime for in-app alerts; silently skipped where audio is
+// unavailable or not yet allowed by the browser
+const playChime = () => {
+  try {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContext();
+    [880, 660].forEach((frequency, i) => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.frequency.value = frequency;
+      gain.gain.value = 0.2;
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start(context.currentTime + i * 0.25);
+      oscillator.stop(context.currentTime + i * 0.25 + 0.2);
+    });
+    setTimeout(() => context.close(), 1000);
+  } catch (err) {
+    // No sound; the toast is still shown
+  }
+};
+
+// Form for a new alert at any stop
+function AddAlertForm() {
+  const [stopCode, setStopCode] = useState('');
+  const [service, setService] = useState('');
+  const [minutes, setMinutes] = useState(5);
+  const [repeat, setRepeat] = useState(false);
+  const [error, setError] = useState(null);
+
+  const submit = (e) => {
+    e.preventDefault();
+    try {
+      addAlert({ stopCode, service, minutes, repeat });
+      requestNotificationPermission();
+      setError(null);
+      setService('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} style={{ padding: '10px 12px', borderTop: '1px solid #eee', fontSize: '0.85em' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '6px' }}>
+        Service
+        <input type="text" value={service} onChange={(e) => setService(e.target.value)} placeholder="27" style={{ width: '50px', marginLeft: 0 }} />
+        at stop
+        <input type="text" value={stopCode} onChange={(e) => setStopCode(e.target.value)} placeholder="65011" style={{ width: '60px', marginLeft: 0 }} />
+      </div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '6px', marginTop: '6px' }}>
+        <select value={minutes} onChange={(e) => setMinutes(Number(e.target.value))}>
+          {ALERT_MINUTES.map(option => <option key={option} value={option}>{option} min away</option>)}
+        </select>
+        <label style={{ fontWeight: 'normal' }}>
+          <input type="checkbox" checked={repeat} onChange={(e) => setRepeat(e.target.checked)} /> every bus
+        </label>
+        <button type="submit" style={{ marginLeft: 'auto', cursor: 'pointer' }}>Add alert</button>
+      </div>
+      {error && <div style={{ color: '#c62828', marginTop: '6px' }}>❌ {error}</div>}
+    </form>
+  );
+}
+
+/**
+ * Watches the arrival alerts (alerts.js): polls arrivals at every stop with
+ * an alert, checks the alerts on each refresh and delivers the ones that
+ * fire as system notifications when permitted, otherwise as an in-app toast
+ * with a chime. Also renders the 🔔 button listing the alerts, where they
+ * can be cancelled or added. Mount once, outside the tabs.
+ *
+ * @param {Object} props
+ * @param {number} [props.refreshInterval] - Arrivals refresh interval in ms
+ */
+function ArrivalAlerts({ refreshInterval = 30000 }) {
+  const { alerts } = useAlerts();
+  const [toasts, setToasts] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [permission, setPermission] = useState(() => (notificationsSupported() ? Notification.permission : 'unsupported'));
+
+  const { stopsByCode } = useAllStops(alerts.length > 0);
+  const stopName = (code) => stopsByCode[code]?.properties.name || `Stop ${code}`;
+
+  // Check the alerts each time a stop's arrivals are refreshed, here or by
+  // any other view polling the same stop
+  const stopCodes = Array.from(new Set(alerts.map(alert => alert.stopCode)));
+  const { stops } = useArrivalsRefreshes(stopCodes, refreshInterval, (stop) => {
+    const now = Date.now();
+    checkAlerts(stop.code, stop.arrivals, now).forEach(({ alert, minutes }) => {
+      const title = `🚌 ${alert.service} is ${minutes === 0 ? 'arriving' : `${minutes} min away`}`;
+      const body = `At ${stopName(alert.stopCode)} (${alert.stopCode})`;
+
+      if (notificationsSupported() && Notification.permission === 'granted') {
+        try {
+          new Notification(title, { body, tag: alert.id });
+          return;
+        } catch (err) {
+          // Some mobile browsers only notify from a service worker
+        }
+      }
+      setToasts(current => [...current, { id: `${alert.id}@${now}`, title, body }]);
+      playChime();
+    });
+  });
+
+  // Toasts dismiss themselves one at a time
+  useEffect(() => {
+    if (toasts.length === 0) return;
+    const timer = setTimeout(() => setToasts(current => current.slice(1)), TOAST_DURATION);
+    return () => clearTimeout(timer);
+  }, [toasts]);
+
+  // Permission can change from the browser's site settings
+  useEffect(() => {
+    if (!open || !notificationsSupported()) return;
+    setPermission(Notification.permission);
+  }, [open, alerts]);
+
+  const nextBus = (alert) => {
+    const stop = stops.find(entry => entry.code === alert.stopCode);
+    const arrival = stop?.arrivals.find(entry => entry.serviceNo === alert.service);
+    if (!arrival || arrival.buses.length === 0) return stop?.lastUpdated ? 'no buses expected' : 'checking...';
+    const minutes = minutesUntil(arrival.buses[0]);
+    return `next in ${minutes === 0 ? 'Arr' : `${minutes} min`}`;
+  };
+
+  const permissionNote = {
+    granted: '🔔 Alerts show as system notifications',
+    denied: '🔕 Notifications are blocked; alerts show here with a sound',
+    unsupported: 'Alerts show here with a sound'
+  }[permission];
+
+  return (
+    <div style={{ position: 'fixed', right: '16px', bottom: '16px', zIndex: 2000, display: 'flex', flexDirection: 'column', alignItems: 'flex-end', gap: '8px', textAlign: 'left' }}>
+      {toasts.map(toast => (
+        <div
+          key={toast.id}
+          role="alert"
+          style={{ width: '280px', padding: '10px 12px', backgroundColor: '#263238', color: 'white', borderRadius: '6px', boxShadow: '0 2px 8px rgba(0,0,0,0.3)' }}
+        >
+          <div style={{ display: 'flex', alignItems: 'flex-start', gap: '8px' }}>
+            <strong style={{ flex: 1 }}>{toast.title}</strong>
+            <button
+              onClick={() => setToasts(current => current.filter(entry => entry.id !== toast.id))}
+              title="Dismiss"
+              style={{ border: 'none', background: 'none', color: 'white', cursor: 'pointer' }}
+            >
+              ✕
+            </button>
+          </div>
+          <div style={{ fontSize: '0.85em', color: '#cfd8dc' }}>{toast.body}</div>
+        </div>
+      ))}
+
+      {open && (
+        <div style={{ width: '320px', maxHeight: '60vh', overflowY: 'auto', backgroundColor: 'white', border: '1px solid #ddd', borderRadius: '8px', boxShadow: '0 2px 8px rgba(0,0,0,0.2)' }}>
+          <div style={{ padding: '10px 12px', backgroundColor: '#e3f2fd', borderBottom: '1px solid #bbdefb' }}>
+            <strong>🔔 Arrival alerts</strong>
+            <div style={{ fontSize: '0.75em', color: '#666', marginTop: '2px' }}>
+              {permissionNote || (
+                <>
+                  Alerts show here with a sound.{' '}
+                  <button onClick={() => { requestNotificationPermission(); setOpen(false); }} style={{ fontSize: '1em', cursor: 'pointer' }}>
+                    Allow notifications
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+
+          {alerts.length === 0 && (
+            <div style={{ padding: '10px 12px', fontSize: '0.85em', color: '#666' }}>No alerts set</div>
+          )}
+          {alerts.map(alert => (
+            <div key={alert.id} style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '8px 12px', borderBottom: '1px solid #f0f0f0', fontSize: '0.85em' }}>
+              <div style={{ flex: 1 }}>
+                <strong>{alert.service}</strong> at {stopName(alert.stopCode)} ({alert.stopCode})
+                <div style={{ color: '#666' }}>
+                  When {alert.minutes} min away{alert.repeat ? ', every bus' : ''} · {nextBus(alert)}
+                </div>
+              </div>
+              <button onClick={() => cancelAlert(alert.id)} title="Cancel alert" style={{ cursor: 'pointer' }}>✕</button>
+            </div>
+          ))}
+
+          <AddAlertForm />
+        </div>
+      )}
+
+      <button
+        onClick={() => setOpen(!open)}
+        title="Arrival alerts"
+        style={{
+          padding: '8px 12px',
+          borderRadius: '20px',
+          border: '1px solid #1976d2',
+          backgroundColor: alerts.length > 0 ? '#1976d2' : 'white',
+          color: alerts.length > 0 ? 'white' : '#1976d2',
+          boxShadow: '0 2px 6px rgba(0,0,0,0.2)',
+          cursor: 'pointer'
+        }}
+      >
+        🔔 {alerts.length > 0 ? alerts.length : ''}
+      </button>
+    </div>
+  );
+}
+
+export default ArrivalAlerts;
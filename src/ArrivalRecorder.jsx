@@ -0,0 +1,30 @@
+import { useEffect } from 'react';
+import { pruneRecords, recordPoll } from './arrivalLog';
+import { useArrivalsRefreshes, useRecorderSettings } from './hooks';
+
+/**
+ * While recording is on, polls arrivals at the watched stops and stores
+ * every refresh (also those made by other views) through
+ * arrivalLog.js. Renders nothing; mount once, outside the tabs.
+ *
+ * @param {Object} props
+ * @param {number} [props.refreshInterval] - Arrivals refresh interval in ms
+ */
+function ArrivalRecorder({ refreshInterval = 30000 }) {
+  const { enabled, watches } = useRecorderSettings();
+  const stopCodes = enabled ? Array.from(new Set(watches.map(watch => watch.stopCode))) : [];
+
+  useArrivalsRefreshes(stopCodes, refreshInterval, (stop) => {
+    recordPoll(stop.code, stop.arrivals, stop.lastUpdated.getTime())
+      .catch(err => console.warn('Could not record arrivals:', err));
+  });
+
+  useEffect(() => {
+    if (!enabled) return;
+    pruneRecords().catch(err => console.warn('Could not prune recorded arrivals:', err));
+  }, [enabled]);
+
+  return null;
+}
+
+export default ArrivalRecorder;
@@ -1,75 +1,218 @@
-import { useEffect, useState } from 'react';
-import { MapContainer, TileLayer, Marker, Popup } from 'react-leaflet';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { MapContainer, TileLayer, useMap, useMapEvents } from 'react-leaflet';
+import { getArrivals, getBusStops, isAbortError } from './apiClient';
 import config from './config';
-import { isValidStopData } from './utils';
+import FavouriteButton from './FavouriteButton';
+import MapViewSync from './MapViewSync';
+import StopLayer, { FlyToStop } from './StopLayer';
+import StopServices from './StopServices';
+import { splitTile, tileBbox, tileId, tilesForBounds } from './utils';
 
-function BusMap() {
-  const [busStops, setBusStops] = useState([]);
-  const [arrivals, setArrivals] = useState({});
+// Stops are requested per grid tile so that panning back over an area
+// reuses what was already loaded
+const TILE_SIZE = 0.04;       // Degrees (~4.4 km)
+const TILE_LIMIT = 500;       // `limit` sent with each tile request
+const MAX_TILE_SPLITS = 2;    // Times a full tile is split into quadrants
+const DEBOUNCE_MS = 300;
+
+// Between `islandZoom` and `minZoom` stops are clustered and loaded in
+// coarser tiles, each covering 4 x 4 regular tiles
+const OVERVIEW_TILE_SIZE = TILE_SIZE * 4;
+const OVERVIEW_TILE_LIMIT = 2000;
+
+// Below `islandZoom` the whole island is in view: it is loaded in one request
+const { bbox: ISLAND_BBOX, limit: ISLAND_LIMIT } = config.islandStops;
 
-  // Load bus stops in current view
+// The overview tile a regular tile lies in
+const overviewTileOf = (tile) => ({
+  x: Math.floor(tile.x / 4),
+  y: Math.floor(tile.y / 4),
+  size: OVERVIEW_TILE_SIZE
+});
+
+// Reports the map viewport once on mount and after every pan or zoom
+function ViewportWatcher({ onChange }) {
+  const map = useMap();
+  useMapEvents({
+    moveend: () => onChange(map),
+    zoomend: () => onChange(map)
+  });
   useEffect(() => {
-    const bbox = "103.8,1.3,103.9,1.4"; // Singapore bounds
-    fetch(config.getApiUrl(`/api/bus-stops?bbox=${bbox}&limit=200`))
-      .then(res => res.json())
-      .then(data => {
-        if (data.success && data.data.stops) {
-          // Convert API response to GeoJSON format
-          const features = Object.entries(data.data.stops)
-            .filter(([code, stopData]) => isValidStopData(stopData))
-            .map(([code, stopData]) => ({
-              type: 'Feature',
-              properties: {
-                code: code,
-                name: stopData[2],
-                road: stopData[3],
-                services: [] // API doesn't provide services in this endpoint
-              },
-              geometry: {
-                type: 'Point',
-                coordinates: [stopData[0], stopData[1]]
-              }
-            }));
-          setBusStops(features);
-        } else {
-          console.error('Failed to load bus stops:', data);
-        }
-      })
-      .catch(err => console.error('Failed to load bus stops:', err));
+    onChange(map);
+  }, [map, onChange]);
+  return null;
+}
+
+// Adds newly loaded stops to the map of stops by code
+const mergeStops = (stopsByCode, stops) => {
+  const next = { ...stopsByCode };
+  stops.forEach(stop => { next[stop.properties.code] = stop; });
+  return next;
+};
+
+const toBoundsArray = (latLngBounds) => [
+  [latLngBounds.getSouth(), latLngBounds.getWest()],
+  [latLngBounds.getNorth(), latLngBounds.getEast()]
+];
+
+function BusMap({ minZoom = 14, islandZoom = 12, focusStop = null, view = null, onViewChange }) {
+  const [stopsByCode, setStopsByCode] = useState({});
+  const [arrivals, setArrivals] = useState({});
+  const [viewport, setViewport] = useState(null);
+  const [pendingTiles, setPendingTiles] = useState(0);
+  const [truncatedTiles, setTruncatedTiles] = useState({});
+  const [islandTruncated, setIslandTruncated] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [popupFocus, setPopupFocus] = useState(null);
+
+  const loadedTiles = useRef(new Set());
+  // Tiles that returned every stop in them, without hitting the limit
+  const completeTiles = useRef(new Set());
+  const islandLoaded = useRef(false);
+  const viewportRequest = useRef(null);
+  const debounceTimer = useRef(null);
+
+  // Load every stop on the island for the clustered overview
+  const loadIsland = useCallback(async (signal) => {
+    setPendingTiles(count => count + 1);
+    try {
+      const stops = await getBusStops({ bbox: ISLAND_BBOX, limit: ISLAND_LIMIT }, { signal });
+      setStopsByCode(prev => mergeStops(prev, stops));
+      setIslandTruncated(stops.length >= ISLAND_LIMIT);
+      islandLoaded.current = true;
+    } finally {
+      setPendingTiles(count => count - 1);
+    }
   }, []);
 
-  // Load real-time arrivals for a specific stop
-  const loadArrivals = async (stopCode) => {
+  // Load one tile, splitting it while the response is cut off by the limit
+  const loadTile = useCallback(async (tile, signal, limit, depth = 0) => {
+    const id = tileId(tile);
+    if (loadedTiles.current.has(id)) return;
+
+    setPendingTiles(count => count + 1);
     try {
-      const response = await fetch(config.getApiUrl(`/api/arrivals?busStopCode=${stopCode}`));
-      const data = await response.json();
-      if (data.success && data.data.arrivals) {
-        setArrivals(prev => ({ ...prev, [stopCode]: data.data.arrivals }));
+      const stops = await getBusStops({ bbox: tileBbox(tile), limit }, { signal });
+      setStopsByCode(prev => mergeStops(prev, stops));
+
+      const truncated = stops.length >= limit;
+      if (truncated && depth < MAX_TILE_SPLITS) {
+        await Promise.all(splitTile(tile).map(quadrant => loadTile(quadrant, signal, limit, depth + 1)));
+      } else if (truncated) {
+        setTruncatedTiles(prev => ({ ...prev, [id]: tileBbox(tile) }));
       } else {
-        console.error('Failed to load arrivals:', data);
+        completeTiles.current.add(id);
       }
+      loadedTiles.current.add(id);
+    } finally {
+      setPendingTiles(count => count - 1);
+    }
+  }, []);
+
+  const loadViewport = useCallback(async (bounds, zoom) => {
+    // A new viewport supersedes tiles still loading for the previous one
+    viewportRequest.current?.abort();
+
+    const controller = new AbortController();
+    viewportRequest.current = controller;
+    setLoadError(null);
+
+    try {
+      if (zoom < islandZoom) {
+        if (!islandLoaded.current) await loadIsland(controller.signal);
+        return;
+      }
+      // The island overview already holds every stop unless it was cut off
+      if (islandLoaded.current && !islandTruncated) return;
+
+      if (zoom < minZoom) {
+        await Promise.all(
+          tilesForBounds(bounds, OVERVIEW_TILE_SIZE)
+            .map(tile => loadTile(tile, controller.signal, OVERVIEW_TILE_LIMIT))
+        );
+        return;
+      }
+      // Skip tiles whose overview tile already brought in all their stops
+      await Promise.all(
+        tilesForBounds(bounds, TILE_SIZE)
+          .filter(tile => !completeTiles.current.has(tileId(overviewTileOf(tile))))
+          .map(tile => loadTile(tile, controller.signal, TILE_LIMIT))
+      );
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error('Failed to load bus stops:', err);
+      setLoadError(err.message);
+    }
+  }, [loadIsland, loadTile, minZoom, islandZoom, islandTruncated]);
+
+  const handleViewportChange = useCallback((map) => {
+    const bounds = toBoundsArray(map.getBounds());
+    const zoom = map.getZoom();
+    setViewport({ bounds, zoom });
+
+    clearTimeout(debounceTimer.current);
+    debounceTimer.current = setTimeout(() => loadViewport(bounds, zoom), DEBOUNCE_MS);
+  }, [loadViewport]);
+
+  useEffect(() => () => {
+    clearTimeout(debounceTimer.current);
+    viewportRequest.current?.abort();
+  }, []);
+
+  const busStops = useMemo(() => Object.values(stopsByCode), [stopsByCode]);
+  const islandView = viewport !== null && viewport.zoom < islandZoom;
+
+  // Truncated tiles that overlap the viewport
+  const visibleTruncation = useMemo(() => {
+    if (!viewport || islandView) return false;
+    const [[south, west], [north, east]] = viewport.bounds;
+    return Object.values(truncatedTiles).some(([minLng, minLat, maxLng, maxLat]) =>
+      minLng <= east && maxLng >= west && minLat <= north && maxLat >= south
+    );
+  }, [truncatedTiles, viewport, islandView]);
+
+  // Load real-time arrivals for a specific stop
+  const loadArrivals = useCallback(async (stopCode) => {
+    try {
+      const stopArrivals = await getArrivals(stopCode);
+      setArrivals(prev => ({ ...prev, [stopCode]: stopArrivals }));
     } catch (error) {
       console.error('Failed to load arrivals:', error);
     }
-  };
+  }, []);
+
+  // Show the focused stop even if its tile is not loaded yet, then open it
+  const handleFocusArrive = useCallback((target) => {
+    setStopsByCode(prev => mergeStops(prev, [target.stop]));
+    setPopupFocus({ code: target.stop.properties.code });
+    loadArrivals(target.stop.properties.code);
+  }, [loadArrivals]);
+
+  const statusMessage = !viewport ? null
+    : loadError ? `❌ Failed to load bus stops: ${loadError}`
+    : pendingTiles > 0 ? '🔄 Loading bus stops...'
+    : islandView && islandTruncated ? `⚠️ Overview limited to ${ISLAND_LIMIT} stops - zoom in to see the rest`
+    : visibleTruncation ? '⚠️ Some areas have more stops than could be loaded - not all are shown'
+    : null;
 
   return (
-    <MapContainer center={[1.3521, 103.8198]} zoom={11} style={{ height: '100vh' }}>
-      <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
-      {busStops.map(stop => (
-        <Marker 
-          key={stop.properties.code}
-          position={[stop.geometry.coordinates[1], stop.geometry.coordinates[0]]}
-          eventHandlers={{
-            click: () => loadArrivals(stop.properties.code)
-          }}
-        >
-          <Popup>
+    <div style={{ position: 'relative', height: '100vh' }}>
+      <MapContainer center={[1.3521, 103.8198]} zoom={11} style={{ height: '100vh' }}>
+        <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
+        <ViewportWatcher onChange={handleViewportChange} />
+        <MapViewSync view={view} onViewChange={onViewChange} />
+        <FlyToStop target={focusStop} zoom={17} onArrive={handleFocusArrive} />
+        <StopLayer
+          stops={busStops}
+          clusterBelowZoom={minZoom}
+          focus={popupFocus}
+          onStopClick={(stop) => loadArrivals(stop.properties.code)}
+          renderPopup={(stop) => (
             <div>
-              <h3>{stop.properties.name}</h3>
+              <h3>{stop.properties.name} <FavouriteButton stopCode={stop.properties.code} /></h3>
               <p>Stop: {stop.properties.code}</p>
               <p>Road: {stop.properties.road}</p>
-              <p>Services: {stop.properties.services.length > 0 ? stop.properties.services.join(', ') : 'No service info available'}</p>
+              <p>Services: <StopServices code={stop.properties.code} /></p>
               
               {arrivals[stop.properties.code] && (
                 <div>
@@ -85,10 +228,28 @@ function BusMap() {
                 </div>
               )}
             </div>
-          </Popup>
-        </Marker>
-      ))}
-    </MapContainer>
+          )}
+        />
+      </MapContainer>
+
+      {statusMessage && (
+        <div style={{
+          position: 'absolute',
+          top: '10px',
+          left: '50%',
+          transform: 'translateX(-50%)',
+          backgroundColor: loadError ? '#ffebee' : 'rgba(255,255,255,0.95)',
+          color: loadError ? '#c62828' : '#333',
+          padding: '6px 12px',
+          borderRadius: '4px',
+          boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
+          fontSize: '0.9em',
+          zIndex: 1000
+        }}>
+          {statusMessage}
+        </div>
+      )}
+    </div>
   );
 }
 
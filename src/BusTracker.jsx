@@ -1,19 +1,47 @@
-import React, { useEffect, useState, useCallback } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, useMap, Polyline } from 'react-leaflet';
+import React, { useEffect, useState, useCallback, useMemo, useRef } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, useMap, useMapEvents, Polyline } from 'react-leaflet';
 import L from 'leaflet';
-import polyline from '@mapbox/polyline';
+import AlertButton from './AlertButton';
+import FavouriteButton from './FavouriteButton';
+import MapViewSync from './MapViewSync';
 import config from './config';
-import { isValidBusData } from './utils';
-
-// Custom bus icon that rotates based on bearing
-const createBusIcon = (bearing = 0, type = 'SD', isSelected = false) => {
-  const colors = {
-    'SD': '#4444ff', // Single Deck - Blue
-    'DD': '#ff4444', // Double Deck - Red  
-    'BD': '#44ff44'  // Bendy - Green
-  };
-  
-  const color = colors[type] || '#666666';
+import { getArrivals, isAbortError } from './apiClient';
+import { useBusRoutes, usePrefersReducedMotion } from './hooks';
+import { analyseHeadways } from './headways';
+import { locateBusOnRoute, uniqueRouteStops } from './routePatterns';
+import { compassPoint, cumulativeDistances, featureToLatLng, isValidLatLng, pointAlongPath, positionToLatLng, positionsToLatLngs } from './geometry';
+import { getLoadColor, getLoadText, isValidBusData, median, memoize } from './utils';
+import { matchVehicles } from './vehicles';
+import StopLayer from './StopLayer';
+
+// Gaps between pairs of successive buses kept from recent polls for the
+// observed median headway
+const GAP_HISTORY = 60;
+
+const BUNCHED_COLOR = '#ff9800';
+
+// Colours of the tracked services, in the order they were entered
+const SERVICE_COLORS = ['#1976d2', '#d81b60', '#2e7d32', '#6a1b9a', '#00838f', '#5d4037'];
+
+const BUS_TYPE_COLORS = {
+  'SD': '#4444ff', // Single Deck - Blue
+  'DD': '#ff4444', // Double Deck - Red
+  'BD': '#44ff44'  // Bendy - Green
+};
+
+const formatGap = (gap) => (gap < 1 ? '<1 min' : `${Math.round(gap)} min`);
+
+const formatKm = (metres) => `${(metres / 1000).toFixed(1)} km`;
+
+const stopLabel = (stop) => `${stop.properties.name} (${stop.properties.code})`;
+
+// Service numbers go into marker HTML
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// Custom bus icon that rotates based on bearing; bunched buses get an
+// orange outline, and `label` (the service) is shown beside the bus.
+// Icons are memoized so markers keep theirs across the tracker's renders.
+const createBusIcon = memoize((bearing = 0, color = BUS_TYPE_COLORS.SD, isSelected = false, isBunched = false, label = null) => {
   const size = isSelected ? 20 : 16;
   const borderWidth = isSelected ? 3 : 2;
   
@@ -23,10 +51,10 @@ const createBusIcon = (bearing = 0, type = 'SD', isSelected = false) => {
       width: ${size}px; 
       height: ${size}px; 
       background: ${color}; 
-      border: ${borderWidth}px solid ${isSelected ? '#ffff00' : 'white'};
+      border: ${borderWidth}px solid ${isSelected ? '#ffff00' : isBunched ? BUNCHED_COLOR : 'white'};
       border-radius: 3px;
       transform: rotate(${bearing}deg);
-      box-shadow: 0 2px 4px rgba(0,0,0,0.4);
+      box-shadow: ${isBunched ? `0 0 0 3px ${BUNCHED_COLOR}88, ` : ''}0 2px 4px rgba(0,0,0,0.4);
       position: relative;
       cursor: pointer;
     ">
@@ -41,14 +69,24 @@ const createBusIcon = (bearing = 0, type = 'SD', isSelected = false) => {
         border-right: 4px solid transparent;
         border-bottom: 8px solid ${color};
       "></div>
-    </div>`,
+    </div>${label ? `<div style="
+      position: absolute;
+      left: ${size + borderWidth * 2 + 2}px;
+      top: 0;
+      padding: 0 3px;
+      background: ${color};
+      color: white;
+      font: bold 10px/14px sans-serif;
+      border-radius: 3px;
+      white-space: nowrap;
+    ">${escapeHtml(label)}</div>` : ''}`,
     iconSize: [size + borderWidth * 2, size + borderWidth * 2],
     iconAnchor: [(size + borderWidth * 2) / 2, (size + borderWidth * 2) / 2]
   });
-};
+});
 
 // Bus stop icon
-const createStopIcon = (isTerminal = false) => {
+const createStopIcon = memoize((isTerminal = false) => {
   const color = isTerminal ? '#ff6b35' : '#4caf50';
   const size = isTerminal ? 12 : 8;
   
@@ -65,165 +103,307 @@ const createStopIcon = (isTerminal = false) => {
     iconSize: [size + 4, size + 4],
     iconAnchor: [(size + 4) / 2, (size + 4) / 2]
   });
+});
+
+// Where a bus is drawn: on the route when it could be snapped to it
+const busLatLng = (bus) => (bus.route ? positionToLatLng(bus.route.position) : [bus.latitude, bus.longitude]);
+
+// Distance along the route at which a moving marker is drawn at `now`:
+// gliding from `from` to `to` over `duration`, then carrying on at `speed`
+// (metres per ms) for up to config.tracker.deadReckoning
+const motionDistance = (motion, now) => {
+  const elapsed = now - motion.startedAt;
+  if (elapsed < motion.duration) {
+    return motion.from + (motion.to - motion.from) * elapsed / motion.duration;
+  }
+  return motion.to + motion.speed * Math.min(elapsed - motion.duration, config.tracker.deadReckoning);
 };
 
-// Component to auto-fit map bounds to show all buses and route
-function AutoBounds({ arrivals, routeStops, selectedBus }) {
+// Bus marker that follows the route from each position to the next over the
+// refresh interval instead of jumping, and keeps going at the bus's recent
+// speed while no new position arrives. The Leaflet marker is moved directly
+// so the tracker does not re-render on every frame.
+function BusMarker({ bus, pattern, fixedAt, animate, duration, icon, onClick, children }) {
+  const markerRef = useRef(null);
+  const motion = useRef(null);
+  const [initialLatLng] = useState(() => busLatLng(bus));
+
+  const path = pattern?.feature.geometry.coordinates;
+  const distances = useMemo(() => (path ? cumulativeDistances(path) : null), [path]);
+  const routePattern = bus.route?.pattern;
+  const routeDistance = bus.route?.distance;
+  const [lat, lng] = busLatLng(bus);
+
+  // Every poll starts a new leg from wherever the marker is now. A bus
+  // that changed direction or went backwards jumps instead, as does one
+  // that dead reckoning carried past its new position, rather than gliding
+  // back along the route.
+  useEffect(() => {
+    const last = motion.current;
+    if (routeDistance == null || fixedAt == null) {
+      motion.current = null;
+      return;
+    }
+    const now = Date.now();
+    const sameLeg = last && last.pattern === routePattern;
+    const shown = sameLeg ? motionDistance(last, now) : null;
+    const forward = shown != null && routeDistance >= last.to;
+    const glide = forward && routeDistance >= shown;
+    const speed = forward && fixedAt > last.fixedAt
+      ? Math.min((routeDistance - last.to) / (fixedAt - last.fixedAt), config.tracker.maxSpeed / 1000)
+      : 0;
+    motion.current = {
+      pattern: routePattern,
+      from: glide ? shown : routeDistance,
+      to: routeDistance,
+      startedAt: now,
+      duration: glide ? duration : 0,
+      fixedAt,
+      speed
+    };
+  }, [routePattern, routeDistance, fixedAt, duration]);
+
+  useEffect(() => {
+    const marker = markerRef.current;
+    if (!marker) return;
+    if (!animate || !path) {
+      marker.setLatLng([lat, lng]);
+      return;
+    }
+
+    let frame;
+    const step = () => {
+      if (motion.current) {
+        const distance = Math.min(motionDistance(motion.current, Date.now()), distances[distances.length - 1]);
+        const point = pointAlongPath(path, distance, distances);
+        if (point) {
+          marker.setLatLng(positionToLatLng(point.position));
+          const body = marker.getElement()?.firstElementChild;
+          if (body) body.style.transform = `rotate(${point.bearing}deg)`;
+        }
+      } else {
+        marker.setLatLng([lat, lng]);
+      }
+      frame = requestAnimationFrame(step);
+    };
+    step();
+    return () => cancelAnimationFrame(frame);
+  }, [animate, path, distances, lat, lng]);
+
+  return (
+    <Marker ref={markerRef} position={initialLatLng} icon={icon} eventHandlers={{ click: onClick }}>
+      {children}
+    </Marker>
+  );
+}
+
+// Component to auto-fit map bounds to show all buses and route. It fits
+// when the tracked services or stop (`trackedKey`) change, and again once
+// their buses or route first appear, rather than on every poll; once the
+// user has panned or zoomed it leaves the map alone until `trackedKey`
+// changes. With `keepView` (a linked map view) only a selected bus moves
+// the map.
+function AutoBounds({ trackedKey, arrivals, routeStops, selectedBus, keepView = false }) {
   const map = useMap();
-  
+  // What has been fitted for the tracked key
+  const fitted = useRef({ key: null, buses: false, route: false });
+  const userMoved = useRef(false);
+  // Set while the map moves at our request, so it is not taken for the user
+  const moving = useRef(false);
+
+  useMapEvents({
+    dragstart: () => { userMoved.current = true; },
+    zoomstart: () => { if (!moving.current) userMoved.current = true; },
+    moveend: () => { moving.current = false; }
+  });
+
   useEffect(() => {
     if (selectedBus) {
       // Center on selected bus
-      map.setView([selectedBus.latitude, selectedBus.longitude], 15);
-    } else if (arrivals.length > 0 || routeStops.length > 0) {
+      moving.current = true;
+      map.setView(busLatLng(selectedBus), 15);
+      return;
+    }
+    if (keepView) return;
+
+    if (fitted.current.key !== trackedKey) {
+      fitted.current = { key: trackedKey, buses: false, route: false };
+      userMoved.current = false;
+    }
+    if (userMoved.current) return;
+
+    const busCoords = arrivals.flatMap(arrival => arrival.buses
+      .filter(isValidBusData)
+      .map(bus => [bus.latitude, bus.longitude]));
+    const stopCoords = routeStops.map(featureToLatLng).filter(isValidLatLng);
+    const hasBuses = busCoords.length > 0;
+    const hasRoute = stopCoords.length > 0;
+    if ((hasBuses && !fitted.current.buses) || (hasRoute && !fitted.current.route)) {
       // Fit all buses and route stops
-      const coords = [];
-      
-      // Add bus positions
-      arrivals.forEach(arrival => {
-        arrival.buses.forEach(bus => {
-          if (isValidBusData(bus)) {
-            coords.push([bus.latitude, bus.longitude]);
-          }
-        });
-      });
-      
-      // Add route stops
-      routeStops.forEach(stop => {
-        if (isValidBusData(stop)) {
-          coords.push([stop.latitude, stop.longitude]);
-        }
-      });
-      
-      if (coords.length > 0) {
-        const bounds = L.latLngBounds(coords);
-        map.fitBounds(bounds, { padding: [20, 20] });
-      }
+      moving.current = true;
+      map.fitBounds(L.latLngBounds([...busCoords, ...stopCoords]), { padding: [20, 20] });
+      fitted.current = {
+        key: trackedKey,
+        buses: fitted.current.buses || hasBuses,
+        route: fitted.current.route || hasRoute
+      };
     }
-  }, [arrivals, routeStops, selectedBus, map]);
+  }, [trackedKey, arrivals, routeStops, selectedBus, keepView, map]);
   
   return null;
 }
 
 function BusTracker({ 
+  serviceNumbers,
   serviceNumber, 
   busStopCode,
   apiBaseUrl = '',
   refreshInterval = 30000,
-  showRoute = true 
+  showRoute = true,
+  linkedBus = null,
+  onSelectedBusChange,
+  view = null,
+  onViewChange
 }) {
   const [arrivals, setArrivals] = useState([]);
-  const [routeStops, setRouteStops] = useState([]);
-  const [routePath, setRoutePath] = useState([]);
-  const [selectedBus, setSelectedBus] = useState(null);
+  const [selectedBusId, setSelectedBusId] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [lastUpdate, setLastUpdate] = useState(null);
   const [autoRefresh, setAutoRefresh] = useState(true);
   const [connectionStatus, setConnectionStatus] = useState('idle');
+  const [animateSetting, setAnimateSetting] = useState(null);
+  const [gapHistory, setGapHistory] = useState({});
+  const [hiddenServices, setHiddenServices] = useState([]);
+  const [showHeadwaySettings, setShowHeadwaySettings] = useState(false);
+  const [headwaySettings, setHeadwaySettings] = useState({
+    bunchedWithin: config.headways.bunchedWithin,
+    longGapFactor: config.headways.longGapFactor,
+    expected: ''
+  });
+
+  const arrivalsRequest = useRef(null);
+  // Buses of the last poll with their ids (see vehicles.js)
+  const vehicles = useRef({ buses: [], polledAt: null, count: 0 });
 
-  const fetchArrivals = useCallback(async () => {
-    if (!serviceNumber || !busStopCode) return;
+  // Animation follows the reduced motion setting until toggled here
+  const prefersReducedMotion = usePrefersReducedMotion();
+  const animate = animateSetting ?? !prefersReducedMotion;
+
+  // Several services (`serviceNumbers`) or just one (`serviceNumber`); keyed
+  // by their text so a new but equal array does not restart polling
+  const serviceKey = (serviceNumbers || [serviceNumber]).filter(Boolean).join(',');
+  const services = useMemo(() => (serviceKey ? serviceKey.split(',') : []), [serviceKey]);
+  const visibleServices = useMemo(
+    () => services.filter(service => !hiddenServices.includes(service)),
+    [services, hiddenServices]
+  );
+  const serviceColor = (service) => SERVICE_COLORS[Math.max(0, services.indexOf(service)) % SERVICE_COLORS.length];
+
+  const { patternsByService } = useBusRoutes(showRoute ? services : []);
+  const visiblePatterns = visibleServices.flatMap(service => (patternsByService[service] || [])
+    .map(pattern => ({ service, pattern })));
+
+  const routeStops = useMemo(
+    () => uniqueRouteStops(visibleServices.flatMap(service => patternsByService[service] || [])),
+    [patternsByService, visibleServices]
+  );
+
+  const fetchArrivals = useCallback(async ({ force = false } = {}) => {
+    if (services.length === 0 || !busStopCode) return;
     
+    // Supersede any poll still in flight
+    arrivalsRequest.current?.abort();
+    const controller = new AbortController();
+    arrivalsRequest.current = controller;
+
     setIsLoading(true);
     setError(null);
     setConnectionStatus('connecting');
     
     try {
-      const response = await fetch(
-        config.getApiUrl(`/api/arrivals?busStopCode=${busStopCode}`),
-        { 
-          headers: {
-            'Cache-Control': 'no-cache'
-          }
-        }
-      );
+      const stopArrivals = await getArrivals(busStopCode, { signal: controller.signal, force });
       
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+      // Filter arrivals for the tracked services; one request serves them all
+      const filteredArrivals = stopArrivals.filter(arrival => 
+        services.includes(arrival.serviceNo)
+      );
 
-      const data = await response.json();
-      
-      if (data.success && data.data.arrivals) {
-        // Filter arrivals for the specific service number
-        const filteredArrivals = data.data.arrivals.filter(arrival => 
-          arrival.serviceNo === serviceNumber
-        );
-        setArrivals(filteredArrivals);
-        setLastUpdate(new Date());
-        setConnectionStatus('connected');
-      } else {
-        throw new Error(data.error?.message || 'Invalid response format');
-      }
+      // Carry each bus's id over from the last poll of its service
+      const polledAt = Date.now();
+      const tracked = vehicles.current;
+      const elapsed = tracked.polledAt ? (polledAt - tracked.polledAt) / 1000 : 0;
+      const idOf = new Map();
+      filteredArrivals.forEach(arrival => {
+        const located = arrival.buses.filter(isValidBusData);
+        const ids = matchVehicles(tracked.buses.filter(vehicle => vehicle.serviceNo === arrival.serviceNo), located, {
+          maxDistance: Math.max(200, config.tracker.maxSpeed * elapsed),
+          createId: () => `bus-${++tracked.count}`
+        });
+        located.forEach((bus, i) => idOf.set(bus, ids[i]));
+      });
+      vehicles.current = {
+        buses: filteredArrivals.flatMap(arrival => arrival.buses
+          .filter(bus => idOf.has(bus))
+          .map(bus => ({ id: idOf.get(bus), serviceNo: arrival.serviceNo, latitude: bus.latitude, longitude: bus.longitude }))),
+        polledAt,
+        count: tracked.count
+      };
+
+      const identified = filteredArrivals.map(arrival => ({
+        ...arrival,
+        buses: arrival.buses.map(bus => (idOf.has(bus) ? { ...bus, id: idOf.get(bus) } : bus))
+      }));
+      setArrivals(identified);
+
+      // A pair of buses is predicted on every poll until the first arrives:
+      // keep only its latest gap, so that each pair counts once
+      setGapHistory(history => {
+        const next = { ...history };
+        identified.forEach(arrival => {
+          const ordered = analyseHeadways(arrival.buses).buses;
+          const gaps = ordered.slice(1).flatMap((bus, i) => (bus.id && ordered[i].id
+            ? [{ pair: `${ordered[i].id}>${bus.id}`, gap: bus.headway.gapBefore }]
+            : []));
+          const updated = new Set(gaps.map(entry => entry.pair));
+          next[arrival.serviceNo] = [
+            ...(history[arrival.serviceNo] || []).filter(entry => !updated.has(entry.pair)),
+            ...gaps
+          ].slice(-GAP_HISTORY);
+        });
+        return next;
+      });
+      setLastUpdate(new Date(polledAt));
+      setConnectionStatus('connected');
     } catch (err) {
+      if (isAbortError(err)) return;
       setError(err.message);
       setConnectionStatus('error');
       console.error('Failed to fetch bus arrivals:', err);
     } finally {
-      setIsLoading(false);
+      if (!controller.signal.aborted) setIsLoading(false);
     }
-  }, [serviceNumber, busStopCode, apiBaseUrl]);
+  }, [services, busStopCode]);
 
-  const fetchRouteData = useCallback(async () => {
-    if (!serviceNumber) return;
-    
-    try {
-      // Fetch route path
-      const routeResponse = await fetch(
-        config.getApiUrl(`/api/bus-routes?service=${serviceNumber}`)
-      );
-      
-      if (routeResponse.ok) {
-        const routeData = await routeResponse.json();
-        if (routeData.success && routeData.data.routes && routeData.data.routes[serviceNumber]) {
-          const routeInfo = routeData.data.routes[serviceNumber];
-          const paths = [];
-          
-          // Handle polylines if available
-          if (routeInfo.polylines && Array.isArray(routeInfo.polylines)) {
-            routeInfo.polylines.forEach((polylineString) => {
-              try {
-                // Decode the polyline string to get coordinates
-                const coordinates = polyline.decode(polylineString);
-                paths.push(coordinates);
-              } catch (error) {
-                console.error('Failed to decode polyline:', error);
-              }
-            });
-          }
-          
-          setRoutePath(paths);
-        }
-      }
-      
-      // Fetch route stops - this endpoint might not exist, so we'll skip it for now
-      // The API doesn't seem to have a service-specific stops endpoint
-      setRouteStops([]);
-    } catch (err) {
-      console.error('Failed to fetch route data:', err);
-    }
-  }, [serviceNumber, apiBaseUrl]);
+  // The observed medians and bus ids only make sense at one stop
+  useEffect(() => {
+    setGapHistory({});
+    vehicles.current = { buses: [], polledAt: null, count: vehicles.current.count };
+  }, [busStopCode]);
+
+  // Cancel outstanding requests on unmount
+  useEffect(() => () => {
+    arrivalsRequest.current?.abort();
+  }, []);
 
   useEffect(() => {
     fetchArrivals();
-    fetchRouteData();
     
     if (autoRefresh) {
       const interval = setInterval(fetchArrivals, refreshInterval);
       return () => clearInterval(interval);
     }
-  }, [fetchArrivals, fetchRouteData, autoRefresh, refreshInterval]);
-
-  const getLoadText = (load) => {
-    const loads = ['Seats Available', 'Standing Available', 'Limited Standing'];
-    return loads[load] || 'Unknown';
-  };
-
-  const getLoadColor = (load) => {
-    const colors = ['#4caf50', '#ff9800', '#f44336'];
-    return colors[load] || '#9e9e9e';
-  };
+  }, [fetchArrivals, autoRefresh, refreshInterval]);
 
   const getConnectionStatusColor = () => {
     switch (connectionStatus) {
@@ -234,16 +414,95 @@ function BusTracker({
     }
   };
 
-  // Flatten all buses from all arrivals
-  const allBuses = arrivals.flatMap(arrival => 
-    arrival.buses.map(bus => ({
+  // Expected headway: set here (for every service), else configured for
+  // the service, else the median gap seen since tracking started
+  const enteredHeadway = parseFloat(headwaySettings.expected) > 0 ? parseFloat(headwaySettings.expected) : null;
+  const bunchedWithin = parseFloat(headwaySettings.bunchedWithin) >= 0 ? parseFloat(headwaySettings.bunchedWithin) : undefined;
+  const longGapFactor = parseFloat(headwaySettings.longGapFactor) > 1 ? parseFloat(headwaySettings.longGapFactor) : undefined;
+
+  // Per service: its buses in arrival order with their gaps to the buses
+  // before and after (including buses without a position)
+  const headwaysByService = useMemo(() => {
+    const byService = {};
+    services.forEach(service => {
+      const configuredHeadway = enteredHeadway ?? config.headways.expected[service] ?? null;
+      const expectedHeadway = configuredHeadway ?? median((gapHistory[service] || []).map(entry => entry.gap));
+      const buses = arrivals
+        .filter(arrival => arrival.serviceNo === service)
+        .flatMap(arrival => arrival.buses.map(bus => ({
+          ...bus,
+          serviceNo: arrival.serviceNo,
+          operator: arrival.operator
+        })));
+      byService[service] = {
+        ...analyseHeadways(buses, { expectedHeadway, bunchedWithin, longGapFactor }),
+        configuredHeadway,
+        expectedHeadway
+      };
+    });
+    return byService;
+  }, [services, arrivals, gapHistory, enteredHeadway, bunchedWithin, longGapFactor]);
+
+  // Buses of the visible services; those on the route are drawn snapped
+  // onto it, pointing along it
+  const allBuses = useMemo(() => visibleServices.flatMap(service => headwaysByService[service].buses
+    .filter(isValidBusData)
+    .map(bus => ({
       ...bus,
-      serviceNo: arrival.serviceNo,
-      operator: arrival.operator
-    }))
-  ).filter(bus => bus.latitude && bus.longitude);
+      route: locateBusOnRoute(patternsByService[service] || [], [bus.longitude, bus.latitude], busStopCode)
+    }))), [visibleServices, headwaysByService, patternsByService, busStopCode]);
+
+  const visibleArrivals = useMemo(
+    () => arrivals.filter(arrival => visibleServices.includes(arrival.serviceNo)),
+    [arrivals, visibleServices]
+  );
+
+  const selectedBus = useMemo(
+    () => allBuses.find(bus => bus.id === selectedBusId) || null,
+    [allBuses, selectedBusId]
+  );
+
+  // A bus picked by a link ({ service, rank }: the rank-th bus of the
+  // service due at the stop) is selected once the arrivals are in; from
+  // then on the selection is reported back in the same form
+  const [pendingBus, setPendingBus] = useState(linkedBus);
+  useEffect(() => {
+    setPendingBus(linkedBus);
+  }, [linkedBus]);
+
+  useEffect(() => {
+    if (!pendingBus || !lastUpdate) return;
+    const bus = headwaysByService[pendingBus.service]?.buses[pendingBus.rank - 1];
+    setSelectedBusId(bus?.id ?? null);
+    setPendingBus(null);
+  }, [pendingBus, lastUpdate, headwaysByService]);
+
+  const selectedService = selectedBus?.serviceNo ?? null;
+  const selectedRank = selectedBus
+    ? headwaysByService[selectedBus.serviceNo].buses.findIndex(bus => bus.id === selectedBus.id) + 1
+    : 0;
+  useEffect(() => {
+    if (pendingBus || !onSelectedBusChange) return;
+    onSelectedBusChange(selectedService ? { service: selectedService, rank: selectedRank } : null);
+  }, [pendingBus, selectedService, selectedRank, onSelectedBusChange]);
+
+  const updateHeadwaySetting = (name) => (e) => {
+    const { value } = e.target;
+    setHeadwaySettings(current => ({ ...current, [name]: value }));
+  };
+
+  const toggleService = (service) => {
+    setHiddenServices(current => (current.includes(service)
+      ? current.filter(entry => entry !== service)
+      : [...current, service]));
+  };
+
+  // Markers are coloured by bus type for one service, by service for several
+  const busColor = (bus) => (services.length > 1
+    ? serviceColor(bus.serviceNo)
+    : BUS_TYPE_COLORS[bus.type] || '#666666');
 
-  if (!serviceNumber || !busStopCode) {
+  if (services.length === 0 || !busStopCode) {
     return (
       <div style={{ 
         padding: '20px', 
@@ -253,9 +512,9 @@ function BusTracker({
         border: '1px solid #ddd'
       }}>
         <div style={{ fontSize: '1.2em', marginBottom: '10px' }}>🚌</div>
-        <div>Please enter a service number and bus stop code to track buses</div>
+        <div>Please enter one or more service numbers and a bus stop code to track buses</div>
         <div style={{ fontSize: '0.9em', color: '#666', marginTop: '5px' }}>
-          Example: Service 10, Stop 65011 (Sengkang Int)
+          Example: Services 27, 80, Stop 65011 (Sengkang Int)
         </div>
       </div>
     );
@@ -276,7 +535,21 @@ function BusTracker({
       }}>
         <div>
           <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-            <strong>🚌 Bus Service {serviceNumber} - Arrivals at Stop {busStopCode}</strong>
+            <strong>
+              🚌 Bus Service{services.length > 1 ? 's' : ''} {services.join(', ')} - Arrivals at Stop {busStopCode}
+            </strong>
+            {services.length === 1 ? (
+              <>
+                <FavouriteButton stopCode={busStopCode} service={services[0]} label="My Buses" />
+                <AlertButton stopCode={busStopCode} service={services[0]} />
+              </>
+            ) : services.map(service => (
+              <span key={service} style={{ display: 'inline-flex', alignItems: 'center', gap: '2px', color: serviceColor(service), fontWeight: 'bold' }}>
+                {service}
+                <FavouriteButton stopCode={busStopCode} service={service} />
+                <AlertButton stopCode={busStopCode} service={service} />
+              </span>
+            ))}
             <div style={{
               width: '8px',
               height: '8px',
@@ -301,9 +574,37 @@ function BusTracker({
             />
             Auto-refresh ({refreshInterval/1000}s)
           </label>
+
+          <label
+            style={{ fontSize: '0.9em', display: 'flex', alignItems: 'center' }}
+            title={prefersReducedMotion ? 'Off by default because your system asks for reduced motion' : undefined}
+          >
+            <input
+              type="checkbox"
+              checked={animate}
+              onChange={(e) => setAnimateSetting(e.target.checked)}
+              style={{ marginRight: '5px' }}
+            />
+            Animate buses
+          </label>
+
+          <button
+            onClick={() => setShowHeadwaySettings(!showHeadwaySettings)}
+            title="Bunching thresholds"
+            style={{
+              padding: '6px 10px',
+              backgroundColor: showHeadwaySettings ? '#bbdefb' : 'white',
+              border: '1px solid #1976d2',
+              borderRadius: '4px',
+              cursor: 'pointer',
+              fontSize: '0.9em'
+            }}
+          >
+            ⚙️ Headways
+          </button>
           
           <button 
-            onClick={fetchArrivals}
+            onClick={() => fetchArrivals({ force: true })}
             disabled={isLoading}
             style={{
               padding: '6px 12px',
@@ -318,6 +619,45 @@ function BusTracker({
             {isLoading ? '🔄 Updating...' : '🔄 Refresh'}
           </button>
         </div>
+
+        {showHeadwaySettings && (
+          <div style={{ flexBasis: '100%', display: 'flex', alignItems: 'center', gap: '12px', flexWrap: 'wrap', fontSize: '0.85em' }}>
+            <label>
+              Expected headway
+              <input
+                type="number"
+                min="1"
+                value={headwaySettings.expected}
+                onChange={updateHeadwaySetting('expected')}
+                placeholder="auto"
+                title="Applies to every tracked service; leave empty to use config.headways.expected or the observed median"
+                style={{ width: '55px', marginLeft: '5px' }}
+              /> min
+            </label>
+            <label>
+              Bunched within
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={headwaySettings.bunchedWithin}
+                onChange={updateHeadwaySetting('bunchedWithin')}
+                style={{ width: '55px', marginLeft: '5px' }}
+              /> min
+            </label>
+            <label>
+              Long gap at
+              <input
+                type="number"
+                min="1"
+                step="0.1"
+                value={headwaySettings.longGapFactor}
+                onChange={updateHeadwaySetting('longGapFactor')}
+                style={{ width: '55px', marginLeft: '5px' }}
+              /> × expected
+            </label>
+          </div>
+        )}
       </div>
 
       {/* Status Bar */}
@@ -337,7 +677,7 @@ function BusTracker({
             </span>
           ) : allBuses.length === 0 ? (
             <span style={{ color: '#f57c00' }}>
-              ⚠️ No buses currently active for service {serviceNumber}
+              ⚠️ No buses currently active for service{services.length > 1 ? 's' : ''} {services.join(', ')}
             </span>
           ) : (
             <span style={{ color: '#2e7d32' }}>
@@ -345,11 +685,29 @@ function BusTracker({
               {selectedBus && ` | Selected: ${selectedBus.visitNumber || 'Unknown'}`}
             </span>
           )}
+          {!error && visibleServices.map(service => {
+            const headways = headwaysByService[service];
+            if (headways.gaps.length === 0) return null;
+            return (
+              <span key={service} style={{ color: '#555', marginLeft: '10px' }}>
+                | {services.length > 1 && <strong style={{ color: serviceColor(service) }}>{service}: </strong>}
+                Expected every {headways.expectedHeadway != null ? formatGap(headways.expectedHeadway) : '?'}
+                {headways.configuredHeadway == null && ' (observed median)'}
+                {' · '}observed {formatGap(headways.observedHeadway)}
+                {headways.bunchedCount > 0 && (
+                  <span style={{ color: '#e65100', fontWeight: 'bold' }}> · ⚠️ {headways.bunchedCount} bunched</span>
+                )}
+                {headways.longGapCount > 0 && (
+                  <span style={{ color: '#c62828' }}> · {headways.longGapCount} long gap{headways.longGapCount !== 1 ? 's' : ''}</span>
+                )}
+              </span>
+            );
+          })}
         </div>
         
         {selectedBus && (
           <button
-            onClick={() => setSelectedBus(null)}
+            onClick={() => setSelectedBusId(null)}
             style={{
               padding: '4px 8px',
               backgroundColor: '#ff9800',
@@ -373,26 +731,45 @@ function BusTracker({
           borderBottom: '1px solid #ddd',
           fontSize: '0.85em'
         }}>
-          <strong>Active Buses:</strong> {allBuses.map((bus, index) => (
-            <span key={`${bus.visitNumber}-${bus.estimatedArrival}`}>
-              <button
-                onClick={() => setSelectedBus(bus)}
-                style={{
-                  background: selectedBus?.visitNumber === bus.visitNumber ? '#1976d2' : 'transparent',
-                  color: selectedBus?.visitNumber === bus.visitNumber ? 'white' : '#1976d2',
-                  border: '1px solid #1976d2',
-                  borderRadius: '3px',
-                  padding: '2px 6px',
-                  margin: '0 2px',
-                  cursor: 'pointer',
-                  fontSize: '0.9em'
-                }}
-              >
-                {bus.minutesAway}m
-              </button>
-              {index < allBuses.length - 1 && ' '}
-            </span>
-          ))}
+          <strong>Active Buses:</strong> {visibleServices.map(service => {
+            const buses = allBuses.filter(bus => bus.serviceNo === service);
+            if (buses.length === 0) return null;
+            const color = serviceColor(service);
+            return (
+              <span key={service} style={{ marginRight: '10px' }}>
+                {services.length > 1 && <strong style={{ color }}>{service}: </strong>}
+                {buses.map((bus, index) => (
+                  <span key={bus.id}>
+                    {index > 0 && bus.headway.gapBefore != null && (
+                      <span
+                        title={bus.headway.longGapBefore ? 'Long gap' : 'Gap to the bus before'}
+                        style={{ color: bus.headway.longGapBefore ? '#c62828' : '#999', fontWeight: bus.headway.longGapBefore ? 'bold' : 'normal' }}
+                      >
+                        ‹{formatGap(bus.headway.gapBefore)}›{' '}
+                      </span>
+                    )}
+                    <button
+                      onClick={() => setSelectedBusId(bus.id)}
+                      title={bus.headway.bunched ? 'Bunched with the bus before or after' : undefined}
+                      style={{
+                        background: selectedBusId === bus.id ? color : bus.headway.bunched ? '#fff3e0' : 'transparent',
+                        color: selectedBusId === bus.id ? 'white' : color,
+                        border: `1px solid ${bus.headway.bunched ? BUNCHED_COLOR : color}`,
+                        borderRadius: '3px',
+                        padding: '2px 6px',
+                        margin: '0 2px',
+                        cursor: 'pointer',
+                        fontSize: '0.9em'
+                      }}
+                    >
+                      {bus.headway.bunched && '⚠️ '}{bus.minutesAway}m
+                    </button>
+                    {index < buses.length - 1 && ' '}
+                  </span>
+                ))}
+              </span>
+            );
+          })}
         </div>
       )}
 
@@ -408,52 +785,71 @@ function BusTracker({
           attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
         />
         
-        <AutoBounds arrivals={arrivals} routeStops={routeStops} selectedBus={selectedBus} />
+        <AutoBounds
+          trackedKey={`${visibleServices.join(',')}@${busStopCode}`}
+          arrivals={visibleArrivals}
+          routeStops={routeStops}
+          selectedBus={selectedBus}
+          keepView={Boolean(view)}
+        />
+        <MapViewSync view={view} onViewChange={onViewChange} />
         
-                 {/* Route path */}
-         {showRoute && routePath.map((path, index) => (
-           <Polyline
-             key={`route-${index}`}
-             positions={path.map(coord => [coord[0], coord[1]])}
-             color="#1976d2"
-             weight={3}
-             opacity={0.7}
-           />
-         ))}
+        {/* Route path */}
+        {showRoute && visiblePatterns.map(({ service, pattern }) => (
+          <Polyline
+            key={`route-${service}-${pattern.pattern}`}
+            positions={positionsToLatLngs(pattern.feature.geometry.coordinates)}
+            color={serviceColor(service)}
+            weight={3}
+            opacity={0.7}
+          />
+        ))}
         
         {/* Bus stop markers */}
-        {showRoute && routeStops.map(stop => (
-          <Marker 
-            key={stop.code}
-            position={[stop.latitude, stop.longitude]}
-            icon={createStopIcon(stop.isTerminal)}
-          >
-            <Popup>
+        {showRoute && (
+          <StopLayer
+            stops={routeStops}
+            clusterBelowZoom={12}
+            markersFromZoom={15}
+            getIcon={(stop) => createStopIcon(stop.properties.isTerminal)}
+            getCircleStyle={(stop) => ({
+              fillColor: stop.properties.isTerminal ? '#ff6b35' : '#4caf50',
+              radius: stop.properties.isTerminal ? 6 : 4
+            })}
+            renderPopup={(stop) => (
               <div style={{ minWidth: '200px' }}>
                 <h4 style={{ margin: '0 0 8px 0', color: '#1976d2' }}>
-                  🚏 {stop.name}
+                  🚏 {stop.properties.name}
                 </h4>
                 <div style={{ fontSize: '0.9em' }}>
-                  <div><strong>Code:</strong> {stop.code}</div>
-                  <div><strong>Road:</strong> {stop.road}</div>
-                  {stop.isTerminal && (
+                  <div><strong>Code:</strong> {stop.properties.code}</div>
+                  <div><strong>Road:</strong> {stop.properties.road}</div>
+                  {stop.properties.isTerminal && (
                     <div style={{ color: '#ff6b35', fontWeight: 'bold' }}>🚌 Terminal/Interchange</div>
                   )}
                 </div>
               </div>
-            </Popup>
-          </Marker>
-        ))}
+            )}
+          />
+        )}
         
         {/* Bus markers */}
-        {allBuses.map((bus, index) => (
-          <Marker 
-            key={`${bus.visitNumber}-${bus.estimatedArrival}-${index}`}
-            position={[bus.latitude, bus.longitude]}
-            icon={createBusIcon(0, 'SD', selectedBus?.visitNumber === bus.visitNumber)}
-            eventHandlers={{
-              click: () => setSelectedBus(bus)
-            }}
+        {allBuses.map(bus => (
+          <BusMarker
+            key={bus.id}
+            bus={bus}
+            pattern={bus.route && patternsByService[bus.serviceNo]?.find(pattern => pattern.pattern === bus.route.pattern)}
+            fixedAt={lastUpdate?.getTime()}
+            animate={animate}
+            duration={refreshInterval}
+            icon={createBusIcon(
+              Math.round(bus.route?.bearing ?? 0),
+              busColor(bus),
+              selectedBusId === bus.id,
+              bus.headway.bunched,
+              services.length > 1 ? bus.serviceNo : null
+            )}
+            onClick={() => setSelectedBusId(bus.id)}
           >
             <Popup>
               <div style={{ minWidth: '280px' }}>
@@ -479,6 +875,40 @@ function BusTracker({
                         </span>
                       </td>
                     </tr>
+                    {bus.route && (
+                      <tr>
+                        <td style={{ padding: '4px 8px 4px 0', fontWeight: 'bold', verticalAlign: 'top' }}>Progress:</td>
+                        <td style={{ padding: '4px 0' }}>
+                          <div>
+                            {formatKm(bus.route.distance)} along direction {bus.route.direction}, heading {compassPoint(bus.route.bearing)}
+                          </div>
+                          {bus.route.previousStop && <div>Passed: {stopLabel(bus.route.previousStop)}</div>}
+                          {bus.route.nextStop && <div>Next: {stopLabel(bus.route.nextStop)}</div>}
+                          {bus.route.stopsBefore != null && (
+                            <div style={{ fontWeight: 'bold' }}>
+                              {bus.route.stopsBefore === 0
+                                ? `Next stop is ${busStopCode}`
+                                : `${bus.route.stopsBefore} stop${bus.route.stopsBefore !== 1 ? 's' : ''} before ${busStopCode}`}
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                    <tr>
+                      <td style={{ padding: '4px 8px 4px 0', fontWeight: 'bold' }}>Headway:</td>
+                      <td style={{ padding: '4px 0' }}>
+                        {bus.headway.bunched && (
+                          <div style={{ color: '#e65100', fontWeight: 'bold' }}>⚠️ Bunched</div>
+                        )}
+                        {bus.headway.gapBefore != null && (
+                          <div style={{ color: bus.headway.longGapBefore ? '#c62828' : 'inherit' }}>
+                            {formatGap(bus.headway.gapBefore)} after the previous bus
+                          </div>
+                        )}
+                        {bus.headway.gapAfter != null && <div>{formatGap(bus.headway.gapAfter)} before the next bus</div>}
+                        {bus.headway.gapBefore == null && bus.headway.gapAfter == null && 'Only bus expected'}
+                      </td>
+                    </tr>
                     <tr>
                       <td style={{ padding: '4px 8px 4px 0', fontWeight: 'bold' }}>Load:</td>
                       <td style={{ padding: '4px 0' }}>
@@ -529,12 +959,12 @@ function BusTracker({
                   fontSize: '0.8em',
                   border: '1px solid #cce7ff'
                 }}>
-                  💡 <strong>Tip:</strong> Click other buses to compare arrival times. Route shown in blue.
+                  💡 <strong>Tip:</strong> Click other buses to compare arrival times. Route shown in {services.length > 1 ? "the service's colour" : 'blue'}.
                 </div>
                 
                 <div style={{ marginTop: '8px', textAlign: 'center' }}>
                   <button
-                    onClick={() => setSelectedBus(bus)}
+                    onClick={() => setSelectedBusId(bus.id)}
                     style={{
                       padding: '6px 12px',
                       backgroundColor: '#1976d2',
@@ -550,12 +980,12 @@ function BusTracker({
                 </div>
               </div>
             </Popup>
-          </Marker>
+          </BusMarker>
         ))}
       </MapContainer>
       
       {/* Legend */}
-      {(allBuses.length > 0 || routeStops.length > 0) && (
+      {(allBuses.length > 0 || routeStops.length > 0 || services.length > 1) && (
         <div style={{ 
           position: 'absolute', 
           bottom: '10px', 
@@ -569,10 +999,30 @@ function BusTracker({
           border: '1px solid #ddd',
           minWidth: '180px'
         }}>
-          <div style={{ fontWeight: 'bold', marginBottom: '6px' }}>🚌 Bus Types:</div>
-          <div style={{ marginBottom: '3px' }}>🔵 Single Deck</div>
-          <div style={{ marginBottom: '3px' }}>🔴 Double Deck</div>
-          <div style={{ marginBottom: '8px' }}>🟢 Bendy Bus</div>
+          {services.length > 1 ? (
+            <>
+              <div style={{ fontWeight: 'bold', marginBottom: '6px' }}>🚌 Services:</div>
+              {services.map(service => (
+                <label key={service} style={{ display: 'flex', alignItems: 'center', gap: '5px', marginBottom: '3px', cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={!hiddenServices.includes(service)}
+                    onChange={() => toggleService(service)}
+                  />
+                  <span style={{ width: '12px', height: '12px', borderRadius: '2px', backgroundColor: serviceColor(service) }}></span>
+                  {service}
+                </label>
+              ))}
+            </>
+          ) : (
+            <>
+              <div style={{ fontWeight: 'bold', marginBottom: '6px' }}>🚌 Bus Types:</div>
+              <div style={{ marginBottom: '3px' }}>🔵 Single Deck</div>
+              <div style={{ marginBottom: '3px' }}>🔴 Double Deck</div>
+              <div style={{ marginBottom: '3px' }}>🟢 Bendy Bus</div>
+            </>
+          )}
+          <div style={{ marginBottom: '8px' }}>🟧 Bunched (orange outline)</div>
           
           {showRoute && (
             <>
@@ -0,0 +1,213 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useAllStops, useStopsArrivals } from './hooks';
+import { getLoadColor, getLoadText, minutesUntil } from './utils';
+
+const DECK_LABELS = { SD: 'Single deck', DD: 'Double deck', BD: 'Bendy bus' };
+const BOARD_COLOR = '#ffd54f';
+
+// One row per service at each stop, soonest first; services with no buses
+// expected go last
+const boardRows = (stops, now) => {
+  const rows = stops.flatMap(stop => stop.arrivals.map(arrival => {
+    const buses = arrival.buses.slice(0, 3).map(bus => ({ ...bus, minutes: minutesUntil(bus, now) }));
+    return {
+      id: `${stop.code}:${arrival.serviceNo}`,
+      stopCode: stop.code,
+      serviceNo: arrival.serviceNo,
+      destinationCode: buses[0]?.destinationCode,
+      buses,
+      next: buses.length > 0 ? buses[0].minutes : Infinity
+    };
+  }));
+  return rows.sort((a, b) =>
+    a.next - b.next || a.serviceNo.localeCompare(b.serviceNo, undefined, { numeric: true })
+  );
+};
+
+function BusTime({ bus, stale }) {
+  return (
+    <span
+      title={`${getLoadText(bus.load)}${bus.type ? `, ${DECK_LABELS[bus.type] || bus.type}` : ''}`}
+      style={{ display: 'inline-flex', flexDirection: 'column', alignItems: 'center', minWidth: '4.5em' }}
+    >
+      <span style={{ fontWeight: 'bold', color: stale ? '#9e9e9e' : getLoadColor(bus.load) }}>
+        {bus.minutes === 0 ? 'Arr' : `${bus.minutes} min`}
+      </span>
+      <span style={{ fontSize: '0.45em', color: '#bbb', whiteSpace: 'nowrap' }}>
+        {bus.feature === 'WAB' && <span title="Wheelchair accessible">♿ </span>}
+        {bus.type && <span title={DECK_LABELS[bus.type] || bus.type}>{bus.type}</span>}
+      </span>
+    </span>
+  );
+}
+
+/**
+ * Departure board for one or more stops, meant to run unattended on a
+ * lobby screen: large type, a clock, every service sorted by its next bus
+ * with the next three buses coloured by load, pages that rotate when there
+ * are more services than fit, and a warning when the data is out of date.
+ *
+ * @param {Object} props
+ * @param {Array<string>} props.stopCodes - Bus stop codes to show
+ * @param {number} [props.refreshInterval] - Arrivals refresh interval in ms
+ * @param {number} [props.rowsPerPage] - Services shown per page
+ * @param {number} [props.pageInterval] - Time each page is shown, in ms
+ * @param {number} [props.staleAfter] - Age in ms after which data is flagged
+ *   as out of date
+ */
+function DepartureBoard({
+  stopCodes,
+  refreshInterval = 30000,
+  rowsPerPage = 8,
+  pageInterval = 10000,
+  staleAfter = 90000
+}) {
+  const [now, setNow] = useState(Date.now);
+  const [page, setPage] = useState(0);
+  const [fullscreen, setFullscreen] = useState(false);
+  const boardRef = useRef(null);
+
+  const { stops, loading } = useStopsArrivals(stopCodes, refreshInterval);
+  const { stopsByCode } = useAllStops();
+
+  const stopName = (code) => stopsByCode[code]?.properties.name || code;
+
+  // The clock also drives the countdown between polls
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const rows = boardRows(stops, now);
+  const pageCount = Math.max(1, Math.ceil(rows.length / rowsPerPage));
+  const currentPage = page % pageCount;
+
+  useEffect(() => {
+    if (pageCount < 2) return;
+    const timer = setInterval(() => setPage(current => (current + 1) % pageCount), pageInterval);
+    return () => clearInterval(timer);
+  }, [pageCount, pageInterval]);
+
+  useEffect(() => {
+    const onChange = () => setFullscreen(document.fullscreenElement === boardRef.current);
+    document.addEventListener('fullscreenchange', onChange);
+    return () => document.removeEventListener('fullscreenchange', onChange);
+  }, []);
+
+  const toggleFullscreen = () => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen();
+    } else if (boardRef.current.requestFullscreen) {
+      boardRef.current.requestFullscreen().catch(err => console.warn('Full screen refused:', err));
+    }
+  };
+
+  // Out of date when any stop failed its last refresh or has not been
+  // updated for `staleAfter`
+  const updates = stops.map(stop => stop.lastUpdated).filter(Boolean);
+  const oldestUpdate = updates.length > 0 ? Math.min(...updates.map(date => date.getTime())) : null;
+  const failed = stops.filter(stop => stop.error);
+  const stale = failed.length > 0 || (oldestUpdate !== null && now - oldestUpdate > staleAfter);
+  const multipleStops = stops.length > 1;
+
+  const statusMessage = stops.length === 0 ? 'No bus stops chosen'
+    : rows.length === 0 && failed.length > 0 ? `Arrival times are unavailable: ${failed[0].error}`
+    : rows.length === 0 && loading ? 'Loading arrivals...'
+    : rows.length === 0 ? 'No buses expected'
+    : null;
+
+  const visibleRows = rows.slice(currentPage * rowsPerPage, (currentPage + 1) * rowsPerPage);
+
+  return (
+    <div
+      ref={boardRef}
+      style={{
+        display: 'flex',
+        flexDirection: 'column',
+        height: fullscreen ? '100vh' : '650px',
+        backgroundColor: '#111',
+        color: 'white',
+        fontFamily: 'Arial, Helvetica, sans-serif',
+        fontSize: fullscreen ? 'clamp(20px, 4vh, 56px)' : '24px',
+        textAlign: 'left',
+        borderRadius: fullscreen ? 0 : '8px',
+        overflow: 'hidden'
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.6em', padding: '0.4em 0.8em', borderBottom: `2px solid ${BOARD_COLOR}` }}>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div style={{ color: BOARD_COLOR, fontWeight: 'bold', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+            🚏 {stops.map(stop => stopName(stop.code)).join(' · ') || 'Departures'}
+          </div>
+          <div style={{ fontSize: '0.5em', color: '#bbb' }}>
+            {stops.map(stop => stop.code).join(', ')}
+            {oldestUpdate && ` · Updated ${new Date(oldestUpdate).toLocaleTimeString()}`}
+          </div>
+        </div>
+        <div style={{ fontSize: '1.4em', fontWeight: 'bold', fontVariantNumeric: 'tabular-nums' }}>
+          {new Date(now).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+        </div>
+        <button
+          onClick={toggleFullscreen}
+          title={fullscreen ? 'Leave full screen' : 'Full screen'}
+          style={{ fontSize: '0.6em', padding: '0.2em 0.5em', background: 'none', color: '#bbb', border: '1px solid #555', borderRadius: '4px', cursor: 'pointer' }}
+        >
+          {fullscreen ? '✕' : '⛶'}
+        </button>
+      </div>
+
+      {stale && (
+        <div style={{ padding: '0.3em 0.8em', backgroundColor: '#b71c1c', fontSize: '0.6em', fontWeight: 'bold' }}>
+          ⚠️ Data may be out of date
+          {oldestUpdate && ` - last updated ${Math.round((now - oldestUpdate) / 60000)} min ago`}
+          {failed.length > 0 && ` (${failed[0].error})`}
+        </div>
+      )}
+
+      <div style={{ flex: 1, overflow: 'hidden' }}>
+        {statusMessage ? (
+          <div style={{ padding: '1em 0.8em', color: '#bbb' }}>{statusMessage}</div>
+        ) : visibleRows.map((row, i) => (
+          <div
+            key={row.id}
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.6em',
+              padding: '0.25em 0.8em',
+              backgroundColor: i % 2 ? '#1a1a1a' : '#111',
+              opacity: stale ? 0.7 : 1
+            }}
+          >
+            <span style={{ width: '3.5em', fontWeight: 'bold', color: BOARD_COLOR, fontSize: '1.2em' }}>
+              {row.serviceNo}
+            </span>
+            <span style={{ flex: 1, minWidth: 0, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+              {row.destinationCode ? stopName(row.destinationCode) : ''}
+              {multipleStops && (
+                <span style={{ display: 'block', fontSize: '0.5em', color: '#bbb' }}>from {stopName(row.stopCode)}</span>
+              )}
+            </span>
+            {row.buses.length > 0 ? (
+              row.buses.map((bus, j) => <BusTime key={j} bus={bus} stale={stale} />)
+            ) : (
+              <span style={{ color: '#9e9e9e' }}>Not in service</span>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '1em', padding: '0.3em 0.8em', borderTop: '1px solid #333', fontSize: '0.5em', color: '#bbb' }}>
+        {[0, 1, 2].map(load => (
+          <span key={load}><span style={{ color: getLoadColor(load) }}>●</span> {getLoadText(load)}</span>
+        ))}
+        <span>♿ Wheelchair accessible · SD/DD/BD Single/double deck/bendy</span>
+        {pageCount > 1 && (
+          <span style={{ marginLeft: 'auto' }}>Page {currentPage + 1} of {pageCount}</span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default DepartureBoard;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { toggleFavourite } from './favourites';
+import { useFavourites } from './hooks';
+
+/**
+ * Star toggling a favourite stop, service or stop+service pair.
+ *
+ * @param {Object} props
+ * @param {string} [props.stopCode] - Bus stop code
+ * @param {string} [props.service] - Service number
+ * @param {string} [props.label] - Text shown after the star
+ */
+function FavouriteButton({ stopCode, service, label }) {
+  const { isFavourite } = useFavourites();
+  if (!stopCode && !service) return null;
+
+  const starred = isFavourite(stopCode, service);
+  const what = stopCode && service ? `service ${service} at stop ${stopCode}`
+    : stopCode ? `stop ${stopCode}`
+    : `service ${service}`;
+
+  return (
+    <button
+      onClick={(e) => {
+        e.stopPropagation();
+        toggleFavourite(stopCode, service);
+      }}
+      title={starred ? `Remove ${what} from My Buses` : `Add ${what} to My Buses`}
+      aria-pressed={starred}
+      style={{
+        padding: label ? '2px 8px' : '0 4px',
+        border: label ? '1px solid #ffb300' : 'none',
+        borderRadius: '4px',
+        backgroundColor: starred && label ? '#fff8e1' : 'transparent',
+        color: starred ? '#ffb300' : '#999',
+        fontSize: label ? '0.85em' : '1.1em',
+        cursor: 'pointer',
+        whiteSpace: 'nowrap'
+      }}
+    >
+      {starred ? '★' : '☆'}{label ? ` ${label}` : ''}
+    </button>
+  );
+}
+
+export default FavouriteButton;
@@ -0,0 +1,31 @@
+import { useEffect } from 'react';
+import { useMap, useMapEvents } from 'react-leaflet';
+
+/**
+ * Keeps a map in step with a { lat, lng, zoom } view held outside it, e.g.
+ * in the URL: moves the map whenever `view` changes and reports every pan
+ * or zoom through `onViewChange`. Render inside a MapContainer.
+ *
+ * @param {Object} props
+ * @param {Object} [props.view] - { lat, lng, zoom }; a new object moves the map again
+ * @param {Function} [props.onViewChange] - Called with the { lat, lng, zoom } shown
+ */
+function MapViewSync({ view, onViewChange }) {
+  const map = useMap();
+
+  useMapEvents({
+    moveend: () => {
+      if (!onViewChange) return;
+      const center = map.getCenter();
+      onViewChange({ lat: center.lat, lng: center.lng, zoom: map.getZoom() });
+    }
+  });
+
+  useEffect(() => {
+    if (view) map.setView([view.lat, view.lng], view.zoom);
+  }, [map, view]);
+
+  return null;
+}
+
+export default MapViewSync;
@@ -0,0 +1,237 @@
+import React, { useRef, useState } from 'react';
+import AlertButton from './AlertButton';
+import {
+  exportFavourites,
+  mergeFavourites,
+  moveFavourite,
+  parseFavourites,
+  removeFavourite,
+  renameFavourite
+} from './favourites';
+import { useAllStops, useBusArrivals, useFavourites, useServiceIndex } from './hooks';
+import { callsAtStop } from './serviceIndex';
+import StopArrivals from './StopArrivals';
+
+const TYPE_LABELS = { stop: '🚏 Stop', service: '🚌 Service', stopService: '🚏🚌 Service at stop' };
+
+const formatMinutes = (minutes) => (minutes === 0 ? 'Arr' : `${minutes} min`);
+
+// Next buses of one service at one stop
+function ServiceArrivals({ stopCode, service, refreshInterval }) {
+  const { arrivals, loading, error, isStale } = useBusArrivals(stopCode, refreshInterval);
+  const arrival = arrivals.find(entry => entry.serviceNo === service);
+
+  if (!arrival || arrival.buses.length === 0) {
+    return (
+      <span style={{ color: error ? '#c62828' : '#666' }}>
+        {error ? `❌ ${error}` : loading && arrivals.length === 0 ? '🔄 Loading...' : 'No buses expected'}
+      </span>
+    );
+  }
+
+  return (
+    <span style={{ color: '#2e7d32', fontWeight: 'bold', opacity: isStale ? 0.6 : 1 }}>
+      {arrival.buses.slice(0, 3).map(bus => formatMinutes(bus.minutesAway)).join(', ')}
+    </span>
+  );
+}
+
+// One favourite: its title, controls and live arrivals
+function FavouriteCard({ favourite, position, count, stopName, favouriteStops, serviceIndex, onTrack, refreshInterval }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const { id, type, stopCode, service, nickname } = favourite;
+
+  const defaultTitle = type === 'stop' ? stopName(stopCode)
+    : type === 'service' ? `Service ${service}`
+    : `${service} at ${stopName(stopCode)}`;
+
+  const startEditing = () => {
+    setDraft(nickname || '');
+    setEditing(true);
+  };
+  const saveNickname = () => {
+    renameFavourite(id, draft);
+    setEditing(false);
+  };
+
+  // A starred service shows its arrivals at the starred stops it calls at
+  const servedStops = type === 'service'
+    ? favouriteStops.filter(code => callsAtStop(serviceIndex, code).some(call => call.service === service))
+    : [];
+
+  const buttonStyle = { padding: '2px 6px', cursor: 'pointer' };
+
+  return (
+    <div style={{ padding: '12px 15px', border: '1px solid #ddd', borderRadius: '8px', backgroundColor: 'white' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          {editing ? (
+            <input
+              type="text"
+              value={draft}
+              autoFocus
+              maxLength={40}
+              placeholder={defaultTitle}
+              onChange={(e) => setDraft(e.target.value)}
+              onBlur={saveNickname}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') saveNickname();
+                if (e.key === 'Escape') setEditing(false);
+              }}
+              style={{ marginLeft: 0, width: '100%', boxSizing: 'border-box' }}
+            />
+          ) : (
+            <strong>{nickname || defaultTitle}</strong>
+          )}
+          <div style={{ fontSize: '0.8em', color: '#666' }}>
+            {TYPE_LABELS[type]}
+            {stopCode && ` · ${stopCode}`}
+            {nickname && ` · ${defaultTitle}`}
+          </div>
+        </div>
+        <button onClick={() => moveFavourite(id, -1)} disabled={position === 0} title="Move up" style={buttonStyle}>↑</button>
+        <button onClick={() => moveFavourite(id, 1)} disabled={position === count - 1} title="Move down" style={buttonStyle}>↓</button>
+        <button onClick={startEditing} title="Rename" style={buttonStyle}>✏️</button>
+        <button onClick={() => removeFavourite(id)} title="Remove from My Buses" style={buttonStyle}>✕</button>
+      </div>
+
+      <div style={{ marginTop: '8px', fontSize: '0.9em' }}>
+        {type === 'stop' && <StopArrivals code={stopCode} refreshInterval={refreshInterval} />}
+
+        {type === 'stopService' && (
+          <>
+            <ServiceArrivals stopCode={stopCode} service={service} refreshInterval={refreshInterval} />
+            <AlertButton stopCode={stopCode} service={service} />
+          </>
+        )}
+
+        {type === 'service' && (servedStops.length > 0 ? (
+          servedStops.map(code => (
+            <div key={code}>
+              {stopName(code)}:{' '}
+              <ServiceArrivals stopCode={code} service={service} refreshInterval={refreshInterval} />
+              <AlertButton stopCode={code} service={service} />
+            </div>
+          ))
+        ) : (
+          <span style={{ color: '#666', fontSize: '0.9em' }}>
+            Star a stop that {service} calls at to see its arrivals here
+          </span>
+        ))}
+      </div>
+
+      {service && onTrack && (
+        <div style={{ display: 'flex', gap: '6px', marginTop: '8px' }}>
+          <button onClick={() => onTrack('tracker', service, stopCode || servedStops[0])} style={buttonStyle}>
+            🚌 Track
+          </button>
+          <button onClick={() => onTrack('route', service, stopCode)} style={buttonStyle}>
+            🗺️ Route
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Live arrivals for every favourite stop, service and stop+service pair at
+ * once, in the user's order. Favourites can be reordered, nicknamed,
+ * removed, and exported to or imported from a JSON file.
+ *
+ * @param {Object} props
+ * @param {number} [props.refreshInterval] - Arrivals refresh interval in ms
+ * @param {Function} [props.onTrack] - Called with (tab, service, stopCode)
+ *   to open a favourite service in the tracker or route view
+ */
+function MyBuses({ refreshInterval = 30000, onTrack }) {
+  const { favourites } = useFavourites();
+  const [importMessage, setImportMessage] = useState(null);
+  const fileInput = useRef(null);
+
+  const hasFavourites = favourites.length > 0;
+  const { stopsByCode } = useAllStops(hasFavourites);
+  const { index: serviceIndex } = useServiceIndex(favourites.some(entry => entry.type === 'service'));
+
+  const stopName = (code) => stopsByCode[code]?.properties.name || `Stop ${code}`;
+  const favouriteStops = Array.from(new Set(favourites.filter(entry => entry.stopCode).map(entry => entry.stopCode)));
+
+  const handleExport = () => {
+    const blob = new Blob([exportFavourites(favourites)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'my-buses.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parseFavourites(await file.text());
+      mergeFavourites(imported);
+      setImportMessage({ ok: true, text: `Imported ${imported.length} favourite${imported.length !== 1 ? 's' : ''}` });
+    } catch (err) {
+      setImportMessage({ ok: false, text: `Could not import ${file.name}: ${err.message}` });
+    }
+  };
+
+  return (
+    <div style={{ maxWidth: '800px', margin: '0 auto', padding: '15px', textAlign: 'left' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
+        <strong style={{ flex: 1, fontSize: '1.1em' }}>⭐ My Buses</strong>
+        <button onClick={handleExport} disabled={!hasFavourites} style={{ padding: '4px 10px', cursor: 'pointer' }}>
+          ⬇️ Export
+        </button>
+        <button onClick={() => fileInput.current.click()} style={{ padding: '4px 10px', cursor: 'pointer' }}>
+          ⬆️ Import
+        </button>
+        <input ref={fileInput} type="file" accept="application/json,.json" onChange={handleImport} style={{ display: 'none' }} />
+      </div>
+
+      {importMessage && (
+        <div style={{
+          padding: '8px 12px',
+          marginBottom: '12px',
+          borderRadius: '4px',
+          fontSize: '0.9em',
+          backgroundColor: importMessage.ok ? '#e8f5e9' : '#ffebee',
+          color: importMessage.ok ? '#2e7d32' : '#c62828'
+        }}>
+          {importMessage.ok ? '✅' : '❌'} {importMessage.text}
+          <button onClick={() => setImportMessage(null)} style={{ marginLeft: '8px', border: 'none', background: 'none', cursor: 'pointer' }}>
+            ✕
+          </button>
+        </div>
+      )}
+
+      {!hasFavourites && (
+        <div style={{ padding: '20px', color: '#666', textAlign: 'center' }}>
+          No favourites yet. Use ☆ on a stop, a service or the tracker to add it here.
+        </div>
+      )}
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+        {favourites.map((favourite, position) => (
+          <FavouriteCard
+            key={favourite.id}
+            favourite={favourite}
+            position={position}
+            count={favourites.length}
+            stopName={stopName}
+            favouriteStops={favouriteStops}
+            serviceIndex={serviceIndex}
+            onTrack={onTrack}
+            refreshInterval={refreshInterval}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default MyBuses;
@@ -0,0 +1,172 @@
+import React, { useEffect, useState } from 'react';
+import { Circle, CircleMarker, MapContainer, TileLayer, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import config from './config';
+import FavouriteButton from './FavouriteButton';
+import { compassPoint } from './geometry';
+import { useAnchoredPosition, useGeolocation, useNearbyStops } from './hooks';
+import StopArrivals from './StopArrivals';
+import StopLayer from './StopLayer';
+
+const RADIUS_OPTIONS = [250, 500, 750, 1000];
+
+const formatDistance = (metres) => metres < 1000
+  ? `${Math.round(metres)} m`
+  : `${(metres / 1000).toFixed(1)} km`;
+
+const walkingMinutes = (metres) => Math.max(1, Math.round(metres / config.nearby.walkingSpeed));
+
+// Picks the search origin when the map is clicked
+function MapClickPicker({ onPick }) {
+  useMapEvents({
+    click: (e) => onPick([e.latlng.lat, e.latlng.lng])
+  });
+  return null;
+}
+
+// Fits the map to the search circle whenever its centre moves significantly
+function FitCircle({ center, radius }) {
+  const map = useMap();
+  useEffect(() => {
+    if (!center) return;
+    map.fitBounds(L.latLng(center).toBounds(radius * 2), { padding: [20, 20] });
+  }, [map, center, radius]);
+  return null;
+}
+
+/**
+ * Lists the bus stops within a radius of the user's location (or a point
+ * clicked on the map), nearest first, with live arrivals at each.
+ *
+ * @param {Object} props
+ * @param {number} [props.refreshInterval] - Arrivals refresh interval in ms
+ */
+function NearbyStops({ refreshInterval = 30000 }) {
+  const [radius, setRadius] = useState(config.nearby.radius);
+  const [pickedPoint, setPickedPoint] = useState(null);
+  const [focus, setFocus] = useState(null);
+
+  const following = pickedPoint === null;
+  const { position, error: locationError } = useGeolocation(following);
+  const origin = following
+    ? (position ? [position.latitude, position.longitude] : null)
+    : pickedPoint;
+
+  const { stops, loading, error } = useNearbyStops(origin?.[0], origin?.[1], radius);
+  const mapCenter = useAnchoredPosition(origin?.[0], origin?.[1], config.nearby.requeryDistance);
+  const listed = stops.slice(0, config.nearby.maxStops);
+
+  const statusMessage = error ? `❌ Failed to load bus stops: ${error}`
+    : !origin && following && locationError ? `📍 ${locationError} - click the map to choose a point instead`
+    : !origin ? '📍 Finding your location... or click the map to choose a point'
+    : loading && stops.length === 0 ? '🔄 Loading nearby stops...'
+    : stops.length === 0 ? `No bus stops within ${formatDistance(radius)}`
+    : null;
+
+  return (
+    <div style={{ display: 'flex', height: '650px', border: '1px solid #ddd', borderRadius: '8px', overflow: 'hidden' }}>
+      <div style={{ flex: 1, position: 'relative' }}>
+        <MapContainer center={[1.3521, 103.8198]} zoom={12} style={{ height: '100%' }}>
+          <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
+          <MapClickPicker onPick={setPickedPoint} />
+          <FitCircle center={mapCenter} radius={radius} />
+
+          {origin && (
+            <>
+              <Circle
+                center={origin}
+                radius={radius}
+                pathOptions={{ color: '#1976d2', weight: 1, fillOpacity: 0.06 }}
+                interactive={false}
+              />
+              <CircleMarker
+                center={origin}
+                radius={7}
+                pathOptions={{ color: 'white', weight: 2, fillColor: following ? '#1976d2' : '#ff6b35', fillOpacity: 1 }}
+                interactive={false}
+              />
+            </>
+          )}
+
+          <StopLayer
+            stops={stops}
+            clusterBelowZoom={0}
+            focus={focus}
+            renderPopup={(stop) => (
+              <div style={{ minWidth: '200px' }}>
+                <h4 style={{ margin: '0 0 6px 0' }}>{stop.properties.name}</h4>
+                <div style={{ fontSize: '0.85em', color: '#666', marginBottom: '6px' }}>
+                  {stop.properties.code} · {formatDistance(stop.properties.distance)} {compassPoint(stop.properties.bearing)}
+                </div>
+                <StopArrivals code={stop.properties.code} refreshInterval={refreshInterval} />
+              </div>
+            )}
+          />
+        </MapContainer>
+      </div>
+
+      <div style={{ width: '360px', display: 'flex', flexDirection: 'column', borderLeft: '1px solid #ddd', textAlign: 'left' }}>
+        <div style={{ padding: '12px 15px', backgroundColor: '#e3f2fd', borderBottom: '1px solid #bbdefb' }}>
+          <strong>📍 Stops near {following ? 'you' : 'the chosen point'}</strong>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginTop: '8px', fontSize: '0.9em' }}>
+            <label style={{ fontWeight: 'normal' }}>
+              Within{' '}
+              <select value={radius} onChange={(e) => setRadius(Number(e.target.value))}>
+                {RADIUS_OPTIONS.map(option => (
+                  <option key={option} value={option}>{formatDistance(option)}</option>
+                ))}
+              </select>
+            </label>
+            {!following && (
+              <button onClick={() => setPickedPoint(null)} style={{ padding: '3px 8px', cursor: 'pointer' }}>
+                📍 Use my location
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div style={{ flex: 1, overflowY: 'auto' }}>
+          {statusMessage && (
+            <div style={{ padding: '12px 15px', fontSize: '0.9em', color: error ? '#c62828' : '#666' }}>
+              {statusMessage}
+            </div>
+          )}
+
+          {listed.map(stop => {
+            const { code, name, road, distance, bearing } = stop.properties;
+            return (
+              <div
+                key={code}
+                onClick={() => setFocus({ code })}
+                style={{ padding: '10px 15px', borderBottom: '1px solid #f0f0f0', cursor: 'pointer' }}
+              >
+                <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px' }}>
+                  <span>
+                    <strong>🚏 {name}</strong>
+                    <FavouriteButton stopCode={code} />
+                  </span>
+                  <span style={{ whiteSpace: 'nowrap', fontSize: '0.85em', color: '#1976d2' }}>
+                    <span style={{ display: 'inline-block', transform: `rotate(${bearing}deg)` }}>↑</span>
+                    {' '}{compassPoint(bearing)}
+                  </span>
+                </div>
+                <div style={{ fontSize: '0.8em', color: '#666', margin: '2px 0 6px 0' }}>
+                  {code} · {road} · {formatDistance(distance)} (~{walkingMinutes(distance)} min walk)
+                </div>
+                <StopArrivals code={code} refreshInterval={refreshInterval} />
+              </div>
+            );
+          })}
+
+          {stops.length > listed.length && (
+            <div style={{ padding: '10px 15px', fontSize: '0.8em', color: '#666' }}>
+              Showing the nearest {listed.length} of {stops.length} stops
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default NearbyStops;
@@ -0,0 +1,342 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  addWatch,
+  clearRecords,
+  getRecordedKeys,
+  getRecords,
+  recordsToCsv,
+  recordsToJson,
+  removeWatch,
+  setRecording
+} from './arrivalLog';
+import { useRecorderSettings } from './hooks';
+import { buildPredictionReport } from './predictionStats';
+
+const TRACK_COLORS = ['#1976d2', '#8e24aa', '#00897b', '#f4511e', '#6d4c41', '#3949ab'];
+const MONITORED_COLOR = '#2e7d32';
+const ESTIMATED_COLOR = '#9e9e9e';
+const MAX_TRACKS = 20;       // Most recent buses drawn in the drift chart
+const CHART_MAX_MINUTES = 30;
+
+const formatTime = (time) => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+const formatMinutes = (value) => (value == null ? '-' : `${value.toFixed(1)} min`);
+const formatPercent = (value) => (value == null ? '-' : `${Math.round(value * 100)}%`);
+
+const download = (text, filename, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Predicted minutes away at each poll, one line per bus; a perfectly
+// predicted bus runs diagonally down to its arrival
+function DriftChart({ tracks }) {
+  const width = 640;
+  const height = 240;
+  const pad = { left: 36, right: 10, top: 10, bottom: 24 };
+
+  const shown = tracks.slice(-MAX_TRACKS);
+  const times = shown.flatMap(track => track.points.map(point => point.polledAt));
+  if (times.length === 0) return null;
+  const start = Math.min(...times);
+  const end = Math.max(...times, ...shown.map(track => track.arrivedAt || 0));
+  const span = Math.max(end - start, 60000);
+
+  const x = (time) => pad.left + ((time - start) / span) * (width - pad.left - pad.right);
+  const y = (minutes) => pad.top + (1 - Math.min(minutes, CHART_MAX_MINUTES) / CHART_MAX_MINUTES) * (height - pad.top - pad.bottom);
+  const minutesAt = (point) => Math.max(0, (point.predicted - point.polledAt) / 60000);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} style={{ width: '100%', height: 'auto', backgroundColor: '#fafafa', border: '1px solid #eee' }}>
+      {[0, 10, 20, 30].map(minutes => (
+        <g key={minutes}>
+          <line x1={pad.left} x2={width - pad.right} y1={y(minutes)} y2={y(minutes)} stroke="#e0e0e0" />
+          <text x={pad.left - 4} y={y(minutes) + 4} fontSize="10" textAnchor="end" fill="#666">{minutes}</text>
+        </g>
+      ))}
+      <text x={pad.left} y={height - 6} fontSize="10" fill="#666">{formatTime(start)}</text>
+      <text x={width - pad.right} y={height - 6} fontSize="10" fill="#666" textAnchor="end">{formatTime(end)}</text>
+
+      {shown.map((track, i) => {
+        const color = TRACK_COLORS[i % TRACK_COLORS.length];
+        const points = track.points.map(point => `${x(point.polledAt)},${y(minutesAt(point))}`);
+        if (track.arrivedAt) points.push(`${x(track.arrivedAt)},${y(0)}`);
+        return (
+          <g key={track.id}>
+            <polyline points={points.join(' ')} fill="none" stroke={color} strokeWidth="1.5" opacity="0.7" />
+            {track.points.map((point, j) => (
+              <circle
+                key={j}
+                cx={x(point.polledAt)}
+                cy={y(minutesAt(point))}
+                r="2"
+                fill={point.monitored ? MONITORED_COLOR : ESTIMATED_COLOR}
+              />
+            ))}
+            {track.arrivedAt && <circle cx={x(track.arrivedAt)} cy={y(0)} r="3.5" fill="none" stroke={color} />}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// Bar chart of the gaps between successive arrivals
+function HeadwayHistogram({ headways }) {
+  const most = Math.max(1, ...headways.buckets.map(bucket => bucket.count));
+  return (
+    <div style={{ display: 'flex', alignItems: 'flex-end', gap: '2px', height: '120px', padding: '4px 0' }}>
+      {headways.buckets.map(bucket => (
+        <div key={bucket.from} style={{ flex: 1, display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'flex-end', height: '100%' }}>
+          <span style={{ fontSize: '0.7em', color: '#666' }}>{bucket.count || ''}</span>
+          <div
+            title={`${bucket.from}${bucket.to === null ? '+' : `-${bucket.to}`} min: ${bucket.count}`}
+            style={{ width: '100%', height: `${(bucket.count / most) * 80}%`, backgroundColor: '#1976d2', minHeight: bucket.count ? '2px' : 0 }}
+          />
+          <span style={{ fontSize: '0.65em', color: '#666' }}>{bucket.from}{bucket.to === null ? '+' : ''}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Watch list and the recording switch
+function RecorderControls({ defaultStop, defaultService }) {
+  const { enabled, watches } = useRecorderSettings();
+  const [stopCode, setStopCode] = useState(defaultStop || '');
+  const [service, setService] = useState(defaultService || '');
+  const [error, setError] = useState(null);
+
+  const submit = (e) => {
+    e.preventDefault();
+    try {
+      addWatch(stopCode, service);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ padding: '12px 15px', backgroundColor: '#e3f2fd', borderBottom: '1px solid #bbdefb' }}>
+      <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+        <input type="checkbox" checked={enabled} onChange={(e) => setRecording(e.target.checked)} />
+        {enabled ? '⏺ Recording arrivals' : 'Record arrivals'}
+      </label>
+      <div style={{ fontSize: '0.75em', color: '#666', margin: '2px 0 8px 0' }}>
+        Polls are recorded while this app is open, in this browser only
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginBottom: '8px' }}>
+        {watches.length === 0 && <span style={{ fontSize: '0.85em', color: '#666' }}>Nothing watched yet</span>}
+        {watches.map(watch => (
+          <span
+            key={`${watch.stopCode}:${watch.service}`}
+            style={{ padding: '1px 6px', borderRadius: '3px', backgroundColor: 'white', border: '1px solid #90caf9', fontSize: '0.85em' }}
+          >
+            {watch.service ? `${watch.service} at ` : 'All at '}{watch.stopCode}
+            <button
+              onClick={() => removeWatch(watch.stopCode, watch.service)}
+              title="Stop watching"
+              style={{ marginLeft: '4px', border: 'none', background: 'none', cursor: 'pointer', padding: 0 }}
+            >
+              ✕
+            </button>
+          </span>
+        ))}
+      </div>
+
+      <form onSubmit={submit} style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '6px', fontSize: '0.85em' }}>
+        Watch stop
+        <input type="text" value={stopCode} onChange={(e) => setStopCode(e.target.value)} placeholder="65011" style={{ width: '60px', marginLeft: 0 }} />
+        service
+        <input type="text" value={service} onChange={(e) => setService(e.target.value)} placeholder="all" style={{ width: '45px', marginLeft: 0 }} />
+        <button type="submit" style={{ cursor: 'pointer' }}>Add</button>
+      </form>
+      {error && <div style={{ color: '#c62828', fontSize: '0.85em', marginTop: '4px' }}>❌ {error}</div>}
+    </div>
+  );
+}
+
+/**
+ * Reliability of arrival predictions, from polls recorded by
+ * ArrivalRecorder: how each bus's predicted minutes away drifted until it
+ * arrived, the error of monitored (GPS) vs estimated predictions, and the
+ * distribution of actual headways. Records can be exported as CSV or JSON.
+ *
+ * @param {Object} props
+ * @param {string} [props.defaultStop] - Stop code prefilled in the watch form
+ * @param {string} [props.defaultService] - Service prefilled in the watch form
+ */
+function PredictionReport({ defaultStop, defaultService }) {
+  const [keys, setKeys] = useState([]);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [records, setRecords] = useState([]);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const recorded = await getRecordedKeys();
+      setKeys(recorded);
+      const key = selectedKey && recorded.some(entry => entry.key === selectedKey)
+        ? selectedKey
+        : recorded[0]?.key || null;
+      setSelectedKey(key);
+      setRecords(key ? await getRecords(key) : []);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedKey]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const report = useMemo(() => buildPredictionReport(records), [records]);
+  const arrived = report.tracks.filter(track => track.arrivedAt !== null).length;
+
+  const exportRecords = async (format, all) => {
+    try {
+      const data = all ? await getRecords() : records;
+      const name = `arrivals-${all ? 'all' : selectedKey.replace(':', '-')}`;
+      if (format === 'csv') {
+        download(recordsToCsv(data), `${name}.csv`, 'text/csv');
+      } else {
+        download(recordsToJson(data), `${name}.json`, 'application/json');
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Delete every recorded arrival?')) return;
+    try {
+      await clearRecords();
+      load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const buttonStyle = { padding: '3px 8px', cursor: 'pointer' };
+
+  return (
+    <div style={{ display: 'flex', minHeight: '650px', border: '1px solid #ddd', borderRadius: '8px', overflow: 'hidden', textAlign: 'left' }}>
+      <div style={{ width: '320px', borderRight: '1px solid #ddd', display: 'flex', flexDirection: 'column' }}>
+        <RecorderControls defaultStop={defaultStop} defaultService={defaultService} />
+
+        <div style={{ padding: '12px 15px', flex: 1, overflowY: 'auto' }}>
+          <div style={{ display: 'flex', alignItems: 'center', marginBottom: '6px' }}>
+            <strong style={{ flex: 1 }}>Recorded</strong>
+            <button onClick={load} disabled={loading} style={buttonStyle}>{loading ? '🔄' : '↻'} Refresh</button>
+          </div>
+          {keys.length === 0 && !error && (
+            <div style={{ fontSize: '0.85em', color: '#666' }}>No arrivals recorded yet</div>
+          )}
+          {keys.map(entry => (
+            <div
+              key={entry.key}
+              onClick={() => setSelectedKey(entry.key)}
+              style={{
+                padding: '6px 8px',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '0.9em',
+                backgroundColor: entry.key === selectedKey ? '#e3f2fd' : 'transparent'
+              }}
+            >
+              🚌 <strong>{entry.service}</strong> at {entry.stopCode}
+              <span style={{ float: 'right', color: '#666' }}>{entry.count}</span>
+            </div>
+          ))}
+
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '12px' }}>
+            <button onClick={() => exportRecords('csv', true)} disabled={keys.length === 0} style={buttonStyle}>⬇️ All CSV</button>
+            <button onClick={() => exportRecords('json', true)} disabled={keys.length === 0} style={buttonStyle}>⬇️ All JSON</button>
+            <button onClick={handleClear} disabled={keys.length === 0} style={buttonStyle}>🗑️ Clear</button>
+          </div>
+        </div>
+      </div>
+
+      <div style={{ flex: 1, padding: '12px 15px', overflowY: 'auto' }}>
+        {error && <div style={{ color: '#c62828', marginBottom: '10px' }}>❌ {error}</div>}
+
+        {!selectedKey ? (
+          <div style={{ color: '#666' }}>
+            Watch a stop and turn recording on; the report fills in as arrivals are polled.
+          </div>
+        ) : (
+          <>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+              <strong style={{ flex: 1 }}>📈 Service {selectedKey.split(':')[1]} at stop {selectedKey.split(':')[0]}</strong>
+              <button onClick={() => exportRecords('csv', false)} style={buttonStyle}>⬇️ CSV</button>
+              <button onClick={() => exportRecords('json', false)} style={buttonStyle}>⬇️ JSON</button>
+            </div>
+            <div style={{ fontSize: '0.85em', color: '#666', margin: '4px 0 12px 0' }}>
+              {records.length} predictions · {report.tracks.length} buses followed · {arrived} seen to arrive
+            </div>
+
+            <h4 style={{ margin: '0 0 4px 0' }}>Prediction drift</h4>
+            <div style={{ fontSize: '0.8em', color: '#666', marginBottom: '4px' }}>
+              Predicted minutes away at each poll for the last {Math.min(MAX_TRACKS, report.tracks.length)} buses;
+              dots are <span style={{ color: MONITORED_COLOR }}>●</span> monitored or{' '}
+              <span style={{ color: ESTIMATED_COLOR }}>●</span> estimated, circles mark arrivals
+            </div>
+            <DriftChart tracks={report.tracks} />
+
+            <h4 style={{ margin: '16px 0 4px 0' }}>Accuracy</h4>
+            <table style={{ borderCollapse: 'collapse', fontSize: '0.85em' }}>
+              <thead>
+                <tr style={{ textAlign: 'left', borderBottom: '1px solid #ddd' }}>
+                  <th style={{ padding: '4px 10px 4px 0' }}>Predictions</th>
+                  <th style={{ padding: '4px 10px' }}>Count</th>
+                  <th style={{ padding: '4px 10px' }}>Mean error</th>
+                  <th style={{ padding: '4px 10px' }}>Bias</th>
+                  <th style={{ padding: '4px 10px' }}>Within 1 min</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[['✅ Monitored (GPS)', report.accuracy.monitored], ['❌ Estimated', report.accuracy.estimated]].map(([label, stats]) => (
+                  <tr key={label}>
+                    <td style={{ padding: '4px 10px 4px 0' }}>{label}</td>
+                    <td style={{ padding: '4px 10px' }}>{stats.count}</td>
+                    <td style={{ padding: '4px 10px' }}>{formatMinutes(stats.meanAbsError)}</td>
+                    <td style={{ padding: '4px 10px' }}>{formatMinutes(stats.bias)}</td>
+                    <td style={{ padding: '4px 10px' }}>{formatPercent(stats.withinOneMinute)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div style={{ fontSize: '0.75em', color: '#666', marginTop: '4px' }}>
+              Only buses seen to arrive count. A positive bias means buses came earlier than predicted.
+            </div>
+
+            <h4 style={{ margin: '16px 0 4px 0' }}>Headways</h4>
+            {report.headways.values.length === 0 ? (
+              <div style={{ fontSize: '0.85em', color: '#666' }}>Needs at least two buses seen to arrive</div>
+            ) : (
+              <>
+                <div style={{ fontSize: '0.85em', color: '#666' }}>
+                  {report.headways.values.length} gaps · median {formatMinutes(report.headways.median)} · mean {formatMinutes(report.headways.mean)}
+                </div>
+                <HeadwayHistogram headways={report.headways} />
+                <div style={{ fontSize: '0.75em', color: '#666', textAlign: 'center' }}>Minutes between buses</div>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PredictionReport;
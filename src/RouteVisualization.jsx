@@ -1,9 +1,15 @@
-import React, { useEffect, useState } from 'react';
-import { MapContainer, TileLayer, GeoJSON, Marker, Popup } from 'react-leaflet';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { MapContainer, TileLayer, GeoJSON, Marker, Popup, useMap } from 'react-leaflet';
 import L from 'leaflet';
-import polyline from '@mapbox/polyline';
-import config from './config';
-import { calculateBounds } from './utils';
+import FavouriteButton from './FavouriteButton';
+import MapViewSync from './MapViewSync';
+import { useBusPositions, useBusRoute } from './hooks';
+import { uniqueRouteStops } from './routePatterns';
+import { latLngBounds, positionToLatLng, positionsToLatLngs, serviceAreaBounds } from './geometry';
+import StopArrivals from './StopArrivals';
+import StopLayer, { FlyToStop } from './StopLayer';
+import StopServices from './StopServices';
+import { getLoadColor, getLoadText, memoize } from './utils';
 
 // Fix for default markers in react-leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -13,138 +19,163 @@ L.Icon.Default.mergeOptions({
   shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
 });
 
+const PATTERN_COLORS = ['#ff7800', '#00ff78', '#7800ff', '#ff0078', '#78ff00'];
+const TERMINAL_COLOR = '#ff6b35';
+
+const patternColor = (pattern) => PATTERN_COLORS[pattern % PATTERN_COLORS.length];
+
+const formatKm = (metres) => `${(metres / 1000).toFixed(1)} km`;
+
+// Stop marker showing its position in the pattern; terminals are larger.
+// Memoized so the markers keep their icons across renders.
+const numberedStopIcon = memoize((pattern, sequence, isTerminal, selected) => {
+  const size = isTerminal ? 24 : 18;
+  const color = isTerminal ? TERMINAL_COLOR : patternColor(pattern);
+  return L.divIcon({
+    className: 'bus-stop-marker',
+    html: `<div style="
+      width: ${size}px;
+      height: ${size}px;
+      line-height: ${size}px;
+      background: ${color};
+      color: white;
+      border: 2px solid white;
+      border-radius: 50%;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.4);
+      font-size: ${isTerminal ? 11 : 9}px;
+      font-weight: bold;
+      text-align: center;
+      opacity: ${selected ? 1 : 0.6};
+    ">${sequence + 1}</div>`,
+    iconSize: [size + 4, size + 4],
+    iconAnchor: [(size + 4) / 2, (size + 4) / 2]
+  });
+});
+
+// Direction number shown halfway along each pattern
+const patternLabelIcon = memoize((pattern) => L.divIcon({
+  className: 'pattern-label',
+  html: `<div style="
+    background: ${patternColor(pattern)};
+    color: white;
+    padding: 2px 6px;
+    border-radius: 10px;
+    font-size: 10px;
+    font-weight: bold;
+    border: 1px solid white;
+    box-shadow: 0 1px 3px rgba(0,0,0,0.3);
+  ">${pattern + 1}</div>`,
+  iconSize: [20, 16],
+  iconAnchor: [10, 8]
+}));
+
+// Live bus, in its direction's colour, outlined in its load colour and
+// pointing along the route. Memoized on plain values, with the bearing in whole
+// degrees, so a bus keeps its icon between polls unless it turns.
+const liveBusIcon = memoize((pattern, bearing, load) => {
+  const color = pattern == null ? '#666666' : patternColor(pattern);
+  return L.divIcon({
+    className: 'live-bus-marker',
+    html: `<div style="
+      width: 14px;
+      height: 14px;
+      background: ${color};
+      border: 2px solid ${getLoadColor(load)};
+      border-radius: 3px 3px 2px 2px;
+      transform: rotate(${bearing}deg);
+      box-shadow: 0 1px 3px rgba(0,0,0,0.5);
+    "><div style="margin: -6px auto 0; width: 0; height: 0; border-left: 4px solid transparent; border-right: 4px solid transparent; border-bottom: 6px solid #263238;"></div></div>`,
+    iconSize: [18, 18],
+    iconAnchor: [9, 9]
+  });
+});
+
+// Refits the map when the route shown changes
+function FitBounds({ bounds }) {
+  const map = useMap();
+  useEffect(() => {
+    map.fitBounds(bounds);
+  }, [map, bounds]);
+  return null;
+}
+
 function RouteVisualization({ 
   serviceNumber, 
   apiBaseUrl = '',
   showStops = true,
-  showPatternLabels = true 
+  showPatternLabels = true,
+  view = null,
+  onViewChange
 }) {
-  const [routeData, setRouteData] = useState(null);
-  const [busStops, setBusStops] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const { patterns, loading, error } = useBusRoute(serviceNumber);
+  const [selectedPattern, setSelectedPattern] = useState(0);
+  const [sidebarOpen, setSidebarOpen] = useState(true);
+  const [flyTarget, setFlyTarget] = useState(null);
+  const [popupFocus, setPopupFocus] = useState(null);
+  const [showLiveBuses, setShowLiveBuses] = useState(false);
 
+  // Every bus on the service, from arrivals at stops along the route; only
+  // polled while shown
+  const live = useBusPositions(showLiveBuses ? serviceNumber : null);
+
+  // Start each service on its first direction with nothing focused
   useEffect(() => {
-    if (!serviceNumber) return;
+    setSelectedPattern(0);
+    setFlyTarget(null);
+    setPopupFocus(null);
+  }, [serviceNumber]);
 
-    const fetchRouteData = async () => {
-      setLoading(true);
-      setError(null);
-      
-      try {
-        // Fetch route geometry - try GeoJSON format first, then fallback to JSON
-        let routeResponse = await fetch(config.getApiUrl(`/api/bus-routes?service=${serviceNumber}&format=geojson`));
-        
-        // If GeoJSON format fails, try regular JSON format
-        if (!routeResponse.ok) {
-          routeResponse = await fetch(config.getApiUrl(`/api/bus-routes?service=${serviceNumber}`));
-        }
-        
-        if (!routeResponse.ok) {
-          throw new Error(`HTTP ${routeResponse.status}: Failed to fetch route data`);
-        }
+  const selected = patterns.find(pattern => pattern.pattern === selectedPattern) || patterns[0] || null;
 
-        const routeData = await routeResponse.json();
+  const routeData = useMemo(() => ({
+    type: 'FeatureCollection',
+    features: patterns.map(pattern => ({
+      ...pattern.feature,
+      properties: { ...pattern.feature.properties, stops: pattern.stopCount }
+    }))
+  }), [patterns]);
 
-        // Check for success and extract data
-        if (routeData.success && routeData.data && routeData.data.routes && routeData.data.routes[serviceNumber]) {
-          const routeInfo = routeData.data.routes[serviceNumber];
-          const features = [];
-          
-          // Handle polylines if available
-          if (routeInfo.polylines && Array.isArray(routeInfo.polylines)) {
-            routeInfo.polylines.forEach((polylineString, index) => {
-              try {
-                // Decode the polyline string to get coordinates
-                const coordinates = polyline.decode(polylineString);
-                
-                features.push({
-                  type: 'Feature',
-                  properties: { 
-                    pattern: index,
-                    serviceNo: serviceNumber,
-                    direction: index === 0 ? 'Direction 1' : `Direction ${index + 1}`
-                  },
-                  geometry: {
-                    type: 'LineString',
-                    coordinates: coordinates
-                  }
-                });
-              } catch (error) {
-                console.error(`Failed to decode polyline ${index}:`, error);
-              }
-            });
-          }
-          
-          // If no polylines, try to create routes from stops
-          if (features.length === 0 && routeInfo.stops && Array.isArray(routeInfo.stops)) {
-            routeInfo.stops.forEach((stopSequence, index) => {
-              // For now, we'll create a simple line connecting the stops
-              // In a real implementation, you'd need to fetch stop coordinates
-              features.push({
-                type: 'Feature',
-                properties: { 
-                  pattern: index,
-                  serviceNo: serviceNumber,
-                  direction: index === 0 ? 'Direction 1' : `Direction ${index + 1}`,
-                  stops: stopSequence
-                },
-                geometry: {
-                  type: 'LineString',
-                  coordinates: [] // Will be populated when we have stop coordinates
-                }
-              });
-            });
-          }
-          
-          setRouteData({
-            type: 'FeatureCollection',
-            features: features
-          });
-        } else {
-          throw new Error('Invalid route data response');
-        }
+  const busStops = useMemo(() => uniqueRouteStops(patterns), [patterns]);
 
-        // For now, we'll set empty stops since the API doesn't seem to have a service-specific stops endpoint
-        setBusStops([]);
-      } catch (err) {
-        setError(err.message);
-        console.error('Failed to fetch route data:', err);
-      } finally {
-        setLoading(false);
-      }
-    };
+  // Every pattern's stops, with the selected direction's drawn last (on
+  // top) and taking precedence where directions share a stop
+  const mapStops = useMemo(() => {
+    if (!selected) return [];
+    const selectedStops = uniqueRouteStops([selected]);
+    const selectedCodes = new Set(selectedStops.map(stop => stop.properties.code));
+    return [
+      ...busStops.filter(stop => !selectedCodes.has(stop.properties.code)),
+      ...selectedStops
+    ];
+  }, [busStops, selected]);
+
+  const routeKey = [serviceNumber, ...routeData.features.map(feature =>
+    `${feature.properties.pattern}:${feature.geometry.coordinates.length}:${feature.geometry.coordinates[0]}`
+  )].join('|');
+
+  const handleFlyArrive = useCallback((target) => {
+    setPopupFocus({ code: target.stop.properties.code });
+  }, []);
 
-    fetchRouteData();
-  }, [serviceNumber, apiBaseUrl, showStops]);
+  // Fit the whole route; paths are GeoJSON [lng, lat] and Leaflet wants [lat, lng]
+  const bounds = useMemo(() => {
+    const allCoordinates = routeData.features.flatMap(feature => feature.geometry.coordinates);
+    return latLngBounds(positionsToLatLngs(allCoordinates)) || serviceAreaBounds();
+  }, [routeData]);
 
   const routeStyle = (feature) => {
     const pattern = feature.properties.pattern;
-    const colors = ['#ff7800', '#00ff78', '#7800ff', '#ff0078', '#78ff00'];
+    const isSelected = selected && selected.pattern === pattern;
     
     return {
-      color: colors[pattern % colors.length],
-      weight: 4,
-      opacity: 0.8,
+      color: patternColor(pattern),
+      weight: isSelected ? 5 : 4,
+      opacity: isSelected ? 0.9 : 0.5,
       dashArray: pattern > 0 ? '10, 5' : null
     };
   };
 
-  const busStopIcon = L.divIcon({
-    className: 'bus-stop-marker',
-    html: `<div style="
-      background: #0066cc; 
-      width: 10px; 
-      height: 10px; 
-      border-radius: 50%; 
-      border: 2px solid white;
-      box-shadow: 0 1px 3px rgba(0,0,0,0.3);
-    "></div>`,
-    iconSize: [14, 14],
-    iconAnchor: [7, 7]
-  });
-
-  if (loading) {
+  if (loading && patterns.length === 0) {
     return (
       <div style={{ 
         display: 'flex', 
@@ -163,7 +194,7 @@ function RouteVisualization({
     );
   }
 
-  if (error) {
+  if (error && patterns.length === 0) {
     return (
       <div style={{ 
         padding: '20px', 
@@ -183,7 +214,7 @@ function RouteVisualization({
     );
   }
 
-  if (!routeData || routeData.features.length === 0) {
+  if (routeData.features.length === 0) {
     return (
       <div style={{ 
         padding: '20px', 
@@ -203,13 +234,6 @@ function RouteVisualization({
     );
   }
 
-  // Calculate map bounds using utility function
-  const allCoordinates = routeData.features.flatMap(feature => 
-    feature.geometry.coordinates
-  );
-  
-  const bounds = calculateBounds(allCoordinates);
-
   return (
     <div style={{ height: '500px', width: '100%', border: '1px solid #ddd', borderRadius: '8px', overflow: 'hidden' }}>
       {/* Header */}
@@ -225,138 +249,273 @@ function RouteVisualization({
         <div>
           🚌 Bus Service {serviceNumber} - Route Map
         </div>
-        <div style={{ fontWeight: 'normal', fontSize: '0.85em', color: '#666' }}>
-          {routeData.features.length} pattern{routeData.features.length !== 1 ? 's' : ''}
-          {showStops && busStops.length > 0 && `, ${busStops.length} stops`}
+        <div style={{ fontWeight: 'normal', fontSize: '0.85em', color: '#666', display: 'flex', alignItems: 'center', gap: '10px' }}>
+          <span>
+            {routeData.features.length} pattern{routeData.features.length !== 1 ? 's' : ''}
+            {showStops && busStops.length > 0 && `, ${busStops.length} stops`}
+          </span>
+          <button
+            onClick={() => setShowLiveBuses(shown => !shown)}
+            title="Every bus on the service, from live arrivals at stops along the route"
+            style={{ padding: '2px 8px', cursor: 'pointer', fontSize: '0.95em', backgroundColor: showLiveBuses ? '#bbdefb' : undefined }}
+          >
+            🛰️ Live buses{showLiveBuses && (live.loading && live.positions.length === 0 ? ' …' : `: ${live.positions.length}`)}
+          </button>
+          {showLiveBuses && live.error && (
+            <span style={{ color: '#c62828' }} title={live.error}>❌ Live buses unavailable</span>
+          )}
+          {showStops && selected && selected.stops.length > 0 && (
+            <button
+              onClick={() => setSidebarOpen(open => !open)}
+              style={{ padding: '2px 8px', cursor: 'pointer', fontSize: '0.95em' }}
+            >
+              {sidebarOpen ? 'Hide stops ▸' : '◂ Show stops'}
+            </button>
+          )}
         </div>
       </div>
       
-      {/* Map */}
-      <MapContainer 
-        bounds={bounds} 
-        style={{ height: 'calc(100% - 45px)', width: '100%' }}
-        scrollWheelZoom={true}
-      >
-        <TileLayer 
-          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-        />
-        
-        {/* Route lines */}
-        {routeData && (
-          <GeoJSON 
-            data={routeData} 
-            style={routeStyle}
-            onEachFeature={(feature, layer) => {
-              const pattern = feature.properties.pattern;
-              const direction = feature.properties.direction || `Direction ${pattern + 1}`;
-              const coordinates = feature.geometry.coordinates;
-              
-              layer.bindPopup(`
-                <div style="min-width: 200px;">
-                  <strong>🚌 Service ${serviceNumber}</strong><br/>
-                  <strong>${direction}</strong><br/>
-                  <small>Route pattern ${pattern + 1}</small><br/>
-                  <small>${coordinates.length} coordinate points</small>
-                  ${feature.properties.stops ? `<br/><small>${feature.properties.stops.length} stops</small>` : ''}
-                </div>
-              `);
-            }}
-          />
-        )}
-        
-        {/* Pattern labels as separate markers */}
-        {showPatternLabels && routeData.features.map((feature, index) => {
-          if (feature.geometry.coordinates.length > 0) {
-            const midPoint = feature.geometry.coordinates[Math.floor(feature.geometry.coordinates.length / 2)];
-            const pattern = feature.properties.pattern;
-            const colors = ['#ff7800', '#00ff78', '#7800ff', '#ff0078', '#78ff00'];
+      <div style={{ display: 'flex', height: 'calc(100% - 45px)' }}>
+        {/* Map */}
+        <div style={{ flex: 1, position: 'relative' }}>
+          <MapContainer 
+            bounds={bounds} 
+            style={{ height: '100%', width: '100%' }}
+            scrollWheelZoom={true}
+          >
+            <TileLayer 
+              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+              attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+            />
+            {!view && <FitBounds bounds={bounds} />}
+            <MapViewSync view={view} onViewChange={onViewChange} />
+            <FlyToStop target={flyTarget} zoom={16} onArrive={handleFlyArrive} />
             
-            return (
+            {/* Route lines; keyed on the data because GeoJSON layers do not update */}
+            <GeoJSON 
+              key={routeKey}
+              data={routeData} 
+              style={routeStyle}
+              onEachFeature={(feature, layer) => {
+                const pattern = feature.properties.pattern;
+                const direction = feature.properties.direction || `Direction ${pattern + 1}`;
+                const coordinates = feature.geometry.coordinates;
+                
+                layer.on('click', () => setSelectedPattern(pattern));
+                layer.bindPopup(`
+                  <div style="min-width: 200px;">
+                    <strong>🚌 Service ${serviceNumber}</strong><br/>
+                    <strong>${direction}</strong><br/>
+                    <small>Route pattern ${pattern + 1}</small><br/>
+                    <small>${coordinates.length} coordinate points</small>
+                    ${feature.properties.stops ? `<br/><small>${feature.properties.stops} stops</small>` : ''}
+                  </div>
+                `);
+              }}
+            />
+            
+            {/* Pattern labels as separate markers */}
+            {showPatternLabels && routeData.features.map((feature, index) => {
+              if (feature.geometry.coordinates.length > 0) {
+                const midPoint = feature.geometry.coordinates[Math.floor(feature.geometry.coordinates.length / 2)];
+                const pattern = feature.properties.pattern;
+                
+                return (
+                  <Marker
+                    key={`pattern-${index}`}
+                    position={positionToLatLng(midPoint)}
+                    eventHandlers={{ click: () => setSelectedPattern(pattern) }}
+                    icon={patternLabelIcon(pattern)}
+                  />
+                );
+              }
+              return null;
+            })}
+            
+            {/* Live buses */}
+            {showLiveBuses && live.positions.map(bus => (
               <Marker
-                key={`pattern-${index}`}
-                position={[midPoint[1], midPoint[0]]}
-                icon={L.divIcon({
-                  className: 'pattern-label',
-                  html: `<div style="
-                    background: ${colors[pattern % colors.length]};
-                    color: white;
-                    padding: 2px 6px;
-                    border-radius: 10px;
-                    font-size: 10px;
-                    font-weight: bold;
-                    border: 1px solid white;
-                    box-shadow: 0 1px 3px rgba(0,0,0,0.3);
-                  ">${pattern + 1}</div>`,
-                  iconSize: [20, 16],
-                  iconAnchor: [10, 8]
+                key={bus.id}
+                position={bus.route ? positionToLatLng(bus.route.position) : [bus.latitude, bus.longitude]}
+                icon={liveBusIcon(bus.route?.pattern ?? null, Math.round(bus.route?.bearing ?? 0), bus.load)}
+                zIndexOffset={1000}
+              >
+                <Popup>
+                  <div style={{ minWidth: '200px', fontSize: '0.9em' }}>
+                    <strong>🚌 Service {serviceNumber}</strong>
+                    {bus.route && <> · direction {bus.route.direction}</>}
+                    <div style={{ marginTop: '6px' }}>
+                      {bus.minutesAway === 0 ? 'Arriving at' : `${bus.minutesAway} min to`} stop <code>{bus.stopCode}</code>
+                    </div>
+                    {bus.route?.nextStop && <div>Next stop: {bus.route.nextStop.properties.name}</div>}
+                    <div style={{ color: getLoadColor(bus.load) }}>{getLoadText(bus.load)}</div>
+                    <div style={{ color: '#666' }}>
+                      {bus.monitored ? '✅ GPS tracked' : '❌ Estimated'} · seen from {bus.sightings} stop{bus.sightings !== 1 ? 's' : ''}
+                    </div>
+                  </div>
+                </Popup>
+              </Marker>
+            ))}
+
+            {/* Bus stops, numbered in route order */}
+            {showStops && (
+              <StopLayer
+                stops={mapStops}
+                clusterBelowZoom={12}
+                markersFromZoom={14}
+                focus={popupFocus}
+                getIcon={({ properties }) => numberedStopIcon(
+                  properties.pattern,
+                  properties.sequence,
+                  properties.isTerminal,
+                  properties.pattern === selected.pattern
+                )}
+                getCircleStyle={(stop) => ({
+                  fillColor: stop.properties.isTerminal ? TERMINAL_COLOR : patternColor(stop.properties.pattern),
+                  radius: stop.properties.isTerminal ? 7 : 5
                 })}
+                renderPopup={(stop) => (
+                  <div style={{ minWidth: '220px' }}>
+                    <strong>{stop.properties.name}</strong>
+                    <FavouriteButton stopCode={stop.properties.code} /><br/>
+                    <div style={{ margin: '8px 0', fontSize: '0.9em', color: '#666' }}>
+                      Stop: <code>{stop.properties.code}</code><br/>
+                      Road: {stop.properties.road}<br/>
+                      Stop {stop.properties.sequence + 1} of direction {stop.properties.pattern + 1}
+                      {stop.properties.distanceAlong != null && ` · ${formatKm(stop.properties.distanceAlong)} along`}
+                    </div>
+                    {stop.properties.isTerminal && (
+                      <div style={{ color: TERMINAL_COLOR, fontWeight: 'bold', fontSize: '0.9em' }}>🚌 Terminal/Interchange</div>
+                    )}
+                    <div style={{ marginTop: '8px', fontSize: '0.9em' }}>
+                      <strong>Services:</strong>{' '}
+                      <StopServices code={stop.properties.code} highlightService={serviceNumber} />
+                    </div>
+                    <div style={{ marginTop: '8px' }}>
+                      <strong>Next buses:</strong>
+                      <StopArrivals code={stop.properties.code} highlightService={serviceNumber} />
+                    </div>
+                    <div style={{ marginTop: '8px' }}>
+                      <FavouriteButton stopCode={stop.properties.code} service={serviceNumber} label={`${serviceNumber} at this stop`} />
+                    </div>
+                  </div>
+                )}
               />
-            );
-          }
-          return null;
-        })}
-        
-        {/* Bus stops */}
-        {showStops && busStops.map((stop, index) => (
-          <Marker 
-            key={stop.id || index}
-            position={[stop.geometry.coordinates[1], stop.geometry.coordinates[0]]}
-            icon={busStopIcon}
-          >
-            <Popup>
-              <div style={{ minWidth: '200px' }}>
-                <strong>{stop.properties.name}</strong><br/>
-                <div style={{ margin: '8px 0', fontSize: '0.9em', color: '#666' }}>
-                  Stop: <code>{stop.properties.number}</code><br/>
-                  Road: {stop.properties.road}
+            )}
+          </MapContainer>
+          
+          {/* Legend */}
+          {routeData.features.length > 1 && (
+            <div style={{ 
+              position: 'absolute', 
+              bottom: '20px', 
+              left: '10px', 
+              backgroundColor: 'rgba(255,255,255,0.95)',
+              padding: '8px 10px',
+              borderRadius: '4px',
+              boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
+              fontSize: '0.8em',
+              zIndex: 1000,
+              border: '1px solid #ddd'
+            }}>
+              <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>Route Patterns:</div>
+              {routeData.features.map((feature, index) => (
+                <div key={index} style={{ display: 'flex', alignItems: 'center', marginBottom: '2px' }}>
+                  <div style={{
+                    width: '12px',
+                    height: '3px',
+                    backgroundColor: routeStyle(feature).color,
+                    marginRight: '6px',
+                    borderRadius: '1px'
+                  }}></div>
+                  Direction {feature.properties.pattern + 1}
                 </div>
-                <div style={{ marginTop: '10px' }}>
-                  <strong>All Services at this stop:</strong><br/>
-                  <div style={{ 
-                    fontSize: '0.8em', 
-                    marginTop: '5px',
-                    maxHeight: '60px',
-                    overflowY: 'auto'
-                  }}>
-                    {stop.properties.services.join(', ')}
-                  </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Stop list for the selected direction */}
+        {showStops && sidebarOpen && selected && selected.stops.length > 0 && (
+          <div style={{ width: '280px', display: 'flex', flexDirection: 'column', borderLeft: '1px solid #ddd', textAlign: 'left' }}>
+            <div style={{ padding: '8px 10px', borderBottom: '1px solid #eee', backgroundColor: '#fafafa' }}>
+              {patterns.length > 1 && (
+                <div style={{ display: 'flex', gap: '4px', marginBottom: '6px' }}>
+                  {patterns.map(pattern => (
+                    <button
+                      key={pattern.pattern}
+                      onClick={() => setSelectedPattern(pattern.pattern)}
+                      style={{
+                        flex: 1,
+                        padding: '3px 6px',
+                        cursor: 'pointer',
+                        border: `2px solid ${patternColor(pattern.pattern)}`,
+                        borderRadius: '4px',
+                        backgroundColor: pattern === selected ? patternColor(pattern.pattern) : 'white',
+                        color: pattern === selected ? 'white' : '#333',
+                        fontWeight: 'bold'
+                      }}
+                    >
+                      Direction {pattern.direction}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <div style={{ fontSize: '0.85em' }}>
+                <strong>
+                  {selected.origin ? selected.origin.properties.name : '?'} → {selected.destination ? selected.destination.properties.name : '?'}
+                </strong>
+                <div style={{ color: '#666' }}>
+                  {selected.stopCount} stops · {formatKm(selected.length)}
+                  {selected.missingStops.length > 0 && ` · ${selected.missingStops.length} not found`}
                 </div>
               </div>
-            </Popup>
-          </Marker>
-        ))}
-      </MapContainer>
-      
-      {/* Legend */}
-      {routeData.features.length > 1 && (
-        <div style={{ 
-          position: 'absolute', 
-          bottom: '50px', 
-          left: '10px', 
-          backgroundColor: 'rgba(255,255,255,0.95)',
-          padding: '8px 10px',
-          borderRadius: '4px',
-          boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
-          fontSize: '0.8em',
-          zIndex: 1000,
-          border: '1px solid #ddd'
-        }}>
-          <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>Route Patterns:</div>
-          {routeData.features.map((feature, index) => (
-            <div key={index} style={{ display: 'flex', alignItems: 'center', marginBottom: '2px' }}>
-              <div style={{
-                width: '12px',
-                height: '3px',
-                backgroundColor: routeStyle(feature).color,
-                marginRight: '6px',
-                borderRadius: '1px'
-              }}></div>
-              Direction {feature.properties.pattern + 1}
             </div>
-          ))}
-        </div>
-      )}
+
+            <ol style={{ listStyle: 'none', margin: 0, padding: 0, overflowY: 'auto', flex: 1 }}>
+              {selected.stops.map(stop => {
+                const { code, name, road, sequence, isTerminal, distanceAlong } = stop.properties;
+                const focused = popupFocus && popupFocus.code === code;
+                return (
+                  <li
+                    key={`${sequence}-${code}`}
+                    onClick={() => setFlyTarget({ stop })}
+                    style={{
+                      display: 'flex',
+                      gap: '8px',
+                      padding: '6px 10px',
+                      borderBottom: '1px solid #f0f0f0',
+                      cursor: 'pointer',
+                      backgroundColor: focused ? '#e3f2fd' : 'white'
+                    }}
+                  >
+                    <span style={{
+                      minWidth: '22px',
+                      height: '22px',
+                      lineHeight: '22px',
+                      borderRadius: '50%',
+                      backgroundColor: isTerminal ? TERMINAL_COLOR : patternColor(selected.pattern),
+                      color: 'white',
+                      fontSize: '0.75em',
+                      fontWeight: 'bold',
+                      textAlign: 'center'
+                    }}>
+                      {sequence + 1}
+                    </span>
+                    <span style={{ flex: 1, fontSize: '0.85em' }}>
+                      <strong>{name}</strong>
+                      <div style={{ color: '#666', fontSize: '0.9em' }}>{code} · {road}</div>
+                    </span>
+                    <span style={{ fontSize: '0.8em', color: '#666', whiteSpace: 'nowrap' }}>
+                      {distanceAlong != null ? formatKm(distanceAlong) : ''}
+                    </span>
+                  </li>
+                );
+              })}
+            </ol>
+          </div>
+        )}
+      </div>
     </div>
   );
 }
@@ -0,0 +1,46 @@
+import React from 'react';
+import { useBusArrivals } from './hooks';
+
+/**
+ * Compact live arrivals at one stop: the next two buses of every service.
+ *
+ * @param {Object} props
+ * @param {string} props.code - Bus stop code
+ * @param {number} [props.refreshInterval] - Refresh interval in ms
+ * @param {string} [props.highlightService] - Service listed first and highlighted
+ */
+function StopArrivals({ code, refreshInterval = 30000, highlightService }) {
+  const { arrivals, loading, error, isStale } = useBusArrivals(code, refreshInterval);
+
+  if (arrivals.length === 0) {
+    return (
+      <div style={{ fontSize: '0.8em', color: error ? '#c62828' : '#666' }}>
+        {error ? `❌ ${error}` : loading ? '🔄 Loading arrivals...' : 'No buses expected'}
+      </div>
+    );
+  }
+
+  const ordered = highlightService
+    ? [...arrivals].sort((a, b) => (b.serviceNo === highlightService) - (a.serviceNo === highlightService))
+    : arrivals;
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px 10px', fontSize: '0.85em', opacity: isStale ? 0.6 : 1 }}>
+      {ordered.map(arrival => (
+        <span
+          key={arrival.serviceNo}
+          style={arrival.serviceNo === highlightService
+            ? { backgroundColor: '#e3f2fd', borderRadius: '3px', padding: '0 4px' }
+            : undefined}
+        >
+          <strong>{arrival.serviceNo}</strong>{' '}
+          {arrival.buses.length > 0
+            ? arrival.buses.slice(0, 2).map(bus => bus.minutesAway === 0 ? 'Arr' : `${bus.minutesAway}m`).join(', ')
+            : '-'}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+export default StopArrivals;
@@ -0,0 +1,215 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { CircleMarker, Marker, Popup, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import { featureToLatLng } from './geometry';
+import { memoize } from './utils';
+
+// Clusters are formed from stops falling in the same square of this many
+// screen pixels at the current zoom
+const CLUSTER_CELL_PX = 60;
+
+const defaultCircleStyle = {
+  radius: 5,
+  color: '#ffffff',
+  weight: 1.5,
+  fillColor: '#0066cc',
+  fillOpacity: 0.9
+};
+
+// Icons are shared between renders so markers are not rebuilt on each one
+const defaultIcon = memoize(() => new L.Icon.Default());
+
+const clusterIcon = memoize((count) => {
+  const size = count < 10 ? 28 : count < 100 ? 34 : count < 1000 ? 40 : 46;
+  return L.divIcon({
+    className: 'stop-cluster',
+    html: `<div style="
+      width: ${size}px;
+      height: ${size}px;
+      line-height: ${size}px;
+      border-radius: 50%;
+      background: rgba(0, 102, 204, 0.85);
+      border: 3px solid rgba(255, 255, 255, 0.9);
+      box-shadow: 0 2px 4px rgba(0,0,0,0.3);
+      color: white;
+      font-size: 12px;
+      font-weight: bold;
+      text-align: center;
+    ">${count}</div>`,
+    iconSize: [size + 6, size + 6],
+    iconAnchor: [(size + 6) / 2, (size + 6) / 2]
+  });
+});
+
+/**
+ * Groups stops into screen-space grid cells at a zoom level
+ * @param {Array} stops - GeoJSON point features
+ * @param {L.Map} map - Map used for projection
+ * @param {number} zoom - Zoom level to cluster at
+ * @returns {Array} - Clusters ({ key, stops, center, bounds })
+ */
+const clusterStops = (stops, map, zoom) => {
+  const cells = new Map();
+  stops.forEach(stop => {
+    const latLng = featureToLatLng(stop);
+    const point = map.project(latLng, zoom);
+    const key = `${Math.floor(point.x / CLUSTER_CELL_PX)}:${Math.floor(point.y / CLUSTER_CELL_PX)}`;
+    if (!cells.has(key)) cells.set(key, { key, stops: [], lat: 0, lng: 0 });
+    const cell = cells.get(key);
+    cell.stops.push(stop);
+    cell.lat += latLng[0];
+    cell.lng += latLng[1];
+  });
+
+  return Array.from(cells.values()).map(cell => ({
+    key: cell.key,
+    stops: cell.stops,
+    center: [cell.lat / cell.stops.length, cell.lng / cell.stops.length],
+    bounds: L.latLngBounds(cell.stops.map(featureToLatLng))
+  }));
+};
+
+/**
+ * Flies the map to a stop chosen elsewhere (search, a stop list...), then
+ * calls `onArrive` so the caller can focus the stop's popup
+ * @param {Object} props
+ * @param {Object} props.target - { stop }; a new object flies again
+ * @param {number} props.zoom - Minimum zoom to arrive at
+ * @param {Function} props.onArrive - Called with `target` once the map stops
+ */
+export function FlyToStop({ target, zoom, onArrive }) {
+  const map = useMap();
+  useEffect(() => {
+    if (!target) return;
+    const arrive = () => onArrive(target);
+    map.once('moveend', arrive);
+    map.flyTo(featureToLatLng(target.stop), Math.max(map.getZoom(), zoom));
+    return () => map.off('moveend', arrive);
+  }, [map, target, zoom, onArrive]);
+  return null;
+}
+
+/**
+ * Renders a large set of bus stops efficiently:
+ * - below `clusterBelowZoom`, stops are grouped into clusters showing counts;
+ *   clicking a cluster zooms in to its stops
+ * - from there up to `markersFromZoom`, stops are canvas-rendered circles
+ * - from `markersFromZoom`, stops are regular markers
+ * Only stops inside the (padded) viewport are rendered.
+ *
+ * @param {Object} props
+ * @param {Array} props.stops - GeoJSON point features with `properties.code`
+ * @param {Function} [props.onStopClick] - Called with the clicked stop
+ * @param {Function} [props.renderPopup] - (stop) => popup content
+ * @param {Function} [props.getIcon] - (stop) => L.Icon for marker mode; return
+ *   the same icon for an unchanged stop (see memoize() in utils.js)
+ * @param {Function} [props.getCircleStyle] - (stop) => circle options for canvas mode
+ * @param {number} [props.clusterBelowZoom] - Cluster below this zoom; 0 disables
+ * @param {number} [props.markersFromZoom] - Use DOM markers from this zoom
+ * @param {Object} [props.focus] - { code } of a stop whose popup should open
+ *   once it is rendered; a new object re-opens it
+ */
+function StopLayer({
+  stops,
+  onStopClick,
+  renderPopup,
+  getIcon,
+  getCircleStyle,
+  clusterBelowZoom = 14,
+  markersFromZoom = 16,
+  focus
+}) {
+  const map = useMap();
+  const [view, setView] = useState(() => ({ zoom: map.getZoom(), bounds: map.getBounds() }));
+  const canvasRenderer = useMemo(() => L.canvas({ padding: 0.5 }), []);
+  const focusedLayer = useRef(null);
+  const openedFocus = useRef(null);
+
+  useMapEvents({
+    moveend: () => setView({ zoom: map.getZoom(), bounds: map.getBounds() }),
+    zoomend: () => setView({ zoom: map.getZoom(), bounds: map.getBounds() })
+  });
+
+  const clustered = view.zoom < clusterBelowZoom;
+  const useMarkers = view.zoom >= markersFromZoom;
+
+  // Clustering depends on zoom only, so panning reuses the same clusters
+  const clusters = useMemo(() => {
+    return clustered ? clusterStops(stops, map, view.zoom) : [];
+  }, [clustered, stops, map, view.zoom]);
+
+  const visibleBounds = view.bounds.pad(0.2);
+
+  // Open the focused stop's popup as soon as its layer exists
+  useEffect(() => {
+    if (!focus || openedFocus.current === focus || !focusedLayer.current) return;
+    focusedLayer.current.openPopup();
+    openedFocus.current = focus;
+  });
+
+  const renderStop = (stop) => {
+    const { code } = stop.properties;
+    const eventHandlers = onStopClick ? { click: () => onStopClick(stop) } : undefined;
+    const popup = renderPopup ? <Popup>{renderPopup(stop)}</Popup> : null;
+    const ref = focus && focus.code === code ? focusedLayer : undefined;
+
+    if (useMarkers) {
+      return (
+        <Marker
+          key={code}
+          position={featureToLatLng(stop)}
+          icon={getIcon ? getIcon(stop) : defaultIcon()}
+          eventHandlers={eventHandlers}
+          ref={ref}
+        >
+          {popup}
+        </Marker>
+      );
+    }
+
+    return (
+      <CircleMarker
+        key={code}
+        center={featureToLatLng(stop)}
+        renderer={canvasRenderer}
+        {...defaultCircleStyle}
+        {...(getCircleStyle ? getCircleStyle(stop) : {})}
+        eventHandlers={eventHandlers}
+        ref={ref}
+      >
+        {popup}
+      </CircleMarker>
+    );
+  };
+
+  if (clustered) {
+    return (
+      <>
+        {clusters
+          .filter(cluster => visibleBounds.contains(cluster.center))
+          .map(cluster => cluster.stops.length === 1
+            ? renderStop(cluster.stops[0])
+            : (
+              <Marker
+                key={`cluster-${cluster.key}`}
+                position={cluster.center}
+                icon={clusterIcon(cluster.stops.length)}
+                eventHandlers={{
+                  click: () => map.flyToBounds(cluster.bounds, { padding: [40, 40], maxZoom: clusterBelowZoom })
+                }}
+              />
+            ))}
+      </>
+    );
+  }
+
+  return (
+    <>
+      {stops
+        .filter(stop => visibleBounds.contains(featureToLatLng(stop)))
+        .map(renderStop)}
+    </>
+  );
+}
+
+export default StopLayer;
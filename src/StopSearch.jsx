@@ -0,0 +1,147 @@
+import React, { useMemo, useState } from 'react';
+import { useAllStops, useServiceIndex } from './hooks';
+import { callsAtStop } from './serviceIndex';
+import { buildSearchIndex, searchStops } from './stopSearchIndex';
+
+/**
+ * Search box for bus stops by name, road or code. Tolerates typos and the
+ * usual LTA abbreviations (Blk, Int, Opp...). The stop list is downloaded
+ * the first time the box gets focus.
+ *
+ * @param {Object} props
+ * @param {Function} props.onSelect - Called with the chosen stop feature
+ * @param {number} [props.maxResults] - Results shown in the dropdown
+ * @param {string} [props.label] - Label before the input
+ * @param {string} [props.placeholder] - Input placeholder
+ */
+function StopSearch({
+  onSelect,
+  maxResults = 8,
+  label = 'Find Stop:',
+  placeholder = 'Stop name, road or code'
+}) {
+  const [query, setQuery] = useState('');
+  const [activated, setActivated] = useState(false);
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+  const { stops, loading, error } = useAllStops(activated);
+
+  const serviceIndex = useServiceIndex(activated);
+
+  const index = useMemo(() => buildSearchIndex(stops), [stops]);
+  const results = useMemo(() => searchStops(index, query, maxResults), [index, query, maxResults]);
+
+  // Services calling at each result, looked up once for the whole list
+  const resultServices = useMemo(() => {
+    if (!serviceIndex.index) return null;
+    return results.map(({ stop }) => Array.from(new Set(
+      callsAtStop(serviceIndex.index, stop.properties.code).map(call => call.service)
+    )));
+  }, [serviceIndex.index, results]);
+  const servicesText = (i) => (resultServices ? resultServices[i].join(', ') || 'No services found'
+    : serviceIndex.loading ? 'Loading services...'
+    : 'Service info unavailable');
+
+  const choose = (stop) => {
+    setQuery(`${stop.properties.name} (${stop.properties.code})`);
+    setOpen(false);
+    onSelect(stop);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open || results.length === 0) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted(i => (i + 1) % results.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(i => (i - 1 + results.length) % results.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      choose(results[highlighted].stop);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div style={{ position: 'relative', display: 'inline-block' }}>
+      <label>{label} </label>
+      <input
+        type="text"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setHighlighted(0);
+          setOpen(true);
+        }}
+        onFocus={() => {
+          setActivated(true);
+          setOpen(true);
+        }}
+        // Delay so a click on a result registers before the list closes
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        style={{ marginLeft: '5px', width: '220px' }}
+        aria-autocomplete="list"
+      />
+
+      {open && query.trim() && (
+        <div
+          role="listbox"
+          style={{
+            position: 'absolute',
+            top: '100%',
+            right: 0,
+            width: '320px',
+            maxHeight: '300px',
+            overflowY: 'auto',
+            backgroundColor: 'white',
+            border: '1px solid #ddd',
+            borderRadius: '4px',
+            boxShadow: '0 3px 6px rgba(0,0,0,0.2)',
+            textAlign: 'left',
+            zIndex: 2000
+          }}
+        >
+          {loading && stops.length === 0 && (
+            <div style={{ padding: '8px 10px', color: '#666' }}>🔄 Loading stops...</div>
+          )}
+          {error && stops.length === 0 && (
+            <div style={{ padding: '8px 10px', color: '#c62828' }}>❌ {error}</div>
+          )}
+          {!loading && !error && results.length === 0 && (
+            <div style={{ padding: '8px 10px', color: '#666' }}>No matching stops</div>
+          )}
+          {results.map(({ stop }, i) => (
+            <div
+              key={stop.properties.code}
+              role="option"
+              aria-selected={i === highlighted}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => choose(stop)}
+              onMouseEnter={() => setHighlighted(i)}
+              style={{
+                padding: '6px 10px',
+                cursor: 'pointer',
+                backgroundColor: i === highlighted ? '#e3f2fd' : 'white',
+                borderBottom: '1px solid #f0f0f0'
+              }}
+            >
+              <div style={{ fontWeight: 'bold' }}>🚏 {stop.properties.name}</div>
+              <div style={{ fontSize: '0.8em', color: '#666' }}>
+                {stop.properties.code} · {stop.properties.road}
+              </div>
+              <div style={{ fontSize: '0.75em', color: '#1976d2' }}>
+                🚌 {servicesText(i)}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default StopSearch;
@@ -0,0 +1,59 @@
+import React from 'react';
+import { useServiceIndex } from './hooks';
+import { callsAtStop } from './serviceIndex';
+
+/**
+ * The services calling at a stop, from the route dataset, so they show
+ * before (and without) live arrivals.
+ *
+ * @param {Object} props
+ * @param {string} props.code - Bus stop code
+ * @param {string} [props.highlightService] - Service to highlight
+ * @param {boolean} [props.compact] - Plain comma-separated text instead of chips
+ */
+function StopServices({ code, highlightService, compact = false }) {
+  const { index, loading, error } = useServiceIndex();
+  const calls = callsAtStop(index, code);
+
+  if (calls.length === 0) {
+    const message = !index && loading ? 'Loading services...'
+      : !index && error ? 'Service info unavailable'
+      : 'No services found';
+    return <span style={{ color: '#666' }}>{message}</span>;
+  }
+
+  // One entry per service; the title lists where in each direction it calls
+  const byService = new Map();
+  calls.forEach(call => {
+    if (!byService.has(call.service)) byService.set(call.service, []);
+    byService.get(call.service).push(`direction ${call.direction}, stop ${call.sequence + 1}`);
+  });
+
+  if (compact) {
+    return <span>{Array.from(byService.keys()).join(', ')}</span>;
+  }
+
+  return (
+    <span style={{ display: 'inline-flex', flexWrap: 'wrap', gap: '3px' }}>
+      {Array.from(byService.entries()).map(([service, positions]) => (
+        <span
+          key={service}
+          title={`Service ${service}: ${positions.join('; ')}`}
+          style={{
+            padding: '0 5px',
+            borderRadius: '3px',
+            border: '1px solid #90caf9',
+            backgroundColor: service === highlightService ? '#1976d2' : '#e3f2fd',
+            color: service === highlightService ? 'white' : '#0d47a1',
+            fontWeight: 'bold',
+            fontSize: '0.9em'
+          }}
+        >
+          {service}
+        </span>
+      ))}
+    </span>
+  );
+}
+
+export default StopServices;
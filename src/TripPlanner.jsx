@@ -0,0 +1,248 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { CircleMarker, MapContainer, Polyline, TileLayer, useMap } from 'react-leaflet';
+import { featureToLatLng, latLngBounds, positionsToLatLngs } from './geometry';
+import { useAllStops, useBusArrivals, useTripPlan } from './hooks';
+import StopLayer from './StopLayer';
+import StopSearch from './StopSearch';
+
+const LEG_COLORS = ['#1976d2', '#8e24aa'];
+const ORIGIN_COLOR = '#2e7d32';
+const DESTINATION_COLOR = '#c62828';
+
+// Successive bus legs alternate colours on the map and in the list
+const legColor = (itinerary, legIndex) => {
+  const busLegsBefore = itinerary.legs.slice(0, legIndex).filter(leg => leg.type === 'bus').length;
+  return LEG_COLORS[busLegsBefore % LEG_COLORS.length];
+};
+
+const formatKm = (metres) => metres == null ? '? km' : `${(metres / 1000).toFixed(1)} km`;
+
+// Fits the map to the chosen itinerary, or to the chosen stops
+function FitTrip({ latLngs }) {
+  const map = useMap();
+  useEffect(() => {
+    const bounds = latLngBounds(latLngs);
+    if (!bounds) return;
+    if (latLngs.length === 1) {
+      map.setView(latLngs[0], Math.max(map.getZoom(), 15));
+    } else {
+      map.fitBounds(bounds, { padding: [30, 30] });
+    }
+  }, [map, latLngs]);
+  return null;
+}
+
+// Next departures of a service at the origin, from live arrivals
+function NextDepartures({ arrivals, service }) {
+  const arrival = arrivals.find(entry => entry.serviceNo === service);
+  if (!arrival || arrival.buses.length === 0) {
+    return <span style={{ color: '#666' }}>No live arrivals</span>;
+  }
+  return (
+    <span style={{ color: '#2e7d32', fontWeight: 'bold' }}>
+      Next: {arrival.buses.slice(0, 3).map(bus => (bus.minutesAway === 0 ? 'Arr' : `${bus.minutesAway} min`)).join(', ')}
+    </span>
+  );
+}
+
+/**
+ * Finds buses between two stops: direct services and itineraries with one
+ * change (at a shared stop or after a short walk). Stops are chosen by
+ * search/code or from the map; live arrivals at the origin show when each
+ * first bus leaves.
+ *
+ * @param {Object} props
+ * @param {number} [props.refreshInterval] - Origin arrivals refresh interval in ms
+ */
+function TripPlanner({ refreshInterval = 30000 }) {
+  const [origin, setOrigin] = useState(null);
+  const [destination, setDestination] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const { stops, stopsByCode } = useAllStops();
+  const { plan, loading, error } = useTripPlan(origin, destination);
+  const { arrivals } = useBusArrivals(origin, refreshInterval);
+
+  const itineraries = useMemo(() => (plan ? [...plan.direct, ...plan.transfers] : []), [plan]);
+  const selected = itineraries.find(itinerary => itinerary.id === selectedId) || itineraries[0] || null;
+
+  const stopName = (code) => stopsByCode[code]?.properties.name || code;
+
+  const fitLatLngs = useMemo(() => {
+    if (selected) return selected.legs.flatMap(leg => positionsToLatLngs(leg.path));
+    return [origin, destination]
+      .filter(code => stopsByCode[code])
+      .map(code => featureToLatLng(stopsByCode[code]));
+  }, [selected, origin, destination, stopsByCode]);
+
+  const swap = () => {
+    setOrigin(destination);
+    setDestination(origin);
+  };
+
+  const statusMessage = !origin || !destination ? 'Choose where you are starting from and where you are going'
+    : origin === destination ? 'Origin and destination are the same stop'
+    : error && !plan ? `❌ ${error}`
+    : !plan ? '🔄 Finding trips...'
+    : itineraries.length === 0 ? 'No direct or one-change trips found between these stops'
+    : null;
+
+  const renderItinerary = (itinerary) => {
+    const isSelected = itinerary === selected;
+    const firstLeg = itinerary.legs[0];
+    return (
+      <div
+        key={itinerary.id}
+        onClick={() => setSelectedId(itinerary.id)}
+        style={{
+          padding: '10px 15px',
+          borderBottom: '1px solid #f0f0f0',
+          borderLeft: `4px solid ${isSelected ? '#1976d2' : 'transparent'}`,
+          backgroundColor: isSelected ? '#f5faff' : 'white',
+          cursor: 'pointer'
+        }}
+      >
+        <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '4px' }}>
+          {itinerary.legs.map((leg, i) => (
+            <React.Fragment key={i}>
+              {i > 0 && <span style={{ color: '#999' }}>→</span>}
+              {leg.type === 'bus' ? (
+                <span style={{
+                  padding: '1px 6px',
+                  borderRadius: '3px',
+                  backgroundColor: legColor(itinerary, i),
+                  color: 'white',
+                  fontWeight: 'bold'
+                }}>
+                  🚌 {leg.service}
+                </span>
+              ) : (
+                <span style={{ fontSize: '0.85em' }}>🚶 {Math.round(leg.distance)} m</span>
+              )}
+            </React.Fragment>
+          ))}
+          <span style={{ marginLeft: 'auto', fontSize: '0.85em', color: '#666' }}>
+            {itinerary.stops} stops · {formatKm(itinerary.distance)}
+          </span>
+        </div>
+
+        <div style={{ fontSize: '0.8em', margin: '4px 0' }}>
+          <NextDepartures arrivals={arrivals} service={firstLeg.service} />
+        </div>
+
+        {isSelected && (
+          <ol style={{ margin: '6px 0 0 0', paddingLeft: '18px', fontSize: '0.8em', color: '#444' }}>
+            {itinerary.legs.map((leg, i) => (
+              <li key={i}>
+                {leg.type === 'bus'
+                  ? `Take ${leg.service} (direction ${leg.direction}) from ${stopName(leg.from)} to ${stopName(leg.to)}, ${leg.stops} stop${leg.stops !== 1 ? 's' : ''}`
+                  : `Walk ${Math.round(leg.distance)} m from ${stopName(leg.from)} to ${stopName(leg.to)}`}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div style={{ display: 'flex', height: '650px', border: '1px solid #ddd', borderRadius: '8px', overflow: 'hidden' }}>
+      <div style={{ flex: 1, position: 'relative' }}>
+        <MapContainer center={[1.3521, 103.8198]} zoom={12} style={{ height: '100%' }}>
+          <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
+          <FitTrip latLngs={fitLatLngs} />
+
+          <StopLayer
+            stops={stops}
+            renderPopup={(stop) => (
+              <div style={{ minWidth: '180px' }}>
+                <strong>{stop.properties.name}</strong>
+                <div style={{ fontSize: '0.85em', color: '#666', margin: '4px 0 8px 0' }}>
+                  {stop.properties.code} · {stop.properties.road}
+                </div>
+                <div style={{ display: 'flex', gap: '6px' }}>
+                  <button onClick={() => setOrigin(stop.properties.code)}>From here</button>
+                  <button onClick={() => setDestination(stop.properties.code)}>To here</button>
+                </div>
+              </div>
+            )}
+          />
+
+          {selected && selected.legs.map((leg, i) => (
+            <Polyline
+              key={`${selected.id}-${i}`}
+              positions={positionsToLatLngs(leg.path)}
+              pathOptions={leg.type === 'bus'
+                ? { color: legColor(selected, i), weight: 5, opacity: 0.85 }
+                : { color: '#555', weight: 3, dashArray: '4, 6' }}
+            />
+          ))}
+
+          {[[origin, ORIGIN_COLOR], [destination, DESTINATION_COLOR]]
+            .filter(([code]) => stopsByCode[code])
+            .map(([code, color]) => (
+              <CircleMarker
+                key={`${color}-${code}`}
+                center={featureToLatLng(stopsByCode[code])}
+                radius={9}
+                pathOptions={{ color: 'white', weight: 3, fillColor: color, fillOpacity: 1 }}
+                interactive={false}
+              />
+            ))}
+        </MapContainer>
+      </div>
+
+      <div style={{ width: '380px', display: 'flex', flexDirection: 'column', borderLeft: '1px solid #ddd', textAlign: 'left' }}>
+        <div style={{ padding: '12px 15px', backgroundColor: '#e3f2fd', borderBottom: '1px solid #bbdefb' }}>
+          <strong>🧭 Trip Planner</strong>
+          <div style={{ marginTop: '8px', display: 'flex', flexDirection: 'column', gap: '6px' }}>
+            <StopSearch label="From:" placeholder="Origin stop or code" onSelect={(stop) => setOrigin(stop.properties.code)} />
+            <StopSearch label="To:" placeholder="Destination stop or code" onSelect={(stop) => setDestination(stop.properties.code)} />
+          </div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '8px', fontSize: '0.85em' }}>
+            <div style={{ flex: 1 }}>
+              <div><span style={{ color: ORIGIN_COLOR }}>●</span> {origin ? `${stopName(origin)} (${origin})` : 'No origin'}</div>
+              <div><span style={{ color: DESTINATION_COLOR }}>●</span> {destination ? `${stopName(destination)} (${destination})` : 'No destination'}</div>
+            </div>
+            <button onClick={swap} disabled={!origin && !destination} title="Swap origin and destination" style={{ cursor: 'pointer' }}>
+              ⇅
+            </button>
+          </div>
+          <div style={{ fontSize: '0.75em', color: '#666', marginTop: '4px' }}>
+            Or click a stop on the map and choose "From here" / "To here"
+          </div>
+        </div>
+
+        <div style={{ flex: 1, overflowY: 'auto' }}>
+          {statusMessage && (
+            <div style={{ padding: '12px 15px', fontSize: '0.9em', color: error && !plan ? '#c62828' : '#666' }}>
+              {statusMessage}
+            </div>
+          )}
+          {loading && plan && (
+            <div style={{ padding: '6px 15px', fontSize: '0.8em', color: '#666' }}>🔄 Updating...</div>
+          )}
+
+          {plan && plan.direct.length > 0 && (
+            <>
+              <div style={{ padding: '8px 15px', backgroundColor: '#fafafa', fontWeight: 'bold', fontSize: '0.85em' }}>
+                Direct
+              </div>
+              {plan.direct.map(renderItinerary)}
+            </>
+          )}
+          {plan && plan.transfers.length > 0 && (
+            <>
+              <div style={{ padding: '8px 15px', backgroundColor: '#fafafa', fontWeight: 'bold', fontSize: '0.85em' }}>
+                One change
+              </div>
+              {plan.transfers.map(renderItinerary)}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TripPlanner;
@@ -0,0 +1,156 @@
+// Arrival alerts: "tell me when service 27 is 5 minutes from stop 65011".
+//
+// Alerts are kept in localStorage so they survive reloads, and are checked
+// against every arrivals refresh for their stop (see ArrivalAlerts.jsx).
+// Each alert fires at most once per bus; a bus is recognised across
+// refreshes by its predicted arrival time.
+import { minutesUntil, predictedArrival } from './utils';
+
+const STORAGE_KEY = 'sg-bus-tracker:alerts';
+
+// Predictions drift between refreshes; arrivals closer than this to one
+// already alerted for are taken to be the same bus
+const SAME_BUS_WINDOW = 2 * 60000;
+
+// Alerted arrivals are forgotten this long after the bus was due
+const FIRED_RETENTION = 30 * 60000;
+
+/**
+ * @typedef {Object} ArrivalAlert
+ * @property {string} id - Derived from stop, service and minutes
+ * @property {string} stopCode - Bus stop code
+ * @property {string} service - Service number
+ * @property {number} minutes - Alert when the bus is this many minutes away or less
+ * @property {boolean} repeat - Keep alerting for later buses; otherwise the
+ *   alert is removed once it has fired
+ * @property {Array<number>} fired - Predicted arrivals (epoch ms) already alerted for
+ */
+
+const listeners = new Set();
+
+const alertId = (stopCode, service, minutes) => `${stopCode}:${service}:${minutes}`;
+
+// Checks and normalises one stored entry; null if unusable
+const normalise = (entry) => {
+  if (!entry || typeof entry !== 'object') return null;
+  const { stopCode, service, minutes } = entry;
+  if (typeof stopCode !== 'string' || !/^\d{5}$/.test(stopCode)) return null;
+  if (typeof service !== 'string' || !service.trim()) return null;
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > 60) return null;
+  return {
+    id: alertId(stopCode, service.trim(), minutes),
+    stopCode,
+    service: service.trim(),
+    minutes,
+    repeat: entry.repeat === true,
+    fired: Array.isArray(entry.fired) ? entry.fired.filter(Number.isFinite) : []
+  };
+};
+
+const read = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored.map(normalise).filter(Boolean) : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+let alerts = read();
+
+const notify = () => listeners.forEach(listener => listener(alerts));
+
+const save = (next) => {
+  alerts = next;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(alerts));
+  } catch (err) {
+    // Storage full or disabled: alerts last for this visit only
+    console.warn('Could not save alerts:', err);
+  }
+  notify();
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key !== STORAGE_KEY) return;
+    alerts = read();
+    notify();
+  });
+}
+
+/**
+ * Returns the current alerts, oldest first
+ * @returns {Array<ArrivalAlert>}
+ */
+export const getAlerts = () => alerts;
+
+/**
+ * Subscribes to alert changes, from this tab or another
+ * @param {Function} listener - Called with the new list
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeAlerts = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Adds an alert (or replaces an identical one)
+ * @param {Object} alert - { stopCode, service, minutes, repeat }
+ * @returns {ArrivalAlert}
+ * @throws {Error} - With a message fit to show the user
+ */
+export const addAlert = ({ stopCode, service, minutes, repeat = false }) => {
+  const alert = normalise({ stopCode: String(stopCode || '').trim(), service: String(service || ''), minutes, repeat });
+  if (!alert) {
+    if (!/^\d{5}$/.test(String(stopCode || '').trim())) throw new Error('Enter a five-digit bus stop code');
+    if (!String(service || '').trim()) throw new Error('Enter a bus service number');
+    throw new Error('Choose between 0 and 60 minutes');
+  }
+  save([...alerts.filter(entry => entry.id !== alert.id), alert]);
+  return alert;
+};
+
+/**
+ * Cancels an alert
+ * @param {string} id - Alert id
+ */
+export const cancelAlert = (id) => {
+  save(alerts.filter(entry => entry.id !== id));
+};
+
+/**
+ * Checks a stop's latest arrivals against its alerts, records the buses
+ * that trigger one and drops one-off alerts that have fired
+ * @param {string} stopCode - Bus stop code the arrivals are for
+ * @param {Array} arrivals - Arrivals from the API, one entry per service
+ * @param {number} [now] - Epoch ms
+ * @returns {Array} - { alert, bus, minutes } for each alert to deliver now
+ */
+export const checkAlerts = (stopCode, arrivals, now = Date.now()) => {
+  const due = [];
+  let changed = false;
+
+  const next = alerts.flatMap(alert => {
+    if (alert.stopCode !== stopCode) return [alert];
+
+    const fired = alert.fired.filter(time => time > now - FIRED_RETENTION);
+    if (fired.length !== alert.fired.length) changed = true;
+
+    const arrival = arrivals.find(entry => entry.serviceNo === alert.service);
+    const bus = (arrival ? arrival.buses : []).find(candidate => {
+      const predicted = predictedArrival(candidate, now);
+      return minutesUntil(candidate, now) <= alert.minutes &&
+        !fired.some(time => Math.abs(time - predicted) < SAME_BUS_WINDOW);
+    });
+    if (!bus) return [{ ...alert, fired }];
+
+    due.push({ alert, bus, minutes: minutesUntil(bus, now) });
+    changed = true;
+    return alert.repeat ? [{ ...alert, fired: [...fired, predictedArrival(bus, now)] }] : [];
+  });
+
+  if (changed) save(next);
+  return due;
+};
@@ -0,0 +1,80 @@
+import { loadWithStorage } from './testUtils';
+
+const STORAGE_KEY = 'sg-bus-tracker:alerts';
+const NOW = Date.parse('2024-01-01T08:00:00Z');
+
+// Loads a fresh copy of the module, which reads storage on import
+const loadAlerts = (stored) => loadWithStorage(STORAGE_KEY, stored, () => require('./alerts'));
+
+const bus = (minutes) => ({ estimatedArrival: new Date(NOW + minutes * 60000).toISOString() });
+const arrivals = (serviceNo, ...minutes) => [{ serviceNo, buses: minutes.map(bus) }];
+
+afterEach(() => window.localStorage.clear());
+
+describe('stored alerts', () => {
+  test('are read back, dropping invalid entries', () => {
+    const { getAlerts } = loadAlerts([
+      { stopCode: '65011', service: ' 36 ', minutes: 5, repeat: true, fired: [NOW, 'soon'] },
+      { stopCode: '65011', service: '27', minutes: 5.5 },
+      { stopCode: '65011', service: '27', minutes: 61 },
+      { stopCode: '6501', service: '27', minutes: 5 },
+      { stopCode: '65011', minutes: 5 },
+      'alert'
+    ]);
+
+    expect(getAlerts()).toEqual([
+      { id: '65011:36:5', stopCode: '65011', service: '36', minutes: 5, repeat: true, fired: [NOW] }
+    ]);
+  });
+
+  test('start empty when storage holds something else', () => {
+    expect(loadAlerts('{').getAlerts()).toEqual([]);
+    expect(loadAlerts({ stopCode: '65011' }).getAlerts()).toEqual([]);
+  });
+
+  test('are saved on every change', () => {
+    const { addAlert, cancelAlert, getAlerts } = loadAlerts();
+
+    const alert = addAlert({ stopCode: '65011', service: '36', minutes: 5 });
+    expect(JSON.parse(window.localStorage.getItem(STORAGE_KEY))).toEqual([alert]);
+
+    cancelAlert(alert.id);
+    expect(getAlerts()).toEqual([]);
+    expect(window.localStorage.getItem(STORAGE_KEY)).toBe('[]');
+  });
+});
+
+describe('addAlert', () => {
+  test('explains what is wrong with an alert', () => {
+    const { addAlert } = loadAlerts();
+
+    expect(() => addAlert({ stopCode: '6501', service: '36', minutes: 5 })).toThrow('Enter a five-digit bus stop code');
+    expect(() => addAlert({ stopCode: '65011', service: ' ', minutes: 5 })).toThrow('Enter a bus service number');
+    expect(() => addAlert({ stopCode: '65011', service: '36', minutes: 90 })).toThrow('Choose between 0 and 60 minutes');
+  });
+});
+
+describe('checkAlerts', () => {
+  test('alerts once per bus and removes one-off alerts', () => {
+    const { addAlert, checkAlerts, getAlerts } = loadAlerts();
+    const repeating = addAlert({ stopCode: '65011', service: '36', minutes: 5, repeat: true });
+    addAlert({ stopCode: '65011', service: '27', minutes: 5 });
+
+    expect(checkAlerts('65011', arrivals('36', 8), NOW)).toEqual([]);
+    expect(checkAlerts('65011', arrivals('36', 4, 12), NOW)).toEqual([
+      { alert: repeating, bus: bus(4), minutes: 4 }
+    ]);
+    // The same bus, its prediction a little later than before
+    expect(checkAlerts('65011', arrivals('36', 4.5, 12), NOW + 30000)).toEqual([]);
+
+    expect(checkAlerts('65011', arrivals('27', 3), NOW)).toHaveLength(1);
+    expect(getAlerts().map(({ id }) => id)).toEqual(['65011:36:5']);
+  });
+
+  test('ignores other stops', () => {
+    const { addAlert, checkAlerts } = loadAlerts();
+    addAlert({ stopCode: '65011', service: '36', minutes: 5 });
+
+    expect(checkAlerts('65009', arrivals('36', 1), NOW)).toEqual([]);
+  });
+});
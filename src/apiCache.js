@@ -0,0 +1,194 @@
+// In-memory response cache used by the API client.
+//
+// Entries are keyed by endpoint. Concurrent requests for the same key share
+// one upstream fetch, and data past its TTL can be served while a refresh
+// runs in the background; subscribers are told when the refresh lands.
+import { ApiError, ApiErrorType } from './apiErrors';
+
+/**
+ * @typedef {Object} CachePolicy
+ * @property {number} ttl - How long (ms) data is considered fresh
+ * @property {number} maxStale - How long (ms) after the TTL stale data may
+ *   still be served while it is revalidated
+ */
+
+/**
+ * @typedef {Object} CacheSnapshot
+ * @property {*} data - Cached data
+ * @property {number} updatedAt - Epoch ms when the data was fetched
+ * @property {boolean} isStale - True if the data is past its TTL
+ * @property {Error} [error] - Error from the latest failed refresh, if any
+ */
+
+const entries = new Map();
+const listeners = new Map();
+
+const snapshot = (entry, now = Date.now()) => ({
+  data: entry.data,
+  updatedAt: entry.updatedAt,
+  isStale: now - entry.updatedAt >= entry.policy.ttl,
+  error: entry.error
+});
+
+const hasData = (entry) => entry != null && entry.updatedAt != null;
+
+const isServable = (entry, now) => {
+  return hasData(entry) && now - entry.updatedAt < entry.policy.ttl + entry.policy.maxStale;
+};
+
+const notify = (key, entry) => {
+  const keyListeners = listeners.get(key);
+  if (!keyListeners) return;
+  const current = snapshot(entry);
+  keyListeners.forEach(listener => listener(current));
+};
+
+// Drop entries that can no longer be served and have nothing in flight
+const prune = (now) => {
+  entries.forEach((entry, key) => {
+    if (!entry.inflight && !isServable(entry, now) && !listeners.has(key)) {
+      entries.delete(key);
+    }
+  });
+};
+
+/**
+ * Starts (or joins) the upstream fetch for a key. Background fetches are
+ * never cancelled; foreground fetches are cancelled once every caller
+ * waiting on them has aborted, unless a caller without a signal joined.
+ */
+const startFetch = (key, entry, fetcher, background) => {
+  if (entry.inflight) {
+    entry.inflight.background = entry.inflight.background || background;
+    return entry.inflight;
+  }
+
+  const controller = new AbortController();
+  const inflight = { controller, waiters: 0, background, keepAlive: false };
+  inflight.promise = fetcher(controller.signal)
+    .then(data => {
+      entry.data = data;
+      entry.updatedAt = Date.now();
+      entry.error = undefined;
+      return snapshot(entry);
+    }, error => {
+      // Keep serving whatever we had; subscribers see the error alongside it
+      entry.error = error;
+      throw error;
+    })
+    .finally(() => {
+      entry.inflight = null;
+      if (hasData(entry)) notify(key, entry);
+      prune(Date.now());
+    });
+  // Background fetches may have nobody awaiting them
+  inflight.promise.catch(() => {});
+
+  entry.inflight = inflight;
+  return inflight;
+};
+
+const waitFor = (inflight, signal) => {
+  if (!signal) {
+    // This caller cannot abort, so it waits for as long as the fetch runs
+    inflight.keepAlive = true;
+    return inflight.promise;
+  }
+  if (signal.aborted) {
+    return Promise.reject(new ApiError(ApiErrorType.ABORTED, 'Request aborted'));
+  }
+
+  inflight.waiters++;
+  return new Promise((resolve, reject) => {
+    const release = () => {
+      signal.removeEventListener('abort', onAbort);
+      inflight.waiters--;
+    };
+    const onAbort = () => {
+      release();
+      if (inflight.waiters === 0 && !inflight.background && !inflight.keepAlive) {
+        inflight.controller.abort();
+      }
+      reject(new ApiError(ApiErrorType.ABORTED, 'Request aborted'));
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    inflight.promise.then(
+      result => { release(); resolve(result); },
+      error => { release(); reject(error); }
+    );
+  });
+};
+
+/**
+ * Returns cached data for a key, fetching it if needed
+ * @param {string} key - Cache key (normalized endpoint)
+ * @param {Function} fetcher - (signal) => Promise resolving to the data
+ * @param {CachePolicy} policy - Freshness policy for this key
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops waiting; the shared fetch is
+ *   only cancelled when no other caller needs it
+ * @param {boolean} [options.allowStale] - Serve stale data immediately and
+ *   revalidate in the background
+ * @param {boolean} [options.force] - Bypass cached data
+ * @returns {Promise<CacheSnapshot>}
+ */
+export const cachedFetch = async (key, fetcher, policy, { signal, allowStale = false, force = false } = {}) => {
+  const now = Date.now();
+  let entry = entries.get(key);
+  if (!entry) {
+    entry = { policy };
+    entries.set(key, entry);
+  }
+  entry.policy = policy;
+
+  if (!force && hasData(entry)) {
+    const current = snapshot(entry, now);
+    if (!current.isStale) return current;
+    if (allowStale && isServable(entry, now)) {
+      startFetch(key, entry, fetcher, true);
+      return current;
+    }
+  }
+
+  return waitFor(startFetch(key, entry, fetcher, false), signal);
+};
+
+/**
+ * Returns the cached snapshot for a key without fetching
+ * @param {string} key - Cache key
+ * @returns {CacheSnapshot|undefined}
+ */
+export const peekCache = (key) => {
+  const entry = entries.get(key);
+  return hasData(entry) ? snapshot(entry) : undefined;
+};
+
+/**
+ * Subscribes to updates for a key (background refreshes included)
+ * @param {string} key - Cache key
+ * @param {Function} listener - Called with a CacheSnapshot
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeCache = (key, listener) => {
+  if (!listeners.has(key)) listeners.set(key, new Set());
+  listeners.get(key).add(listener);
+  return () => {
+    const keyListeners = listeners.get(key);
+    if (!keyListeners) return;
+    keyListeners.delete(listener);
+    if (keyListeners.size === 0) listeners.delete(key);
+  };
+};
+
+/**
+ * Drops cached data
+ * @param {Function} [predicate] - (key) => boolean; clears everything if omitted
+ */
+export const invalidateCache = (predicate) => {
+  entries.forEach((entry, key) => {
+    if (!predicate || predicate(key)) {
+      entry.updatedAt = undefined;
+      entry.data = undefined;
+    }
+  });
+};
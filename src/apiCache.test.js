@@ -0,0 +1,107 @@
+import { cachedFetch, invalidateCache, peekCache, subscribeCache } from './apiCache';
+import { ApiErrorType } from './apiErrors';
+
+const FRESH = { ttl: 60000, maxStale: 60000 };
+const STALE = { ttl: 0, maxStale: 60000 };
+
+// A fetcher whose response the test settles by hand
+const deferredFetcher = () => {
+  const fetcher = jest.fn(signal => new Promise((resolve, reject) => {
+    fetcher.resolve = resolve;
+    fetcher.reject = reject;
+    fetcher.signal = signal;
+  }));
+  return fetcher;
+};
+
+let keyCount = 0;
+const uniqueKey = () => `/test/${++keyCount}`;
+
+afterEach(() => invalidateCache());
+
+describe('cachedFetch', () => {
+  test('shares one upstream fetch between concurrent callers', async () => {
+    const key = uniqueKey();
+    const fetcher = deferredFetcher();
+
+    const first = cachedFetch(key, fetcher, FRESH);
+    const second = cachedFetch(key, fetcher, FRESH);
+    fetcher.resolve('data');
+
+    expect((await first).data).toBe('data');
+    expect((await second).data).toBe('data');
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  test('answers from the cache while the data is fresh', async () => {
+    const key = uniqueKey();
+    const fetcher = jest.fn(() => Promise.resolve('data'));
+
+    await cachedFetch(key, fetcher, FRESH);
+    const cached = await cachedFetch(key, fetcher, FRESH);
+
+    expect(cached).toMatchObject({ data: 'data', isStale: false });
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(peekCache(key).data).toBe('data');
+  });
+
+  test('serves stale data at once and tells subscribers about the refresh', async () => {
+    const key = uniqueKey();
+    await cachedFetch(key, () => Promise.resolve('old'), STALE);
+
+    const listener = jest.fn();
+    const unsubscribe = subscribeCache(key, listener);
+    const fetcher = deferredFetcher();
+    const stale = await cachedFetch(key, fetcher, STALE, { allowStale: true });
+
+    expect(stale).toMatchObject({ data: 'old', isStale: true });
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    fetcher.resolve('new');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ data: 'new' }));
+    unsubscribe();
+  });
+
+  test('keeps the cached data when a refresh fails', async () => {
+    const key = uniqueKey();
+    await cachedFetch(key, () => Promise.resolve('data'), STALE);
+
+    await expect(cachedFetch(key, () => Promise.reject(new Error('down')), STALE)).rejects.toThrow('down');
+    expect(peekCache(key)).toMatchObject({ data: 'data', error: expect.any(Error) });
+  });
+
+  test('cancels the shared fetch once every caller has aborted', async () => {
+    const key = uniqueKey();
+    const fetcher = deferredFetcher();
+    const first = new AbortController();
+    const second = new AbortController();
+
+    const firstResult = cachedFetch(key, fetcher, FRESH, { signal: first.signal });
+    const secondResult = cachedFetch(key, fetcher, FRESH, { signal: second.signal });
+
+    first.abort();
+    await expect(firstResult).rejects.toMatchObject({ type: ApiErrorType.ABORTED });
+    expect(fetcher.signal.aborted).toBe(false);
+
+    second.abort();
+    await expect(secondResult).rejects.toMatchObject({ type: ApiErrorType.ABORTED });
+    expect(fetcher.signal.aborted).toBe(true);
+  });
+
+  test('keeps the shared fetch for a caller without a signal', async () => {
+    const key = uniqueKey();
+    const fetcher = deferredFetcher();
+    const controller = new AbortController();
+
+    const signalled = cachedFetch(key, fetcher, FRESH, { signal: controller.signal });
+    const unsignalled = cachedFetch(key, fetcher, FRESH);
+
+    controller.abort();
+    await expect(signalled).rejects.toMatchObject({ type: ApiErrorType.ABORTED });
+    expect(fetcher.signal.aborted).toBe(false);
+
+    fetcher.resolve('data');
+    expect((await unsignalled).data).toBe('data');
+  });
+});
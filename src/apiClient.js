@@ -0,0 +1,388 @@
+// Shared client for the Singapore Bus API.
+//
+// Every component and hook goes through this module so that URL building,
+// timeouts, retries and error handling behave the same everywhere.
+import config from './config';
+import { ApiError, ApiErrorType } from './apiErrors';
+import { cachedFetch } from './apiCache';
+import { isValidStopData } from './utils';
+
+export { ApiError, ApiErrorType, isAbortError } from './apiErrors';
+
+/**
+ * Builds an endpoint path with URL-encoded query parameters
+ * @param {string} path - Endpoint path, e.g. '/api/arrivals'
+ * @param {Object} params - Query parameters; null/undefined values are skipped
+ * @returns {string} - Path with query string
+ */
+export const buildEndpoint = (path, params = {}) => {
+  const query = Object.entries(params)
+    .filter(([, value]) => value != null && value !== '')
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+  return query ? `${path}?${query}` : path;
+};
+
+/**
+ * Parses a Retry-After header (delta-seconds or HTTP date) into seconds
+ * @param {string|null} value - Header value
+ * @returns {number|undefined} - Seconds to wait, if the header was usable
+ */
+const parseRetryAfter = (value) => {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(value);
+  if (!isNaN(date)) return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+  return undefined;
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new ApiError(ApiErrorType.ABORTED, 'Request aborted'));
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new ApiError(ApiErrorType.ABORTED, 'Request aborted'));
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Performs a single request with a timeout and converts every failure
+ * into an ApiError.
+ */
+const requestOnce = async (endpoint, { signal, timeout, cache, sameOrigin }) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    let response;
+    try {
+      const init = {
+        signal: controller.signal,
+        cache,
+        headers: { Accept: 'application/json' }
+      };
+      if (config.mock.enabled) {
+        // Loaded on demand so the fixtures stay out of the production bundle
+        const { mockFetch } = await import('./mock/mockApi');
+        response = await mockFetch(endpoint, init);
+      } else {
+        response = await fetch(sameOrigin ? endpoint : config.getApiUrl(endpoint), init);
+      }
+    } catch (err) {
+      if (signal?.aborted) {
+        throw new ApiError(ApiErrorType.ABORTED, 'Request aborted', { endpoint, cause: err });
+      }
+      if (timedOut) {
+        throw new ApiError(ApiErrorType.TIMEOUT, `Request timed out after ${timeout / 1000}s`, { endpoint, cause: err });
+      }
+      throw new ApiError(ApiErrorType.NETWORK, 'Network error - check your connection', { endpoint, cause: err });
+    }
+
+    if (!response.ok) {
+      // The proxy and the bus API both describe failures in `error.message`
+      const errorBody = await response.json().catch(() => null);
+      const reason = errorBody?.error?.message || response.statusText || 'Request failed';
+      throw new ApiError(ApiErrorType.HTTP, `HTTP ${response.status}: ${reason}`, {
+        endpoint,
+        status: response.status,
+        retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+      });
+    }
+
+    let body;
+    try {
+      body = await response.json();
+    } catch (err) {
+      if (signal?.aborted) {
+        throw new ApiError(ApiErrorType.ABORTED, 'Request aborted', { endpoint, cause: err });
+      }
+      throw new ApiError(ApiErrorType.MALFORMED, 'Response is not valid JSON', { endpoint, status: response.status, cause: err });
+    }
+
+    if (!body || typeof body !== 'object') {
+      throw new ApiError(ApiErrorType.MALFORMED, 'Invalid response format', { endpoint, status: response.status });
+    }
+    if (body.success !== true) {
+      throw new ApiError(ApiErrorType.UPSTREAM, body.error?.message || 'The bus API reported an error', {
+        endpoint,
+        status: response.status
+      });
+    }
+    if (!body.data || typeof body.data !== 'object') {
+      throw new ApiError(ApiErrorType.MALFORMED, 'Response is missing data', { endpoint, status: response.status });
+    }
+
+    return body.data;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+};
+
+// Endpoint paths the server has asked us to leave alone, and until when (epoch ms)
+const cooldowns = new Map();
+
+const pathOf = (endpoint) => endpoint.split('?')[0];
+
+/**
+ * Returns how long the server asked us to wait before calling an endpoint again
+ * @param {string} endpoint - Endpoint path, with or without query string
+ * @returns {number} - Seconds remaining, 0 if requests may be made
+ */
+export const cooldownRemaining = (endpoint) => {
+  const until = cooldowns.get(pathOf(endpoint));
+  if (!until) return 0;
+  const remaining = Math.ceil((until - Date.now()) / 1000);
+  if (remaining <= 0) {
+    cooldowns.delete(pathOf(endpoint));
+    return 0;
+  }
+  return remaining;
+};
+
+/**
+ * Requests an endpoint and returns the `data` member of the response,
+ * retrying transient failures with exponential backoff. After a 429/503
+ * with Retry-After, further requests to the same endpoint fail fast until
+ * the requested delay has passed.
+ * @param {string} endpoint - Endpoint path including query string
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request and any pending retry
+ * @param {number} [options.timeout] - Per-attempt timeout in ms
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {string} [options.cache] - fetch() cache mode
+ * @param {boolean} [options.sameOrigin] - The endpoint is one of this app's
+ *   own functions (api/), not the bus API
+ * @returns {Promise<Object>} - Response data
+ * @throws {ApiError}
+ */
+export const request = async (endpoint, options = {}) => {
+  const {
+    signal,
+    timeout = config.api.timeout,
+    retries = config.api.retries,
+    cache,
+    sameOrigin = false
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    const waitSeconds = cooldownRemaining(endpoint);
+    if (waitSeconds > 0) {
+      throw new ApiError(ApiErrorType.HTTP, `Rate limited - retrying in ${waitSeconds}s`, {
+        endpoint,
+        status: 429,
+        retryAfter: waitSeconds
+      });
+    }
+
+    try {
+      return await requestOnce(endpoint, { signal, timeout, cache, sameOrigin });
+    } catch (err) {
+      if (err.retryAfter != null) {
+        cooldowns.set(pathOf(endpoint), Date.now() + err.retryAfter * 1000);
+      }
+      if (!err.retryable || attempt >= retries) throw err;
+
+      // Don't hold the caller for long waits; they can try again later
+      if (err.retryAfter != null && err.retryAfter * 1000 > config.api.maxRetryDelay) throw err;
+
+      const backoff = config.api.retryDelay * 2 ** attempt;
+      const delay = err.retryAfter != null
+        ? err.retryAfter * 1000
+        : backoff + Math.random() * backoff / 2;
+      await sleep(delay, signal);
+    }
+  }
+};
+
+/**
+ * Converts a `stops` map from /api/bus-stops into GeoJSON point features.
+ * The endpoint has no service information; see serviceIndex.js for that.
+ * @param {Object} stops - Map of stop code to [lng, lat, name, road]
+ * @returns {Array} - GeoJSON features, invalid entries dropped
+ */
+export const toStopFeatures = (stops) => {
+  return Object.entries(stops)
+    .filter(([, stopData]) => isValidStopData(stopData))
+    .map(([code, stopData]) => ({
+      type: 'Feature',
+      properties: {
+        code: code,
+        name: stopData[2],
+        road: stopData[3]
+      },
+      geometry: {
+        type: 'Point',
+        coordinates: [stopData[0], stopData[1]]
+      }
+    }));
+};
+
+/**
+ * @typedef {Object} ApiQuery
+ * @property {string} key - Normalized endpoint, used as the cache key
+ * @property {Object} policy - Cache policy from config.cache
+ * @property {Function} fetch - (options) => Promise resolving to the data
+ */
+
+/**
+ * Describes a bus stop request, optionally limited to a bounding box
+ * @param {Object} [query]
+ * @param {Array|string} [query.bbox] - [minLng, minLat, maxLng, maxLat]
+ * @param {number} [query.limit] - Maximum number of stops
+ * @returns {ApiQuery} - Resolves to GeoJSON point features
+ */
+export const busStopsQuery = ({ bbox, limit } = {}) => {
+  const endpoint = buildEndpoint('/api/bus-stops', {
+    bbox: Array.isArray(bbox) ? bbox.join(',') : bbox,
+    limit
+  });
+  return {
+    key: endpoint,
+    policy: config.cache.busStops,
+    fetch: async (options) => {
+      const data = await request(endpoint, options);
+      if (!data.stops || typeof data.stops !== 'object') {
+        throw new ApiError(ApiErrorType.MALFORMED, 'Bus stop response is missing stops', { endpoint });
+      }
+      return toStopFeatures(data.stops);
+    }
+  };
+};
+
+/**
+ * Describes a live arrivals request for a bus stop
+ * @param {string} busStopCode - Five digit stop code
+ * @returns {ApiQuery} - Resolves to arrivals, one entry per service with its `buses`
+ */
+export const arrivalsQuery = (busStopCode) => {
+  const endpoint = buildEndpoint('/api/arrivals', { busStopCode });
+  return {
+    key: endpoint,
+    policy: config.cache.arrivals,
+    fetch: async (options) => {
+      const data = await request(endpoint, { cache: 'no-store', ...options });
+      if (!Array.isArray(data.arrivals)) {
+        throw new ApiError(ApiErrorType.MALFORMED, 'Arrivals response is missing arrivals', { endpoint });
+      }
+      return data.arrivals.map(arrival => ({
+        ...arrival,
+        buses: Array.isArray(arrival.buses) ? arrival.buses : []
+      }));
+    }
+  };
+};
+
+/**
+ * Describes a route request for a bus service
+ * @param {string} serviceNumber - Bus service number, e.g. '27'
+ * @returns {ApiQuery} - Resolves to route info ({ polylines, stops, ... }),
+ *   or null if the API has no route for the service
+ */
+export const busRouteQuery = (serviceNumber) => {
+  const endpoint = buildEndpoint('/api/bus-routes', { service: serviceNumber });
+  return {
+    key: endpoint,
+    policy: config.cache.busRoutes,
+    fetch: async (options) => {
+      const data = await request(endpoint, options);
+      if (!data.routes || typeof data.routes !== 'object') {
+        throw new ApiError(ApiErrorType.MALFORMED, 'Route response is missing routes', { endpoint });
+      }
+      return data.routes[serviceNumber] || null;
+    }
+  };
+};
+
+/**
+ * Describes a request for the stop sequences of every service, served by
+ * api/service-stops.js so that clients do not download every route polyline
+ * @returns {ApiQuery} - Resolves to stop sequences ([[code]], one per
+ *   direction) by service number
+ */
+export const serviceStopsQuery = () => {
+  const endpoint = buildEndpoint('/api/service-stops');
+  return {
+    key: endpoint,
+    policy: config.cache.busRoutes,
+    fetch: async (options) => {
+      const data = await request(endpoint, { ...options, sameOrigin: true });
+      if (!data.services || typeof data.services !== 'object') {
+        throw new ApiError(ApiErrorType.MALFORMED, 'Service stops response is missing services', { endpoint });
+      }
+      return data.services;
+    }
+  };
+};
+
+/**
+ * Runs a query through the response cache
+ * @param {ApiQuery} query - Query from one of the *Query() builders
+ * @param {Object} [options] - request() options plus:
+ * @param {boolean} [options.allowStale] - Serve stale data while revalidating
+ * @param {boolean} [options.force] - Skip the cache and refetch
+ * @returns {Promise<import('./apiCache').CacheSnapshot>}
+ */
+export const loadQuery = (query, { signal, allowStale, force, ...requestOptions } = {}) => {
+  return cachedFetch(
+    query.key,
+    (sharedSignal) => query.fetch({ ...requestOptions, signal: sharedSignal }),
+    query.policy,
+    { signal, allowStale, force }
+  );
+};
+
+/**
+ * Fetches bus stops, optionally limited to a bounding box
+ * @param {Object} [query] - See busStopsQuery()
+ * @param {Object} [options] - See loadQuery()
+ * @returns {Promise<Array>} - GeoJSON point features
+ */
+export const getBusStops = async (query, options) => {
+  return (await loadQuery(busStopsQuery(query), options)).data;
+};
+
+/**
+ * Fetches live arrivals at a bus stop
+ * @param {string} busStopCode - Five digit stop code
+ * @param {Object} [options] - See loadQuery()
+ * @returns {Promise<Array>} - Arrivals, one entry per service with its `buses`
+ */
+export const getArrivals = async (busStopCode, options) => {
+  return (await loadQuery(arrivalsQuery(busStopCode), options)).data;
+};
+
+/**
+ * Fetches route information for a bus service
+ * @param {string} serviceNumber - Bus service number, e.g. '27'
+ * @param {Object} [options] - See loadQuery()
+ * @returns {Promise<Object|null>} - Route info ({ polylines, stops, ... }), or
+ *   null if the API has no route for the service
+ */
+export const getBusRoute = async (serviceNumber, options) => {
+  return (await loadQuery(busRouteQuery(serviceNumber), options)).data;
+};
+
+/**
+ * Fetches the stop sequences of every service
+ * @param {Object} [options] - See loadQuery()
+ * @returns {Promise<Object>} - Stop sequences ([[code]], one per direction)
+ *   by service number
+ */
+export const getServiceStops = async (options) => {
+  return (await loadQuery(serviceStopsQuery(), options)).data;
+};
@@ -0,0 +1,138 @@
+import config from './config';
+import { ApiErrorType, cooldownRemaining, request } from './apiClient';
+
+// A fetch() response with a JSON body, or a body that fails to parse
+const jsonResponse = (body, { status = 200, headers = {} } = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: '',
+  headers: { get: name => headers[name] ?? null },
+  json: async () => {
+    if (body === undefined) throw new SyntaxError('Unexpected end of JSON input');
+    return body;
+  }
+});
+
+const ok = (data) => jsonResponse({ success: true, data });
+
+// A fetch() that only settles when its request is aborted
+const hangingFetch = (url, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+});
+
+const { retryDelay } = config.api;
+
+beforeEach(() => {
+  // Keep the backoff between retries short
+  config.api.retryDelay = 1;
+  global.fetch = jest.fn();
+});
+
+afterEach(() => {
+  config.api.retryDelay = retryDelay;
+  delete global.fetch;
+});
+
+describe('request', () => {
+  test('returns the data of a successful response', async () => {
+    global.fetch.mockResolvedValueOnce(ok({ stops: {} }));
+
+    await expect(request('/api/bus-stops')).resolves.toEqual({ stops: {} });
+  });
+
+  test('retries server and network errors', async () => {
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse(null, { status: 503 }))
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(ok({ arrivals: [] }));
+
+    await expect(request('/api/arrivals')).resolves.toEqual({ arrivals: [] });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('gives up after the configured retries', async () => {
+    global.fetch.mockResolvedValue(jsonResponse(null, { status: 500 }));
+
+    await expect(request('/api/arrivals', { retries: 2 })).rejects.toMatchObject({ type: ApiErrorType.HTTP, status: 500 });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry client errors, and reports the reason given', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ success: false, error: { message: 'Unknown stop' } }, { status: 404 }));
+
+    await expect(request('/api/arrivals')).rejects.toMatchObject({
+      type: ApiErrorType.HTTP,
+      status: 404,
+      message: 'HTTP 404: Unknown stop'
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('times out slow requests', async () => {
+    global.fetch.mockImplementation(hangingFetch);
+
+    await expect(request('/api/arrivals', { timeout: 10, retries: 1 })).rejects.toMatchObject({ type: ApiErrorType.TIMEOUT });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('reports a cancelled request as aborted, not timed out, and does not retry it', async () => {
+    global.fetch.mockImplementation(hangingFetch);
+    const controller = new AbortController();
+
+    const pending = request('/api/arrivals', { signal: controller.signal, timeout: 1000 });
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ type: ApiErrorType.ABORTED });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test.each([
+    ['a body that is not JSON', jsonResponse(undefined), ApiErrorType.MALFORMED],
+    ['a body that is not an object', jsonResponse('stops'), ApiErrorType.MALFORMED],
+    ['a response without data', jsonResponse({ success: true }), ApiErrorType.MALFORMED],
+    ['an unsuccessful response', jsonResponse({ success: false, error: { message: 'Upstream down' } }), ApiErrorType.UPSTREAM]
+  ])('classifies %s without retrying', async (_, response, type) => {
+    global.fetch.mockResolvedValue(response);
+
+    await expect(request('/api/bus-stops')).rejects.toMatchObject({ type });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Retry-After', () => {
+  const limited = (seconds) => jsonResponse({ success: false, error: { message: 'Too many requests' } }, {
+    status: 429,
+    headers: { 'Retry-After': String(seconds) }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('holds every request to the endpoint until the wait is over', async () => {
+    let now = Date.parse('2024-01-01T08:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    global.fetch.mockResolvedValueOnce(limited(30));
+
+    // Too long to wait out inside the request
+    await expect(request('/api/limited?busStopCode=65011')).rejects.toMatchObject({ status: 429, retryAfter: 30 });
+    expect(cooldownRemaining('/api/limited')).toBe(30);
+
+    now += 10000;
+    await expect(request('/api/limited?busStopCode=65009')).rejects.toMatchObject({ status: 429, retryAfter: 20 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    now += 20000;
+    global.fetch.mockResolvedValueOnce(ok({ arrivals: [] }));
+    await expect(request('/api/limited?busStopCode=65009')).resolves.toEqual({ arrivals: [] });
+  });
+
+  test('waits out short delays and retries', async () => {
+    global.fetch
+      .mockResolvedValueOnce(limited(0))
+      .mockResolvedValueOnce(ok({ arrivals: [] }));
+
+    await expect(request('/api/briefly-limited')).resolves.toEqual({ arrivals: [] });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,58 @@
+// Error types shared by the API client and its response cache
+
+/**
+ * Categories of failure surfaced by the client
+ */
+export const ApiErrorType = {
+  NETWORK: 'network',     // fetch rejected (offline, DNS, CORS...)
+  TIMEOUT: 'timeout',     // request exceeded config.api.timeout
+  ABORTED: 'aborted',     // caller cancelled through its AbortSignal
+  HTTP: 'http',           // non-2xx response
+  UPSTREAM: 'upstream',   // 2xx response with `success: false`
+  MALFORMED: 'malformed'  // response body is not the shape we expect
+};
+
+/**
+ * Error thrown by every client method
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} type - One of ApiErrorType
+   * @param {string} message - Human readable message
+   * @param {Object} [details]
+   * @param {string} [details.endpoint] - Endpoint that was requested
+   * @param {number} [details.status] - HTTP status, when there was a response
+   * @param {number} [details.retryAfter] - Seconds the server asked us to wait
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(type, message, { endpoint, status, retryAfter, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.type = type;
+    this.endpoint = endpoint;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.cause = cause;
+  }
+
+  get retryable() {
+    switch (this.type) {
+      case ApiErrorType.NETWORK:
+      case ApiErrorType.TIMEOUT:
+        return true;
+      case ApiErrorType.HTTP:
+        return this.status === 429 || this.status >= 500;
+      default:
+        return false;
+    }
+  }
+}
+
+/**
+ * Checks whether an error is a cancellation that callers should ignore
+ * @param {Error} error - Error thrown by a client method
+ * @returns {boolean} - True if the request was aborted by the caller
+ */
+export const isAbortError = (error) => {
+  return error instanceof ApiError && error.type === ApiErrorType.ABORTED;
+};
@@ -0,0 +1,287 @@
+// Records arrivals polls for watched stops and services in IndexedDB, so
+// that predictions can be compared with what actually happened (see
+// predictionStats.js). Every bus in every poll becomes one record.
+//
+// Recording is off until enabled; the watch list and the on/off switch are
+// kept in localStorage, the records in the `arrivals` object store.
+import config from './config';
+
+const SETTINGS_KEY = 'sg-bus-tracker:recorder';
+const DB_NAME = 'sg-bus-tracker';
+const DB_VERSION = 1;
+const STORE = 'arrivals';
+
+/**
+ * @typedef {Object} ArrivalRecord
+ * @property {number} id - Assigned by IndexedDB
+ * @property {string} key - `${stopCode}:${service}`
+ * @property {string} stopCode - Bus stop code
+ * @property {string} service - Service number
+ * @property {number} polledAt - When the arrivals were fetched, epoch ms
+ * @property {number|null} estimatedArrival - Predicted arrival, epoch ms
+ * @property {number} minutesAway - Predicted minutes away as sent by the API
+ * @property {boolean} monitored - True if the prediction came from the bus's GPS
+ * @property {number} [load] - 0 seats, 1 standing, 2 limited standing
+ * @property {string} [type] - SD, DD or BD
+ * @property {string} [destinationCode] - Where the bus terminates
+ */
+
+const CSV_COLUMNS = ['stopCode', 'service', 'polledAt', 'estimatedArrival', 'minutesAway', 'monitored', 'load', 'type', 'destinationCode'];
+
+const listeners = new Set();
+
+// Polls already recorded, by stop code, so a refresh seen by several
+// components is stored once
+const lastRecorded = new Map();
+
+const readSettings = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(SETTINGS_KEY));
+    return {
+      enabled: stored?.enabled === true,
+      watches: Array.isArray(stored?.watches)
+        ? stored.watches.filter(watch => /^\d{5}$/.test(watch?.stopCode))
+          .map(watch => ({ stopCode: watch.stopCode, service: watch.service || null }))
+        : []
+    };
+  } catch (err) {
+    return { enabled: false, watches: [] };
+  }
+};
+
+let settings = readSettings();
+
+const saveSettings = (next) => {
+  settings = next;
+  try {
+    window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn('Could not save recorder settings:', err);
+  }
+  listeners.forEach(listener => listener(settings));
+};
+
+/**
+ * Returns the recorder settings
+ * @returns {Object} - { enabled, watches: [{ stopCode, service }] }, where a
+ *   null service watches every service at the stop
+ */
+export const getRecorderSettings = () => settings;
+
+/**
+ * Subscribes to settings changes
+ * @param {Function} listener - Called with the new settings
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeRecorder = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Turns recording on or off
+ * @param {boolean} enabled
+ */
+export const setRecording = (enabled) => saveSettings({ ...settings, enabled });
+
+/**
+ * Adds a stop, or a service at a stop, to the watch list
+ * @param {string} stopCode - Five digit stop code
+ * @param {string} [service] - Service number; every service if omitted
+ * @throws {Error} - With a message fit to show the user
+ */
+export const addWatch = (stopCode, service) => {
+  const code = String(stopCode || '').trim();
+  if (!/^\d{5}$/.test(code)) throw new Error('Enter a five-digit bus stop code');
+  const watch = { stopCode: code, service: String(service || '').trim() || null };
+  const others = settings.watches.filter(entry => entry.stopCode !== watch.stopCode || entry.service !== watch.service);
+  saveSettings({ ...settings, watches: [...others, watch] });
+};
+
+/**
+ * Removes an entry from the watch list
+ * @param {string} stopCode - Bus stop code
+ * @param {string|null} service - Service number, or null for the whole stop
+ */
+export const removeWatch = (stopCode, service) => {
+  saveSettings({
+    ...settings,
+    watches: settings.watches.filter(entry => entry.stopCode !== stopCode || entry.service !== service)
+  });
+};
+
+const isWatched = (stopCode, service) => settings.watches.some(watch =>
+  watch.stopCode === stopCode && (!watch.service || watch.service === service)
+);
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const completion = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('Recording needs IndexedDB, which this browser does not provide'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('key', 'key');
+        store.createIndex('polledAt', 'polledAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again, e.g. after the user allows storage
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+/**
+ * Records one arrivals poll, keeping only watched services. Does nothing
+ * while recording is off or if this poll was already recorded.
+ * @param {string} stopCode - Bus stop code
+ * @param {Array} arrivals - Arrivals from the API, one entry per service
+ * @param {number} polledAt - When the arrivals were fetched, epoch ms
+ * @returns {Promise<number>} - Records written
+ */
+export const recordPoll = async (stopCode, arrivals, polledAt) => {
+  if (!settings.enabled || lastRecorded.get(stopCode) === polledAt) return 0;
+  lastRecorded.set(stopCode, polledAt);
+
+  const records = arrivals
+    .filter(arrival => isWatched(stopCode, arrival.serviceNo))
+    .flatMap(arrival => arrival.buses.map(bus => {
+      const eta = Date.parse(bus.estimatedArrival);
+      return {
+        key: `${stopCode}:${arrival.serviceNo}`,
+        stopCode,
+        service: arrival.serviceNo,
+        polledAt,
+        estimatedArrival: Number.isNaN(eta) ? null : eta,
+        minutesAway: bus.minutesAway,
+        monitored: Boolean(bus.monitored),
+        load: bus.load,
+        type: bus.type,
+        destinationCode: bus.destinationCode
+      };
+    }));
+  if (records.length === 0) return 0;
+
+  const db = await openDb();
+  const transaction = db.transaction(STORE, 'readwrite');
+  const store = transaction.objectStore(STORE);
+  records.forEach(record => store.add(record));
+  await completion(transaction);
+  return records.length;
+};
+
+/**
+ * Reads recorded arrivals, oldest poll first
+ * @param {string} [key] - `${stopCode}:${service}`; every record if omitted
+ * @returns {Promise<Array<ArrivalRecord>>}
+ */
+export const getRecords = async (key) => {
+  const db = await openDb();
+  const store = db.transaction(STORE).objectStore(STORE);
+  const records = await promisify(key ? store.index('key').getAll(key) : store.getAll());
+  return records.sort((a, b) => a.polledAt - b.polledAt || a.id - b.id);
+};
+
+/**
+ * Counts the records of each recorded stop and service
+ * @returns {Promise<Array>} - { key, stopCode, service, count }
+ */
+export const getRecordedKeys = async () => {
+  const db = await openDb();
+  const index = db.transaction(STORE).objectStore(STORE).index('key');
+  const counts = new Map();
+  await new Promise((resolve, reject) => {
+    const request = index.openKeyCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve();
+      counts.set(cursor.key, (counts.get(cursor.key) || 0) + 1);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+  return Array.from(counts, ([key, count]) => {
+    const [stopCode, service] = key.split(':');
+    return { key, stopCode, service, count };
+  });
+};
+
+/**
+ * Deletes records polled before a time
+ * @param {number} [before] - Epoch ms; defaults to config.recorder.retentionDays ago
+ * @returns {Promise<void>}
+ */
+export const pruneRecords = async (before = Date.now() - config.recorder.retentionDays * 86400000) => {
+  const db = await openDb();
+  const transaction = db.transaction(STORE, 'readwrite');
+  const request = transaction.objectStore(STORE).index('polledAt').openCursor(IDBKeyRange.upperBound(before, true));
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+    cursor.delete();
+    cursor.continue();
+  };
+  await completion(transaction);
+};
+
+/**
+ * Deletes every record
+ * @returns {Promise<void>}
+ */
+export const clearRecords = async () => {
+  const db = await openDb();
+  const transaction = db.transaction(STORE, 'readwrite');
+  transaction.objectStore(STORE).clear();
+  lastRecorded.clear();
+  await completion(transaction);
+};
+
+const csvValue = (value) => {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialises records as CSV, with times as ISO strings
+ * @param {Array<ArrivalRecord>} records
+ * @returns {string}
+ */
+export const recordsToCsv = (records) => {
+  const rows = records.map(record => CSV_COLUMNS.map(column => {
+    const value = record[column];
+    if ((column === 'polledAt' || column === 'estimatedArrival') && value != null) {
+      return new Date(value).toISOString();
+    }
+    return csvValue(value);
+  }).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+};
+
+/**
+ * Serialises records as JSON
+ * @param {Array<ArrivalRecord>} records
+ * @returns {string}
+ */
+export const recordsToJson = (records) => JSON.stringify({
+  exportedAt: new Date().toISOString(),
+  records: records.map(({ id, key, ...record }) => record)
+}, null, 2);
@@ -0,0 +1,85 @@
+// Positions of every bus on a service. There is no vehicle feed, but each
+// arrivals response carries the last GPS position of the next few buses to
+// a stop, so arrivals at stops spread along the route together cover the
+// whole service; a bus seen from several stops is counted once.
+import config from './config';
+import { haversineDistance } from './geometry';
+import { locateBusOnRoute } from './routePatterns';
+import { isValidBusData } from './utils';
+
+/**
+ * Picks the stops to query: spread evenly by distance along each pattern,
+ * ending at its last stop. Origins are skipped, as buses waiting there are
+ * not yet on the road.
+ *
+ * @param {Array} patterns - From buildRoutePatterns()
+ * @param {number} [maxStops] - Most stops, across all patterns
+ * @returns {Array} - { stopCode, pattern }, each stop once
+ */
+export const sampleRouteStops = (patterns, maxStops = config.busPositions.maxStops) => {
+  const usable = patterns
+    .map(pattern => ({
+      pattern,
+      stops: pattern.stops.filter(stop => stop.properties.sequence > 0 && stop.properties.distanceAlong != null)
+    }))
+    .filter(({ stops }) => stops.length > 0);
+  if (usable.length === 0 || maxStops <= 0) return [];
+
+  const perPattern = Math.max(1, Math.floor(maxStops / usable.length));
+  const samples = [];
+  const seen = new Set();
+  usable.forEach(({ pattern, stops }) => {
+    const length = stops[stops.length - 1].properties.distanceAlong;
+    for (let i = 1; i <= perPattern && samples.length < maxStops; i++) {
+      const target = length * i / perPattern;
+      const offTarget = (entry) => Math.abs(entry.properties.distanceAlong - target);
+      const stop = stops.reduce((best, entry) => (offTarget(entry) < offTarget(best) ? entry : best));
+      if (seen.has(stop.properties.code)) continue;
+      seen.add(stop.properties.code);
+      samples.push({ stopCode: stop.properties.code, pattern: pattern.pattern });
+    }
+  });
+  return samples;
+};
+
+/**
+ * Turns the arrivals at the sampled stops into distinct buses. Sightings of
+ * one bus from different stops share its GPS position; the one from the
+ * stop it is due at soonest is kept.
+ *
+ * @param {Array} samples - { stopCode, arrivals } per sampled stop
+ * @param {Array} patterns - From buildRoutePatterns()
+ * @param {string} serviceNo - Service number
+ * @param {Object} [options]
+ * @param {number} [options.sameBusWithin] - Metres within which two
+ *   sightings in the same direction are one bus
+ * @returns {Array} - Buses as in an arrivals response, plus `serviceNo`,
+ *   `operator`, `stopCode` (where `minutesAway` applies), `route` (see
+ *   locateBusOnRoute, or null) and `sightings`
+ */
+export const busesFromArrivals = (samples, patterns, serviceNo, {
+  sameBusWithin = config.busPositions.sameBusWithin
+} = {}) => {
+  const sightings = samples.flatMap(({ stopCode, arrivals }) => {
+    const arrival = arrivals.find(entry => entry.serviceNo === serviceNo);
+    return (arrival?.buses || [])
+      .filter(isValidBusData)
+      .map(bus => ({ ...bus, serviceNo, operator: arrival.operator, stopCode }));
+  });
+  sightings.sort((a, b) => a.minutesAway - b.minutesAway);
+
+  const buses = [];
+  sightings.forEach(sighting => {
+    const route = locateBusOnRoute(patterns, [sighting.longitude, sighting.latitude], sighting.stopCode);
+    const same = buses.find(bus =>
+      (!bus.route || !route || bus.route.pattern === route.pattern) &&
+      haversineDistance(bus.latitude, bus.longitude, sighting.latitude, sighting.longitude) <= sameBusWithin
+    );
+    if (same) {
+      same.sightings += 1;
+    } else {
+      buses.push({ ...sighting, route, sightings: 1 });
+    }
+  });
+  return buses;
+};
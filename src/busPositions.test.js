@@ -0,0 +1,75 @@
+import { busesFromArrivals, sampleRouteStops } from './busPositions';
+import { buildRoutePatterns } from './routePatterns';
+
+// Nine stops about 550 m apart along latitude 1.3
+const codes = Array.from({ length: 9 }, (_, i) => String(30000 + i));
+const stopsByCode = Object.fromEntries(codes.map((code, i) => [code, {
+  type: 'Feature',
+  properties: { code, name: `Stop ${code}` },
+  geometry: { type: 'Point', coordinates: [103.8 + i * 0.005, 1.3] }
+}]));
+
+// Eastbound along the stops, then westbound back
+const patterns = buildRoutePatterns('50', { stops: [codes, [...codes].reverse()] }, stopsByCode);
+
+const bus = (longitude, minutesAway) => ({ latitude: 1.3, longitude, minutesAway });
+const sample = (stopCode, buses) => ({ stopCode, arrivals: [{ serviceNo: '50', operator: 'SBST', buses }] });
+
+describe('sampleRouteStops', () => {
+  test('spreads the stops evenly, ending at the last and skipping the origin', () => {
+    expect(sampleRouteStops([patterns[0]], 4)).toEqual([
+      { stopCode: '30002', pattern: 0 },
+      { stopCode: '30004', pattern: 0 },
+      { stopCode: '30006', pattern: 0 },
+      { stopCode: '30008', pattern: 0 }
+    ]);
+  });
+
+  test('shares maxStops between the directions, each stop once', () => {
+    const samples = sampleRouteStops(patterns, 4);
+
+    expect(samples).toEqual([
+      { stopCode: '30004', pattern: 0 },
+      { stopCode: '30008', pattern: 0 },
+      // 30004 is already sampled; westbound ends at 30000
+      { stopCode: '30000', pattern: 1 }
+    ]);
+  });
+
+  test('samples no more than maxStops', () => {
+    expect(sampleRouteStops([patterns[0]], 3)).toHaveLength(3);
+    expect(sampleRouteStops(patterns, 1)).toEqual([{ stopCode: '30008', pattern: 0 }]);
+    expect(sampleRouteStops(patterns, 0)).toEqual([]);
+  });
+});
+
+describe('busesFromArrivals', () => {
+  test('counts a bus seen from several stops once, keeping its nearest stop', () => {
+    const buses = busesFromArrivals([
+      sample('30006', [bus(103.8051, 4)]),
+      sample('30002', [bus(103.8051, 1), bus(103.8001, 0)])
+    ], patterns, '50');
+
+    expect(buses).toHaveLength(2);
+    expect(buses[1]).toMatchObject({ stopCode: '30002', minutesAway: 1, sightings: 2, operator: 'SBST' });
+    expect(buses[1].route.direction).toBe(1);
+  });
+
+  test('keeps buses passing each other in opposite directions apart', () => {
+    const buses = busesFromArrivals([
+      sample('30004', [bus(103.8151, 2)]),
+      sample('30002', [bus(103.8152, 3)])
+    ], patterns, '50');
+
+    expect(buses.map(({ route }) => route.direction)).toEqual([1, 2]);
+  });
+
+  test('ignores other services and buses without a position', () => {
+    const buses = busesFromArrivals([
+      { stopCode: '30002', arrivals: [{ serviceNo: '51', buses: [bus(103.8, 1)] }] },
+      sample('30004', [{ latitude: 0, longitude: 0, minutesAway: 2 }])
+    ], patterns, '50');
+
+    expect(buses).toEqual([]);
+  });
+});
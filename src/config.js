@@ -5,6 +5,92 @@ const config = {
     (process.env.NODE_ENV === 'production' 
       ? 'https://sg-bus-data-api.vercel.app' 
       : ''),
+
+  // Request behaviour for the shared API client (src/apiClient.js)
+  api: {
+    timeout: 10000,      // Per-attempt timeout in ms
+    retries: 2,          // Retries after the first attempt for transient failures
+    retryDelay: 500,     // Base backoff in ms, doubled on each retry
+    maxRetryDelay: 5000  // Longest Retry-After (ms) waited out inside a request
+  },
+
+  // Client-side response cache, per endpoint. Data is fresh for `ttl` ms and
+  // may be served for a further `maxStale` ms while it is refreshed.
+  cache: {
+    busStops: { ttl: 6 * 60 * 60 * 1000, maxStale: 24 * 60 * 60 * 1000 },
+    busRoutes: { ttl: 6 * 60 * 60 * 1000, maxStale: 24 * 60 * 60 * 1000 },
+    arrivals: { ttl: 15 * 1000, maxStale: 60 * 1000 }
+  },
+  
+  // Points outside this box are treated as invalid (bad GPS fixes, swapped
+  // coordinates): [minLng, minLat, maxLng, maxLat]
+  serviceArea: [103.55, 1.13, 104.15, 1.5],
+
+  // Every stop on the island, loaded in one request for the map overview
+  // and stop search: bbox is [minLng, minLat, maxLng, maxLat]
+  islandStops: {
+    bbox: [103.6, 1.15, 104.1, 1.48],
+    limit: 6000
+  },
+
+  // Stops for route views, loaded in grid tiles along the route's path
+  // (see useBusRoute in src/hooks.js) rather than for the whole island
+  routeStops: {
+    tileSize: 0.04, // Degrees (~4.4 km)
+    limit: 1000,    // `limit` sent with each tile request
+    margin: 0.002   // Degrees (~220 m) either side of the path
+  },
+
+  // "Near me" panel: radii are in metres
+  nearby: {
+    radius: 500,          // Default search radius
+    requeryDistance: 100, // Movement that triggers a new stop query
+    maxStops: 12,         // Stops listed with live arrivals
+    walkingSpeed: 80      // Metres per minute, for walking time estimates
+  },
+
+  // Trip planner (src/tripPlanner.js)
+  tripPlanner: {
+    maxWalk: 250,   // Longest walk between stops when changing buses, in metres
+    maxResults: 8   // Itineraries listed per kind (direct, one transfer)
+  },
+
+  // Headway and bunching detection in the tracker (src/headways.js);
+  // all values in minutes. Expected headways are per service; services not
+  // listed use the median gap seen while tracking.
+  headways: {
+    bunchedWithin: 2,   // Buses due this close together are bunched
+    longGapFactor: 1.5, // A gap this many times the expected headway is long
+    expected: {}        // e.g. { '27': 9 }
+  },
+
+  // Bus movement in the tracker (src/vehicles.js, src/BusTracker.jsx)
+  tracker: {
+    maxSpeed: 25,          // Metres per second; a bus that moved further between polls is another bus
+    deadReckoning: 60000   // How long (ms) buses keep moving along the route while no new position arrives
+  },
+
+  // Service-wide bus positions (src/busPositions.js), gathered from the
+  // arrivals at a sample of stops along the route
+  busPositions: {
+    maxStops: 8,            // Stops queried per refresh, across all directions
+    refreshInterval: 60000, // ms between refreshes
+    sameBusWithin: 50       // Sightings closer than this (metres) are one bus
+  },
+
+  // Arrival prediction recorder (src/arrivalLog.js)
+  recorder: {
+    retentionDays: 14,       // Recorded polls older than this are deleted
+    sameBusWindow: 3 * 60000 // Predictions this close (ms) are taken to be the same bus
+  },
+
+  // Offline mock API (src/mock) instead of the network. Scenarios:
+  // normal, upstream-down, empty-service, malformed-payload, rate-limited
+  mock: {
+    enabled: process.env.REACT_APP_MOCK_API === 'true',
+    scenario: process.env.REACT_APP_MOCK_SCENARIO || 'normal',
+    latency: 300 // Simulated response time in ms
+  },
   
   // Helper function to get full API URL with CORS handling
   getApiUrl: (endpoint) => {
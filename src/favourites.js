@@ -0,0 +1,209 @@
+// Favourite stops, services and stop+service pairs.
+//
+// Kept in localStorage (falling back to memory when storage is unavailable)
+// and shared by every component through subscribeFavourites(). Other tabs'
+// changes are picked up through the `storage` event.
+
+const STORAGE_KEY = 'sg-bus-tracker:favourites';
+const EXPORT_VERSION = 1;
+
+/**
+ * @typedef {Object} Favourite
+ * @property {string} id - Derived from type, stop and service
+ * @property {string} type - 'stop', 'service' or 'stopService'
+ * @property {string} [stopCode] - For 'stop' and 'stopService'
+ * @property {string} [service] - For 'service' and 'stopService'
+ * @property {string} [nickname] - User-chosen name, e.g. "Home stop"
+ */
+
+const listeners = new Set();
+
+/**
+ * Identifies a favourite; at least one of stopCode or service is required
+ * @param {string} [stopCode] - Bus stop code
+ * @param {string} [service] - Service number
+ * @returns {Object} - { id, type, stopCode, service }
+ */
+export const favouriteKey = (stopCode, service) => {
+  const type = stopCode && service ? 'stopService' : stopCode ? 'stop' : 'service';
+  return {
+    id: [type, stopCode || '', service || ''].join(':'),
+    type,
+    ...(stopCode ? { stopCode } : {}),
+    ...(service ? { service } : {})
+  };
+};
+
+// Checks and normalises one stored or imported entry; null if unusable
+const normalise = (entry) => {
+  if (!entry || typeof entry !== 'object') return null;
+  const stopCode = typeof entry.stopCode === 'string' && /^\d{5}$/.test(entry.stopCode) ? entry.stopCode : null;
+  const service = typeof entry.service === 'string' && entry.service.trim() ? entry.service.trim() : null;
+  if (!stopCode && !service) return null;
+  const nickname = typeof entry.nickname === 'string' ? entry.nickname.trim().slice(0, 40) : '';
+  return { ...favouriteKey(stopCode, service), ...(nickname ? { nickname } : {}) };
+};
+
+// Drops invalid entries and duplicates, keeping the first of each
+const sanitise = (entries) => {
+  const seen = new Set();
+  return entries.map(normalise).filter(entry => {
+    if (!entry || seen.has(entry.id)) return false;
+    seen.add(entry.id);
+    return true;
+  });
+};
+
+const read = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? sanitise(stored) : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+let favourites = read();
+
+const notify = () => listeners.forEach(listener => listener(favourites));
+
+/**
+ * Returns the current favourites, in the user's order
+ * @returns {Array<Favourite>}
+ */
+export const getFavourites = () => favourites;
+
+/**
+ * Replaces the favourites, persists them and notifies subscribers
+ * @param {Array<Favourite>|Function} next - New list, or (current) => new list
+ */
+export const setFavourites = (next) => {
+  favourites = sanitise(typeof next === 'function' ? next(favourites) : next);
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(favourites));
+  } catch (err) {
+    // Storage full or disabled: favourites last for this visit only
+    console.warn('Could not save favourites:', err);
+  }
+  notify();
+};
+
+/**
+ * Subscribes to favourite changes, from this tab or another
+ * @param {Function} listener - Called with the new list
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeFavourites = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key !== STORAGE_KEY) return;
+    favourites = read();
+    notify();
+  });
+}
+
+/**
+ * Serialises favourites for download
+ * @param {Array<Favourite>} list - Favourites to export
+ * @returns {string} - JSON document
+ */
+export const exportFavourites = (list) => {
+  return JSON.stringify({
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    favourites: list.map(({ id, ...entry }) => entry)
+  }, null, 2);
+};
+
+/**
+ * Parses an exported favourites document (or a bare array of favourites)
+ * @param {string} text - JSON text
+ * @returns {Array<Favourite>} - Valid entries
+ * @throws {Error} - With a message fit to show the user
+ */
+export const parseFavourites = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error('The file is not valid JSON');
+  }
+  const entries = Array.isArray(parsed) ? parsed : parsed?.favourites;
+  if (!Array.isArray(entries)) {
+    throw new Error('The file does not contain a list of favourites');
+  }
+  const valid = sanitise(entries);
+  if (entries.length > 0 && valid.length === 0) {
+    throw new Error('None of the favourites in the file could be read');
+  }
+  return valid;
+};
+
+/**
+ * Stars or unstars a stop, a service or a stop+service pair
+ * @param {string} [stopCode] - Bus stop code
+ * @param {string} [service] - Service number
+ */
+export const toggleFavourite = (stopCode, service) => {
+  const key = favouriteKey(stopCode, service);
+  setFavourites(list => list.some(entry => entry.id === key.id)
+    ? list.filter(entry => entry.id !== key.id)
+    : [...list, key]);
+};
+
+/**
+ * Sets or clears a favourite's nickname
+ * @param {string} id - Favourite id
+ * @param {string} nickname - New nickname; empty clears it
+ */
+export const renameFavourite = (id, nickname) => {
+  setFavourites(list => list.map(entry => {
+    if (entry.id !== id) return entry;
+    const { nickname: previous, ...rest } = entry;
+    return nickname.trim() ? { ...rest, nickname } : rest;
+  }));
+};
+
+/**
+ * Moves a favourite up or down the list
+ * @param {string} id - Favourite id
+ * @param {number} offset - -1 to move up, 1 to move down
+ */
+export const moveFavourite = (id, offset) => {
+  setFavourites(list => {
+    const from = list.findIndex(entry => entry.id === id);
+    const to = from + offset;
+    if (from < 0 || to < 0 || to >= list.length) return list;
+    const next = [...list];
+    next.splice(to, 0, ...next.splice(from, 1));
+    return next;
+  });
+};
+
+/**
+ * Removes a favourite
+ * @param {string} id - Favourite id
+ */
+export const removeFavourite = (id) => {
+  setFavourites(list => list.filter(entry => entry.id !== id));
+};
+
+/**
+ * Adds imported favourites after the existing ones; an imported entry
+ * that already exists only updates its nickname
+ * @param {Array<Favourite>} imported - From parseFavourites()
+ */
+export const mergeFavourites = (imported) => {
+  setFavourites(list => {
+    const byId = new Map(imported.map(entry => [entry.id, entry]));
+    const updated = list.map(entry => (byId.has(entry.id) && byId.get(entry.id).nickname
+      ? { ...entry, nickname: byId.get(entry.id).nickname }
+      : entry));
+    const existing = new Set(list.map(entry => entry.id));
+    return [...updated, ...imported.filter(entry => !existing.has(entry.id))];
+  });
+};
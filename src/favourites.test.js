@@ -0,0 +1,77 @@
+import { loadWithStorage } from './testUtils';
+
+const STORAGE_KEY = 'sg-bus-tracker:favourites';
+
+// Loads a fresh copy of the module, which reads storage on import
+const loadFavourites = (stored) => loadWithStorage(STORAGE_KEY, stored, () => require('./favourites'));
+
+afterEach(() => window.localStorage.clear());
+
+describe('stored favourites', () => {
+  test('are read back, dropping invalid and duplicate entries', () => {
+    const { getFavourites } = loadFavourites([
+      { type: 'stop', stopCode: '65011', nickname: '  Home stop ' },
+      { stopCode: '65011', service: ' 36 ' },
+      { stopCode: '6501' },
+      { service: '' },
+      null,
+      { type: 'stop', stopCode: '65011' },
+      { service: '27' }
+    ]);
+
+    expect(getFavourites()).toEqual([
+      { id: 'stop:65011:', type: 'stop', stopCode: '65011', nickname: 'Home stop' },
+      { id: 'stopService:65011:36', type: 'stopService', stopCode: '65011', service: '36' },
+      { id: 'service::27', type: 'service', service: '27' }
+    ]);
+  });
+
+  test('start empty when storage holds something else', () => {
+    expect(loadFavourites('not json').getFavourites()).toEqual([]);
+    expect(loadFavourites({ stopCode: '65011' }).getFavourites()).toEqual([]);
+    window.localStorage.clear();
+    expect(loadFavourites().getFavourites()).toEqual([]);
+  });
+
+  test('are saved on every change', () => {
+    const { toggleFavourite, getFavourites } = loadFavourites();
+
+    toggleFavourite('65011');
+    toggleFavourite(null, '36');
+    expect(JSON.parse(window.localStorage.getItem(STORAGE_KEY))).toEqual(getFavourites());
+
+    toggleFavourite('65011');
+    expect(getFavourites().map(({ id }) => id)).toEqual(['service::36']);
+  });
+
+  test('follow changes made in another tab', () => {
+    const { getFavourites, subscribeFavourites } = loadFavourites();
+    const listener = jest.fn();
+    const unsubscribe = subscribeFavourites(listener);
+
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify([{ service: '27' }]));
+    window.dispatchEvent(new StorageEvent('storage', { key: STORAGE_KEY }));
+
+    expect(getFavourites()).toEqual([{ id: 'service::27', type: 'service', service: '27' }]);
+    expect(listener).toHaveBeenCalledWith(getFavourites());
+    unsubscribe();
+  });
+});
+
+describe('parseFavourites', () => {
+  const { exportFavourites, favouriteKey, parseFavourites } = loadFavourites();
+
+  test('reads exported documents and bare lists', () => {
+    const list = [{ ...favouriteKey('65011', '36'), nickname: 'To work' }, favouriteKey(null, '27')];
+
+    expect(parseFavourites(exportFavourites(list))).toEqual(list);
+    expect(parseFavourites('[{"service":"27"}]')).toEqual([favouriteKey(null, '27')]);
+    expect(parseFavourites('[]')).toEqual([]);
+  });
+
+  test('explains files it cannot read', () => {
+    expect(() => parseFavourites('{')).toThrow('The file is not valid JSON');
+    expect(() => parseFavourites('{"stops":[]}')).toThrow('The file does not contain a list of favourites');
+    expect(() => parseFavourites('[{"stopCode":"1"}]')).toThrow('None of the favourites in the file could be read');
+  });
+});
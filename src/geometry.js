@@ -0,0 +1,330 @@
+// Coordinate conversions, validation and measurements.
+//
+// Three coordinate orders meet in this app, and mixing them up puts routes
+// in the sea, so every conversion between them goes through this module:
+// - encoded polylines from the API, which decode to [lat, lng]
+// - GeoJSON positions, always [lng, lat] (stop and route features)
+// - Leaflet LatLngs, always [lat, lng] (anything handed to react-leaflet)
+import polyline from '@mapbox/polyline';
+import config from './config';
+
+const EARTH_RADIUS_M = 6371008.8;
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Decodes an encoded polyline into GeoJSON positions
+ * @param {string} encoded - Google encoded polyline
+ * @returns {Array} - [lng, lat] positions
+ */
+export const polylineToPositions = (encoded) => {
+  return polyline.decode(encoded).map(([lat, lng]) => [lng, lat]);
+};
+
+/**
+ * Encodes GeoJSON positions as a polyline
+ * @param {Array} positions - [lng, lat] positions
+ * @returns {string} - Google encoded polyline
+ */
+export const positionsToPolyline = (positions) => {
+  return polyline.encode(positions.map(([lng, lat]) => [lat, lng]));
+};
+
+/**
+ * Converts a GeoJSON position to a Leaflet LatLng
+ * @param {Array} position - [lng, lat]
+ * @returns {Array} - [lat, lng]
+ */
+export const positionToLatLng = ([lng, lat]) => [lat, lng];
+
+/**
+ * Converts a Leaflet LatLng (array or object) to a GeoJSON position
+ * @param {Array|Object} latLng - [lat, lng] or { lat, lng }
+ * @returns {Array} - [lng, lat]
+ */
+export const latLngToPosition = (latLng) => {
+  return Array.isArray(latLng) ? [latLng[1], latLng[0]] : [latLng.lng, latLng.lat];
+};
+
+/**
+ * Converts GeoJSON positions to Leaflet LatLngs
+ * @param {Array} positions - [lng, lat] positions
+ * @returns {Array} - [lat, lng] pairs
+ */
+export const positionsToLatLngs = (positions) => positions.map(positionToLatLng);
+
+/**
+ * Returns the Leaflet LatLng of a GeoJSON point feature
+ * @param {Object} feature - GeoJSON Point feature
+ * @returns {Array} - [lat, lng]
+ */
+export const featureToLatLng = (feature) => positionToLatLng(feature.geometry.coordinates);
+
+/**
+ * Checks that a point lies inside the service area
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Array} [area] - [minLng, minLat, maxLng, maxLat]; defaults to config.serviceArea
+ * @returns {boolean}
+ */
+export const isInServiceArea = (lat, lng, area = config.serviceArea) => {
+  if (!isFiniteNumber(lat) || !isFiniteNumber(lng)) return false;
+  const [minLng, minLat, maxLng, maxLat] = area;
+  return lng >= minLng && lng <= maxLng && lat >= minLat && lat <= maxLat;
+};
+
+/**
+ * Checks a Leaflet LatLng pair
+ * @param {Array} latLng - [lat, lng]
+ * @returns {boolean} - True if it is a pair of numbers inside the service area
+ */
+export const isValidLatLng = (latLng) => {
+  return Array.isArray(latLng) && latLng.length >= 2 && isInServiceArea(latLng[0], latLng[1]);
+};
+
+/**
+ * Checks a GeoJSON position
+ * @param {Array} position - [lng, lat]
+ * @returns {boolean} - True if it is a pair of numbers inside the service area
+ */
+export const isValidPosition = (position) => {
+  return Array.isArray(position) && position.length >= 2 && isInServiceArea(position[1], position[0]);
+};
+
+/**
+ * The service area as Leaflet bounds
+ * @returns {Array} - [[south, west], [north, east]]
+ */
+export const serviceAreaBounds = () => {
+  const [minLng, minLat, maxLng, maxLat] = config.serviceArea;
+  return [[minLat, minLng], [maxLat, maxLng]];
+};
+
+/**
+ * Calculates Leaflet bounds around LatLngs, ignoring invalid ones
+ * @param {Array} latLngs - [lat, lng] pairs
+ * @returns {Array|null} - [[south, west], [north, east]], or null if no
+ *   point is valid
+ */
+export const latLngBounds = (latLngs) => {
+  const valid = latLngs.filter(isValidLatLng);
+  if (valid.length === 0) return null;
+  const lats = valid.map(([lat]) => lat);
+  const lngs = valid.map(([, lng]) => lng);
+  return [
+    [Math.min(...lats), Math.min(...lngs)],
+    [Math.max(...lats), Math.max(...lngs)]
+  ];
+};
+
+/**
+ * Great-circle distance between two points
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lng1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lng2 - Longitude of the second point
+ * @returns {number} - Distance in metres
+ */
+export const haversineDistance = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Initial compass bearing from one point towards another
+ * @param {number} lat1 - Latitude of the start
+ * @param {number} lng1 - Longitude of the start
+ * @param {number} lat2 - Latitude of the destination
+ * @param {number} lng2 - Longitude of the destination
+ * @returns {number} - Degrees clockwise from north, 0 to 360
+ */
+export const bearingBetween = (lat1, lng1, lat2, lng2) => {
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const dLng = toRadians(lng2 - lng1);
+  const y = Math.sin(dLng) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLng);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+};
+
+/**
+ * Names the eight-point compass direction of a bearing
+ * @param {number} bearing - Degrees clockwise from north
+ * @returns {string} - 'N', 'NE', 'E', ...
+ */
+export const compassPoint = (bearing) => {
+  const points = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+  return points[Math.round(bearing / 45) % 8];
+};
+
+/**
+ * Returns the bounding box enclosing a circle
+ * @param {number} lat - Latitude of the centre
+ * @param {number} lng - Longitude of the centre
+ * @param {number} radius - Radius in metres
+ * @returns {Array} - [minLng, minLat, maxLng, maxLat], rounded to 5 decimals
+ */
+export const bboxAround = (lat, lng, radius) => {
+  const round = (value) => Number(value.toFixed(5));
+  const dLat = radius / (EARTH_RADIUS_M * Math.PI / 180);
+  const dLng = dLat / Math.cos(toRadians(lat));
+  return [round(lng - dLng), round(lat - dLat), round(lng + dLng), round(lat + dLat)];
+};
+
+/**
+ * Measures a path
+ * @param {Array} positions - [lng, lat] positions
+ * @returns {number} - Length in metres
+ */
+export const pathLength = (positions) => {
+  let length = 0;
+  for (let i = 1; i < positions.length; i++) {
+    const [lng1, lat1] = positions[i - 1];
+    const [lng2, lat2] = positions[i];
+    length += haversineDistance(lat1, lng1, lat2, lng2);
+  }
+  return length;
+};
+
+/**
+ * Distance from the start of a path to each of its points, for repeated
+ * pointAlongPath() lookups on the same path
+ * @param {Array} positions - [lng, lat] positions
+ * @returns {Array<number>} - Metres, one per position
+ */
+export const cumulativeDistances = (positions) => {
+  const distances = [0];
+  for (let i = 1; i < positions.length; i++) {
+    const [lng1, lat1] = positions[i - 1];
+    const [lng2, lat2] = positions[i];
+    distances.push(distances[i - 1] + haversineDistance(lat1, lng1, lat2, lng2));
+  }
+  return distances;
+};
+
+/**
+ * Finds the point at a distance along a path, clamped to its ends
+ * @param {Array} positions - Path as [lng, lat] positions
+ * @param {number} distance - Metres from the start of the path
+ * @param {Array<number>} [distances] - From cumulativeDistances(positions)
+ * @returns {Object|null} - { position ([lng, lat]), bearing (of the path
+ *   there) }, or null for a path with fewer than two points
+ */
+export const pointAlongPath = (positions, distance, distances = cumulativeDistances(positions)) => {
+  if (positions.length < 2) return null;
+
+  // Last point at or before the distance, by binary search
+  let low = 0;
+  let high = positions.length - 2;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (distances[middle] <= distance) low = middle;
+    else high = middle - 1;
+  }
+
+  const a = positions[low];
+  const b = positions[low + 1];
+  const length = distances[low + 1] - distances[low];
+  const t = length > 0 ? Math.max(0, Math.min(1, (distance - distances[low]) / length)) : 0;
+  return {
+    position: [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t],
+    bearing: bearingBetween(a[1], a[0], b[1], b[0])
+  };
+};
+
+// Projects a point onto segment a-b in a local flat approximation, which is
+// accurate to well under a metre over the length of a road segment
+const projectOntoSegment = (point, a, b) => {
+  const metresPerDegLat = EARTH_RADIUS_M * Math.PI / 180;
+  const metresPerDegLng = metresPerDegLat * Math.cos(toRadians(a[1]));
+  const bx = (b[0] - a[0]) * metresPerDegLng;
+  const by = (b[1] - a[1]) * metresPerDegLat;
+  const px = (point[0] - a[0]) * metresPerDegLng;
+  const py = (point[1] - a[1]) * metresPerDegLat;
+  const lengthSq = bx * bx + by * by;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, (px * bx + py * by) / lengthSq)) : 0;
+  return {
+    t,
+    offset: Math.hypot(px - t * bx, py - t * by),
+    position: [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t]
+  };
+};
+
+/**
+ * Finds where a point sits along a path. The search starts at segment
+ * `fromIndex` and takes the first close match rather than the closest
+ * overall, so points visited in order along a route that doubles back on
+ * itself land on the right leg.
+ *
+ * @param {Array} positions - Path as [lng, lat] positions
+ * @param {Array} point - [lng, lat]
+ * @param {Object} [options]
+ * @param {number} [options.fromIndex] - First segment to consider
+ * @param {number} [options.tolerance] - Offset in metres counted as a close match
+ * @returns {Object|null} - { index (segment), distance (metres from the
+ *   start of the path), offset (metres from the path), position (on the
+ *   path) }, or null for a path with fewer than two points
+ */
+export const locateOnPath = (positions, point, { fromIndex = 0, tolerance = 30 } = {}) => {
+  if (positions.length < 2) return null;
+
+  let best = null;
+  let travelled = pathLength(positions.slice(0, fromIndex + 1));
+  for (let i = Math.max(0, fromIndex); i < positions.length - 1; i++) {
+    const a = positions[i];
+    const b = positions[i + 1];
+    const segmentLength = haversineDistance(a[1], a[0], b[1], b[0]);
+    const projected = projectOntoSegment(point, a, b);
+
+    if (!best || projected.offset < best.offset) {
+      best = {
+        index: i,
+        distance: travelled + segmentLength * projected.t,
+        offset: projected.offset,
+        position: projected.position
+      };
+    } else if (best.offset <= tolerance) {
+      // Moving away again from a close match
+      break;
+    }
+    travelled += segmentLength;
+  }
+  return best;
+};
+
+/**
+ * Cuts the part of a path between two distances along it
+ * @param {Array} positions - Path as [lng, lat] positions
+ * @param {number} from - Start, in metres from the start of the path
+ * @param {number} to - End, in metres from the start of the path
+ * @returns {Array} - [lng, lat] positions from `from` to `to`
+ */
+export const slicePath = (positions, from, to) => {
+  const interpolate = (a, b, t) => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+  const sliced = [];
+  let travelled = 0;
+
+  for (let i = 0; i < positions.length - 1 && travelled <= to; i++) {
+    const a = positions[i];
+    const b = positions[i + 1];
+    const length = haversineDistance(a[1], a[0], b[1], b[0]);
+    const end = travelled + length;
+
+    if (end >= from) {
+      if (sliced.length === 0) {
+        sliced.push(length > 0 ? interpolate(a, b, Math.max(0, from - travelled) / length) : a);
+      }
+      if (end <= to) {
+        sliced.push(b);
+      } else {
+        sliced.push(length > 0 ? interpolate(a, b, (to - travelled) / length) : b);
+      }
+    }
+    travelled = end;
+  }
+  return sliced;
+};
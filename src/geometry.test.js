@@ -0,0 +1,157 @@
+import {
+  bboxAround,
+  bearingBetween,
+  compassPoint,
+  cumulativeDistances,
+  featureToLatLng,
+  haversineDistance,
+  isInServiceArea,
+  isValidLatLng,
+  isValidPosition,
+  latLngBounds,
+  latLngToPosition,
+  locateOnPath,
+  pathLength,
+  pointAlongPath,
+  polylineToPositions,
+  positionsToPolyline,
+  positionToLatLng,
+  slicePath
+} from './geometry';
+
+// 0.01 degrees of longitude along latitude 1.3, in metres
+const STEP = haversineDistance(1.3, 103.8, 1.3, 103.81);
+
+describe('coordinate conversions', () => {
+  test('swap GeoJSON positions and Leaflet LatLngs', () => {
+    expect(positionToLatLng([103.8, 1.3])).toEqual([1.3, 103.8]);
+    expect(latLngToPosition([1.3, 103.8])).toEqual([103.8, 1.3]);
+    expect(latLngToPosition({ lat: 1.3, lng: 103.8 })).toEqual([103.8, 1.3]);
+    expect(featureToLatLng({ geometry: { coordinates: [103.8, 1.3] } })).toEqual([1.3, 103.8]);
+  });
+
+  test('decode polylines into [lng, lat] positions and back', () => {
+    const positions = [[103.8, 1.3], [103.81, 1.31]];
+    const encoded = positionsToPolyline(positions);
+
+    expect(polylineToPositions(encoded)).toEqual(positions);
+  });
+});
+
+describe('service area validation', () => {
+  test('accepts Singapore and rejects swapped or missing coordinates', () => {
+    expect(isInServiceArea(1.3, 103.8)).toBe(true);
+    expect(isInServiceArea(103.8, 1.3)).toBe(false);
+    expect(isInServiceArea(0, 0)).toBe(false);
+    expect(isInServiceArea(NaN, 103.8)).toBe(false);
+    expect(isInServiceArea('1.3', '103.8')).toBe(false);
+  });
+
+  test('checks pairs in either order by their own convention', () => {
+    expect(isValidLatLng([1.3, 103.8])).toBe(true);
+    expect(isValidLatLng([103.8, 1.3])).toBe(false);
+    expect(isValidPosition([103.8, 1.3])).toBe(true);
+    expect(isValidPosition([1.3, 103.8])).toBe(false);
+    expect(isValidPosition(null)).toBe(false);
+  });
+});
+
+describe('measurements', () => {
+  test('haversineDistance', () => {
+    expect(haversineDistance(1.3, 103.8, 1.3, 103.8)).toBe(0);
+    // One degree of latitude is about 111.2 km
+    expect(haversineDistance(1, 103.8, 2, 103.8)).toBeCloseTo(111195, -1);
+  });
+
+  test('bearingBetween and compassPoint', () => {
+    expect(bearingBetween(1.3, 103.8, 1.4, 103.8)).toBeCloseTo(0);
+    expect(bearingBetween(1.3, 103.8, 1.3, 103.9)).toBeCloseTo(90, 1);
+    expect(bearingBetween(1.3, 103.8, 1.2, 103.8)).toBeCloseTo(180);
+    expect(compassPoint(0)).toBe('N');
+    expect(compassPoint(100)).toBe('E');
+    expect(compassPoint(350)).toBe('N');
+  });
+
+  test('bboxAround encloses the radius', () => {
+    const [minLng, minLat, maxLng, maxLat] = bboxAround(1.3, 103.8, 500);
+
+    expect(haversineDistance(1.3, 103.8, maxLat, 103.8)).toBeCloseTo(500, -1);
+    expect(haversineDistance(1.3, 103.8, 1.3, minLng)).toBeCloseTo(500, -1);
+    expect(minLat).toBeLessThan(1.3);
+    expect(maxLng).toBeGreaterThan(103.8);
+  });
+
+  test('latLngBounds', () => {
+    expect(latLngBounds([[1.3, 103.9], [1.35, 103.8]])).toEqual([[1.3, 103.8], [1.35, 103.9]]);
+    expect(latLngBounds([[1.3, 103.8], [0, 0]])).toEqual([[1.3, 103.8], [1.3, 103.8]]);
+    expect(latLngBounds([])).toBeNull();
+  });
+
+  test('pathLength', () => {
+    expect(pathLength([[103.8, 1.3], [103.81, 1.3], [103.82, 1.3]])).toBeCloseTo(STEP * 2);
+    expect(pathLength([[103.8, 1.3]])).toBe(0);
+  });
+});
+
+describe('paths', () => {
+  // Out along latitude 1.3 and back again about 11 m to the north
+  const UTURN = haversineDistance(1.3, 103.82, 1.3001, 103.82);
+  const outAndBack = [
+    [103.8, 1.3], [103.81, 1.3], [103.82, 1.3],
+    [103.82, 1.3001], [103.81, 1.3001], [103.8, 1.3001]
+  ];
+
+  test('locateOnPath finds the first close leg from the given segment', () => {
+    const outbound = locateOnPath(outAndBack, [103.805, 1.3]);
+    expect(outbound.index).toBe(0);
+    expect(outbound.distance).toBeCloseTo(STEP / 2, -1);
+    expect(outbound.offset).toBeCloseTo(0);
+
+    const inbound = locateOnPath(outAndBack, [103.805, 1.3], { fromIndex: 3 });
+    expect(inbound.index).toBe(4);
+    expect(inbound.distance).toBeCloseTo(STEP * 3.5 + UTURN, -1);
+    expect(inbound.offset).toBeCloseTo(UTURN, -1);
+  });
+
+  test('locateOnPath needs at least one segment', () => {
+    expect(locateOnPath([[103.8, 1.3]], [103.8, 1.3])).toBeNull();
+  });
+
+  test('slicePath cuts between two distances', () => {
+    const path = [[103.8, 1.3], [103.81, 1.3], [103.82, 1.3]];
+    const sliced = slicePath(path, STEP / 2, STEP * 1.5);
+
+    expect(sliced).toHaveLength(3);
+    expect(sliced[0][0]).toBeCloseTo(103.805);
+    expect(sliced[1]).toEqual([103.81, 1.3]);
+    expect(sliced[2][0]).toBeCloseTo(103.815);
+    expect(pathLength(sliced)).toBeCloseTo(STEP, -1);
+
+    expect(slicePath(path, 0, STEP * 3)).toEqual(path);
+  });
+
+  test('cumulativeDistances', () => {
+    const distances = cumulativeDistances([[103.8, 1.3], [103.81, 1.3], [103.82, 1.3]]);
+
+    expect(distances[0]).toBe(0);
+    expect(distances[1]).toBeCloseTo(STEP);
+    expect(distances[2]).toBeCloseTo(STEP * 2);
+  });
+
+  test('pointAlongPath interpolates and stops at the ends', () => {
+    const path = [[103.8, 1.3], [103.81, 1.3], [103.81, 1.31]];
+
+    const east = pointAlongPath(path, STEP / 2);
+    expect(east.position[0]).toBeCloseTo(103.805);
+    expect(east.position[1]).toBeCloseTo(1.3);
+    expect(east.bearing).toBeCloseTo(90, 1);
+
+    const north = pointAlongPath(path, STEP * 1.5, cumulativeDistances(path));
+    expect(north.position[0]).toBeCloseTo(103.81);
+    expect(north.bearing).toBeCloseTo(0, 1);
+
+    expect(pointAlongPath(path, -100).position).toEqual([103.8, 1.3]);
+    expect(pointAlongPath(path, STEP * 10).position).toEqual([103.81, 1.31]);
+    expect(pointAlongPath([[103.8, 1.3]], 0)).toBeNull();
+  });
+});
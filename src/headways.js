@@ -0,0 +1,58 @@
+// Gaps between successive buses of a service at a stop, from their
+// predicted arrivals, and bunching: buses due within a few minutes of each
+// other, usually followed by a long wait for the next one.
+import config from './config';
+import { predictedArrival } from './utils';
+
+/**
+ * Measures the gaps between successive buses and flags bunching
+ * @param {Array} buses - Buses of one service at one stop, any order
+ * @param {Object} [options]
+ * @param {number|null} [options.expectedHeadway] - Minutes; long gaps are
+ *   not flagged without it
+ * @param {number} [options.bunchedWithin] - Gap in minutes at or under
+ *   which two buses are bunched
+ * @param {number} [options.longGapFactor] - Gap, as a multiple of the
+ *   expected headway, at or over which a gap is long
+ * @param {number} [now] - Epoch ms
+ * @returns {Object} - { buses, gaps, observedHeadway, bunchedCount,
+ *   longGapCount }. `buses` are the input buses in arrival order, each with
+ *   `headway: { gapBefore, gapAfter, bunched, longGapBefore }` (gaps in
+ *   minutes, null for the first/last bus); `gaps` lists every gap and
+ *   `observedHeadway` is their mean
+ */
+export const analyseHeadways = (buses, {
+  expectedHeadway = null,
+  bunchedWithin = config.headways.bunchedWithin,
+  longGapFactor = config.headways.longGapFactor
+} = {}, now = Date.now()) => {
+  const ordered = buses
+    .map(bus => ({ bus, at: predictedArrival(bus, now) }))
+    .sort((a, b) => a.at - b.at);
+
+  const gaps = ordered.slice(1).map((entry, i) => (entry.at - ordered[i].at) / 60000);
+  const isBunched = (gap) => gap != null && gap <= bunchedWithin;
+  const isLong = (gap) => gap != null && expectedHeadway != null && gap >= expectedHeadway * longGapFactor;
+
+  const analysed = ordered.map(({ bus }, i) => {
+    const gapBefore = i > 0 ? gaps[i - 1] : null;
+    const gapAfter = i < gaps.length ? gaps[i] : null;
+    return {
+      ...bus,
+      headway: {
+        gapBefore,
+        gapAfter,
+        bunched: isBunched(gapBefore) || isBunched(gapAfter),
+        longGapBefore: isLong(gapBefore)
+      }
+    };
+  });
+
+  return {
+    buses: analysed,
+    gaps,
+    observedHeadway: gaps.length > 0 ? gaps.reduce((a, b) => a + b, 0) / gaps.length : null,
+    bunchedCount: analysed.filter(bus => bus.headway.bunched).length,
+    longGapCount: gaps.filter(isLong).length
+  };
+};
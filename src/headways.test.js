@@ -0,0 +1,49 @@
+import { analyseHeadways } from './headways';
+
+const NOW = Date.parse('2024-01-01T08:00:00Z');
+
+const bus = (minutes, plate) => ({ plate, estimatedArrival: new Date(NOW + minutes * 60000).toISOString() });
+
+describe('analyseHeadways', () => {
+  test('orders buses by arrival and measures the gaps between them', () => {
+    const { buses, gaps, observedHeadway } = analyseHeadways([bus(20, 'c'), bus(3, 'a'), bus(11, 'b')], {}, NOW);
+
+    expect(buses.map(({ plate }) => plate)).toEqual(['a', 'b', 'c']);
+    expect(gaps).toEqual([8, 9]);
+    expect(observedHeadway).toBe(8.5);
+    expect(buses[0].headway).toEqual({ gapBefore: null, gapAfter: 8, bunched: false, longGapBefore: false });
+    expect(buses[2].headway.gapAfter).toBeNull();
+  });
+
+  test('flags both buses of a bunched pair', () => {
+    const { buses, bunchedCount } = analyseHeadways([bus(3), bus(5), bus(20)], {}, NOW);
+
+    expect(buses.map(({ headway }) => headway.bunched)).toEqual([true, true, false]);
+    expect(bunchedCount).toBe(2);
+  });
+
+  test('flags long gaps only against an expected headway', () => {
+    const buses = [bus(3), bus(5), bus(20)];
+
+    expect(analyseHeadways(buses, {}, NOW).longGapCount).toBe(0);
+
+    const analysed = analyseHeadways(buses, { expectedHeadway: 10 }, NOW);
+    expect(analysed.longGapCount).toBe(1);
+    expect(analysed.buses[2].headway.longGapBefore).toBe(true);
+  });
+
+  test('falls back to minutesAway without an estimated arrival', () => {
+    const { gaps } = analyseHeadways([{ minutesAway: 12 }, { minutesAway: 4 }], {}, NOW);
+
+    expect(gaps).toEqual([8]);
+  });
+
+  test('has no gaps for a single bus', () => {
+    expect(analyseHeadways([bus(3)], {}, NOW)).toMatchObject({
+      gaps: [],
+      observedHeadway: null,
+      bunchedCount: 0,
+      longGapCount: 0
+    });
+  });
+});
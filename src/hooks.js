@@ -1,169 +1,614 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { getAlerts, subscribeAlerts } from './alerts';
+import { arrivalsQuery, busRouteQuery, busStopsQuery, isAbortError, loadQuery, serviceStopsQuery } from './apiClient';
+import { peekCache, subscribeCache } from './apiCache';
+import { getRecorderSettings, subscribeRecorder } from './arrivalLog';
+import { busesFromArrivals, sampleRouteStops } from './busPositions';
 import config from './config';
+import { getFavourites, subscribeFavourites } from './favourites';
+import { buildRoutePatterns, routePaths, routeTerminals } from './routePatterns';
+import { buildServiceIndex } from './serviceIndex';
+import { planTrips } from './tripPlanner';
+import { matchVehicles } from './vehicles';
+import { bboxAround, bearingBetween, featureToLatLng, haversineDistance } from './geometry';
+import { tileBbox, tileId, tilesAlongPath } from './utils';
 
-// Custom hook for bus arrivals
-export function useBusArrivals(stopCode, refreshInterval = 30000) {
-  const [arrivals, setArrivals] = useState([]);
+// Stop features by code
+const indexStops = (stops) => {
+  const byCode = {};
+  (stops || []).forEach(stop => { byCode[stop.properties.code] = stop; });
+  return byCode;
+};
+
+const emptyResult = (key) => ({ key, data: undefined, isStale: false, lastUpdated: null });
+
+const snapshotResult = (key, snapshot) => ({
+  key,
+  data: snapshot.data,
+  isStale: snapshot.isStale,
+  lastUpdated: new Date(snapshot.updatedAt)
+});
+
+// Generic hook that runs an API query through the shared response cache.
+// Cached data is shown immediately (even if stale) and kept up to date by
+// background refreshes from any component using the same query.
+export function useApiQuery(query, refreshInterval = 0) {
+  const [result, setResult] = useState(() => emptyResult(null));
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
+  const key = query ? query.key : null;
+  const queryRef = useRef(query);
+  queryRef.current = query;
+
   useEffect(() => {
-    if (!stopCode) return;
+    if (!key) return;
 
-    const fetchArrivals = async () => {
-      setLoading(true);
+    const controller = new AbortController();
+
+    const apply = (snapshot) => {
+      setResult(snapshotResult(key, snapshot));
+      setError(snapshot.error ? snapshot.error.message : null);
+    };
+
+    const cached = peekCache(key);
+    if (cached) {
+      apply(cached);
+    } else {
+      setResult(emptyResult(key));
       setError(null);
+    }
+    const unsubscribe = subscribeCache(key, apply);
+
+    // When the server answers with Retry-After, skip polls until then and
+    // try once more as soon as the wait is over
+    let retryAt = 0;
+    let retryTimer = null;
+
+    const load = async () => {
+      if (Date.now() < retryAt) return;
+      setLoading(true);
       try {
-        const response = await fetch(
-          config.getApiUrl(`/api/arrivals?busStopCode=${stopCode}`)
-        );
-        if (!response.ok) throw new Error('Failed to fetch arrivals');
-        const data = await response.json();
-        if (data.success && data.data.arrivals) {
-          setArrivals(data.data.arrivals);
-        } else {
-          throw new Error(data.error?.message || 'Invalid response format');
-        }
+        apply(await loadQuery(queryRef.current, { signal: controller.signal, allowStale: true }));
       } catch (err) {
+        if (isAbortError(err)) return;
+        if (err.retryAfter != null) {
+          retryAt = Date.now() + err.retryAfter * 1000;
+          clearTimeout(retryTimer);
+          retryTimer = setTimeout(load, err.retryAfter * 1000);
+        }
         setError(err.message);
       } finally {
-        setLoading(false);
+        if (!controller.signal.aborted) setLoading(false);
       }
     };
 
-    fetchArrivals();
-    const interval = setInterval(fetchArrivals, refreshInterval);
-    return () => clearInterval(interval);
-  }, [stopCode, refreshInterval]);
+    load();
+    const interval = refreshInterval > 0 ? setInterval(load, refreshInterval) : null;
+    return () => {
+      clearInterval(interval);
+      clearTimeout(retryTimer);
+      unsubscribe();
+      controller.abort();
+    };
+  }, [key, refreshInterval]);
+
+  // Until the effect has caught up with a new key, answer from the cache
+  // rather than with the previous query's data
+  if (result.key !== key) {
+    const cached = key ? peekCache(key) : undefined;
+    const { data, isStale, lastUpdated } = cached ? snapshotResult(key, cached) : emptyResult(key);
+    return { data, isStale, lastUpdated, loading: Boolean(key), error: null };
+  }
 
-  return { arrivals, loading, error };
+  const { data, isStale, lastUpdated } = result;
+  return { data, isStale, lastUpdated, loading, error };
 }
 
-// Custom hook for nearby bus stops
-export function useNearbyStops(latitude, longitude, radius = 0.01) {
-  const [stops, setStops] = useState([]);
+// Like useApiQuery for a list of queries (e.g. arrivals at several stops),
+// with one result per query in the same order. All queries refresh together
+// and one failing does not hold back the others.
+export function useApiQueries(queries, refreshInterval = 0) {
+  const [, setVersion] = useState(0);
+  const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
 
+  const keys = queries.map(query => query.key);
+  const keyList = keys.join('\n');
+  const queriesRef = useRef(queries);
+  queriesRef.current = queries;
+
   useEffect(() => {
-    if (!latitude || !longitude) return;
+    if (!keyList) return;
 
-    const fetchNearbyStops = async () => {
-      setLoading(true);
-      const bbox = [
-        longitude - radius, latitude - radius,
-        longitude + radius, latitude + radius
-      ].join(',');
+    const controller = new AbortController();
+    const setError = (key, message) => setErrors(current =>
+      (current[key] ?? null) === message ? current : { ...current, [key]: message }
+    );
+    // Results are read from the cache at render; this only re-renders
+    const apply = (key, snapshot) => {
+      setVersion(version => version + 1);
+      setError(key, snapshot.error ? snapshot.error.message : null);
+    };
 
-      try {
-        const response = await fetch(
-          config.getApiUrl(`/api/bus-stops?bbox=${bbox}`)
-        );
-        const data = await response.json();
-        if (data.success && data.data.stops) {
-          // Convert API response to GeoJSON format
-          const features = Object.entries(data.data.stops).map(([code, stopData]) => ({
-            type: 'Feature',
-            properties: {
-              code: code,
-              name: stopData[2],
-              road: stopData[3],
-              services: []
-            },
-            geometry: {
-              type: 'Point',
-              coordinates: [stopData[0], stopData[1]]
-            }
-          }));
-          setStops(features);
-        } else {
-          setStops([]);
+    const unsubscribes = keyList.split('\n').map(key => subscribeCache(key, snapshot => apply(key, snapshot)));
+
+    const load = async () => {
+      setLoading(true);
+      await Promise.all(queriesRef.current.map(async query => {
+        try {
+          apply(query.key, await loadQuery(query, { signal: controller.signal, allowStale: true }));
+        } catch (err) {
+          if (!isAbortError(err)) setError(query.key, err.message);
         }
-      } catch (error) {
-        console.error('Failed to fetch nearby stops:', error);
-        setStops([]);
-      } finally {
-        setLoading(false);
-      }
+      }));
+      if (!controller.signal.aborted) setLoading(false);
+    };
+
+    load();
+    const interval = refreshInterval > 0 ? setInterval(load, refreshInterval) : null;
+    return () => {
+      clearInterval(interval);
+      unsubscribes.forEach(unsubscribe => unsubscribe());
+      controller.abort();
     };
+  }, [keyList, refreshInterval]);
+
+  const results = keys.map(key => {
+    const cached = peekCache(key);
+    const { data, isStale, lastUpdated } = cached ? snapshotResult(key, cached) : emptyResult(key);
+    return { key, data, isStale, lastUpdated, error: errors[key] ?? null };
+  });
+
+  return { results, loading };
+}
+
+// Custom hook for bus arrivals
+export function useBusArrivals(stopCode, refreshInterval = 30000) {
+  const { data, loading, error, isStale, lastUpdated } = useApiQuery(
+    stopCode ? arrivalsQuery(stopCode) : null,
+    refreshInterval
+  );
+
+  return { arrivals: data || [], loading, error, isStale, lastUpdated };
+}
+
+// Custom hook for arrivals at several stops; `stops` has one entry per stop
+// code with its own `arrivals`, `error`, `isStale` and `lastUpdated`
+export function useStopsArrivals(stopCodes, refreshInterval = 30000) {
+  const codes = stopCodes.filter(Boolean);
+  const { results, loading } = useApiQueries(codes.map(code => arrivalsQuery(code)), refreshInterval);
 
-    fetchNearbyStops();
-  }, [latitude, longitude, radius]);
+  const stops = results.map((result, i) => ({
+    code: codes[i],
+    arrivals: result.data || [],
+    error: result.error,
+    isStale: result.isStale,
+    lastUpdated: result.lastUpdated
+  }));
 
   return { stops, loading };
 }
 
-// Custom hook for bus route data
-export function useBusRoute(serviceNumber) {
-  const [routeData, setRouteData] = useState(null);
-  const [loading, setLoading] = useState(false);
+// Custom hook calling `onRefresh(stop)` once for every new arrivals fetch
+// at any of the stops, whichever component triggered it; stale data is
+// skipped. Returns the same `stops` as useStopsArrivals.
+export function useArrivalsRefreshes(stopCodes, refreshInterval, onRefresh) {
+  const { stops, loading } = useStopsArrivals(stopCodes, refreshInterval);
+  const stopsRef = useRef(stops);
+  stopsRef.current = stops;
+  const onRefreshRef = useRef(onRefresh);
+  onRefreshRef.current = onRefresh;
+  const handled = useRef(new Map());
+
+  const refreshKey = stops
+    .map(stop => `${stop.code}@${stop.lastUpdated ? stop.lastUpdated.getTime() : ''}`)
+    .join(',');
 
   useEffect(() => {
-    if (!serviceNumber) return;
+    stopsRef.current.forEach(stop => {
+      if (!stop.lastUpdated || stop.isStale) return;
+      const updatedAt = stop.lastUpdated.getTime();
+      if (handled.current.get(stop.code) === updatedAt) return;
+      handled.current.set(stop.code, updatedAt);
+      onRefreshRef.current(stop);
+    });
+  }, [refreshKey]);
 
-    const fetchRouteData = async () => {
-      setLoading(true);
-      try {
-        const routeResponse = await fetch(config.getApiUrl(`/api/bus-routes?service=${serviceNumber}`));
-
-        const routeData = await routeResponse.json();
-
-        if (routeData.success && routeData.data && routeData.data.routes && routeData.data.routes[serviceNumber]) {
-          setRouteData({
-            routes: [{
-              type: 'Feature',
-              properties: { pattern: 0 },
-              geometry: {
-                type: 'LineString',
-                coordinates: [] // We'll need to decode the polyline
-              }
-            }],
-            stops: [] // API doesn't seem to have service-specific stops
-          });
-        } else {
-          setRouteData(null);
-        }
-      } catch (error) {
-        console.error('Failed to fetch route data:', error);
-        setRouteData(null);
-      } finally {
-        setLoading(false);
-      }
+  return { stops, loading };
+}
+
+// Custom hook for the device location. Watches the position while enabled;
+// `error` explains why no position is available.
+export function useGeolocation(enabled = true) {
+  const [position, setPosition] = useState(null);
+  const [error, setError] = useState(null);
+  const supported = typeof navigator !== 'undefined' && 'geolocation' in navigator;
+
+  useEffect(() => {
+    if (!enabled) return;
+    if (!supported) {
+      setError('Location is not available in this browser');
+      return;
+    }
+
+    const messages = {
+      1: 'Location permission was denied',
+      2: 'Your location could not be determined',
+      3: 'Timed out waiting for your location'
     };
 
-    fetchRouteData();
-  }, [serviceNumber]);
+    const watchId = navigator.geolocation.watchPosition(
+      ({ coords }) => {
+        setPosition({ latitude: coords.latitude, longitude: coords.longitude, accuracy: coords.accuracy });
+        setError(null);
+      },
+      (err) => setError(messages[err.code] || err.message),
+      { enableHighAccuracy: true, maximumAge: 10000, timeout: 20000 }
+    );
+    return () => navigator.geolocation.clearWatch(watchId);
+  }, [enabled, supported]);
 
-  return { routeData, loading };
+  return { position, error, supported };
 }
 
-// Custom hook for real-time bus positions
-export function useBusPositions(serviceNumber, refreshInterval = 30000) {
-  const [positions, setPositions] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+// Follows a position, but only moves once it has drifted more than
+// `threshold` metres, so small GPS jitter does not trigger new work
+export function useAnchoredPosition(latitude, longitude, threshold) {
+  const [anchor, setAnchor] = useState(null);
+  const valid = latitude != null && longitude != null;
 
   useEffect(() => {
-    if (!serviceNumber) return;
+    if (!valid) {
+      setAnchor(null);
+      return;
+    }
+    setAnchor(prev => prev && haversineDistance(prev[0], prev[1], latitude, longitude) <= threshold
+      ? prev
+      : [latitude, longitude]);
+  }, [valid, latitude, longitude, threshold]);
 
-    const fetchPositions = async () => {
-      setLoading(true);
-      setError(null);
-      try {
-        // Note: The realtime API endpoint doesn't exist in this API
-        // This hook is kept for compatibility but will always return empty positions
-        setPositions([]);
-        setError('Real-time bus positions not available in this API');
-      } catch (err) {
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
+  return anchor;
+}
+
+// Custom hook for bus stops within `radius` metres, nearest first. Each stop
+// gains `distance` (metres) and `bearing` (degrees) properties measured from
+// the current position; stops are only re-queried after a significant move.
+export function useNearbyStops(latitude, longitude, radius = config.nearby.radius) {
+  const { requeryDistance } = config.nearby;
+  const anchor = useAnchoredPosition(latitude, longitude, requeryDistance);
+
+  // The box is widened by the re-query distance so it still covers the
+  // circle around the current position while the anchor lags behind
+  const bbox = anchor ? bboxAround(anchor[0], anchor[1], radius + requeryDistance) : null;
+  const { data, loading, error, isStale, lastUpdated } = useApiQuery(
+    bbox ? busStopsQuery({ bbox }) : null
+  );
+
+  const stops = useMemo(() => {
+    if (!data || latitude == null || longitude == null) return [];
+    return data
+      .map(stop => {
+        const [lat, lng] = featureToLatLng(stop);
+        return {
+          ...stop,
+          properties: {
+            ...stop.properties,
+            distance: haversineDistance(latitude, longitude, lat, lng),
+            bearing: bearingBetween(latitude, longitude, lat, lng)
+          }
+        };
+      })
+      .filter(stop => stop.properties.distance <= radius)
+      .sort((a, b) => a.properties.distance - b.properties.distance);
+  }, [data, latitude, longitude, radius]);
+
+  return { stops, loading, error, isStale, lastUpdated };
+}
+
+// Custom hook for every bus stop on the island (shares its cache entry with
+// the BusMap overview). Pass enabled = false to defer the download.
+// The bus stops API can only be asked for a box, not for stop codes, so
+// views that know their stops only by code (search, the trip planner,
+// favourites, alerts, the departure board) need the whole list; it is one
+// request, cached for hours and shared between them. Route views use
+// useRouteStops instead.
+export function useAllStops(enabled = true) {
+  const { data, loading, error, isStale, lastUpdated } = useApiQuery(
+    enabled ? busStopsQuery(config.islandStops) : null
+  );
+
+  const stopsByCode = useMemo(() => indexStops(data), [data]);
+
+  return { stops: data || [], stopsByCode, loading, error, isStale, lastUpdated };
+}
+
+// Grid tiles along the paths of a route response, worked out once per
+// response; null if a direction has no path to follow
+const routeTiles = new WeakMap();
+
+const tilesAlongRoute = (routeInfo) => {
+  if (!routeTiles.has(routeInfo)) {
+    const { tileSize, margin } = config.routeStops;
+    const paths = routePaths(routeInfo);
+    routeTiles.set(routeInfo, paths.length > 0 && paths.every(path => path.length > 1)
+      ? paths.flatMap(path => tilesAlongPath(path, tileSize, margin))
+      : null);
+  }
+  return routeTiles.get(routeInfo);
+};
+
+// Custom hook for the stops along some routes (responses from
+// busRouteQuery, null while loading), fetched in grid tiles along their
+// paths rather than for the whole island. A route with a direction that has
+// no path falls back to the island-wide list. `stopsByCode` changes only
+// once every tile has answered (`settled`), so patterns are not built with
+// stops missing that are only still loading.
+function useRouteStops(routeInfos) {
+  const tiles = new Map();
+  let wholeIsland = false;
+  routeInfos.filter(Boolean).forEach(routeInfo => {
+    const along = tilesAlongRoute(routeInfo);
+    if (!along) wholeIsland = true;
+    else along.forEach(tile => tiles.set(tileId(tile), tile));
+  });
+  const { limit } = config.routeStops;
+  const queries = wholeIsland
+    ? [busStopsQuery(config.islandStops)]
+    : Array.from(tiles.keys()).sort().map(id => busStopsQuery({ bbox: tileBbox(tiles.get(id)), limit }));
+  const { results, loading } = useApiQueries(queries);
+
+  // Rebuilt only when a tile's stops changed
+  const merged = useRef({ stops: [], stopsByCode: {} });
+  const settled = results.every(result => result.data !== undefined || result.error);
+  const stops = results.map(result => result.data);
+  const previous = merged.current;
+  if (settled && (stops.length !== previous.stops.length || stops.some((data, i) => data !== previous.stops[i]))) {
+    merged.current = { stops, stopsByCode: indexStops(stops.flatMap(data => data || [])) };
+  }
+
+  return {
+    stopsByCode: merged.current.stopsByCode,
+    settled,
+    loading: loading || !settled,
+    error: results.find(result => result.error)?.error || null,
+    isStale: results.some(result => result.isStale)
+  };
+}
+
+// Custom hook for bus route data: one pattern per direction with its
+// decoded path (GeoJSON [lng, lat]) and ordered stops, plus the terminals
+// of every pattern. Stop details come from the stops along the route.
+export function useBusRoute(serviceNumber) {
+  const route = useApiQuery(serviceNumber ? busRouteQuery(serviceNumber) : null);
+  const routeStops = useRouteStops([route.data]);
+  const { stopsByCode, settled } = routeStops;
+
+  // Until the stops have loaded they may still be another route's
+  const patterns = useMemo(
+    () => buildRoutePatterns(serviceNumber, settled ? route.data : null, stopsByCode),
+    [serviceNumber, route.data, stopsByCode, settled]
+  );
+  const terminals = useMemo(() => routeTerminals(patterns), [patterns]);
+
+  return {
+    patterns,
+    terminals,
+    loading: route.loading || routeStops.loading,
+    error: route.error || routeStops.error,
+    isStale: route.isStale || routeStops.isStale,
+    lastUpdated: route.lastUpdated
+  };
+}
+
+// Custom hook for the routes of several services at once, as
+// `patternsByService` (see useBusRoute for the patterns)
+export function useBusRoutes(serviceNumbers) {
+  const services = serviceNumbers.filter(Boolean);
+  const { results, loading } = useApiQueries(services.map(service => busRouteQuery(service)));
+  const routeStops = useRouteStops(results.map(result => result.data));
+  const { stopsByCode } = routeStops;
+
+  // Patterns are rebuilt only for routes that changed, and the same object
+  // is returned while none did
+  const built = useRef({ byService: {}, patternsByService: {} });
+  const previous = built.current;
+  const byService = {};
+  services.forEach((service, i) => {
+    const data = results[i].data;
+    const entry = previous.byService[service];
+    byService[service] = entry && entry.data === data && entry.stopsByCode === stopsByCode
+      ? entry
+      : { data, stopsByCode, patterns: buildRoutePatterns(service, data, stopsByCode) };
+  });
+  const unchanged = services.length === Object.keys(previous.byService).length &&
+    services.every(service => byService[service] === previous.byService[service]);
+  if (!unchanged) {
+    const patternsByService = {};
+    services.forEach(service => { patternsByService[service] = byService[service].patterns; });
+    built.current = { byService, patternsByService };
+  }
+  const { patternsByService } = built.current;
+
+  return {
+    patternsByService,
+    loading: loading || routeStops.loading,
+    error: results.find(result => result.error)?.error || routeStops.error
+  };
+}
+
+// Custom hook for the stop -> services index (see serviceIndex.js), built
+// from the stop sequences of every service. Pass enabled = false to defer
+// the download.
+export function useServiceIndex(enabled = true) {
+  const { data, loading, error, isStale, lastUpdated } = useApiQuery(
+    enabled ? serviceStopsQuery() : null
+  );
+  const index = useMemo(() => (data ? buildServiceIndex(data) : null), [data]);
+
+  return { index, loading, error, isStale, lastUpdated };
+}
+
+// Custom hook for trips between two stops (see tripPlanner.js): direct
+// services and one-transfer itineraries, ranked by stops then distance.
+// Trips are found from the stop sequences of every service; the routes of
+// the services they use are then fetched, and the trips planned again with
+// distances along the road. Transfers may be made at any stop on the
+// island, so planning needs the island-wide stop list (see useAllStops).
+export function useTripPlan(origin, destination) {
+  const enabled = Boolean(origin && destination);
+  const serviceStops = useApiQuery(enabled ? serviceStopsQuery() : null);
+  const island = useApiQuery(enabled ? busStopsQuery(config.islandStops) : null);
+
+  const stopsByCode = useMemo(() => indexStops(island.data), [island.data]);
+  const draft = useMemo(() => {
+    if (!enabled || !serviceStops.data || !island.data) return null;
+    return planTrips(serviceStops.data, stopsByCode, origin, destination);
+  }, [enabled, serviceStops.data, island.data, stopsByCode, origin, destination]);
+
+  const tripServices = draft
+    ? Array.from(new Set([...draft.direct, ...draft.transfers]
+      .flatMap(itinerary => itinerary.legs)
+      .filter(leg => leg.type === 'bus')
+      .map(leg => leg.service)))
+    : [];
+  const { results } = useApiQueries(tripServices.map(service => busRouteQuery(service)));
+
+  // Planned again only when the draft or one of its routes changed
+  const planned = useRef({ draft: null, routes: [], plan: null });
+  const routeData = results.map(result => result.data);
+  const previous = planned.current;
+  if (previous.draft !== draft || routeData.length !== previous.routes.length ||
+      routeData.some((data, i) => data !== previous.routes[i])) {
+    const routes = {};
+    tripServices.forEach((service, i) => {
+      if (routeData[i]) routes[service] = routeData[i];
+    });
+    planned.current = {
+      draft,
+      routes: routeData,
+      plan: draft && Object.keys(routes).length > 0
+        ? planTrips(serviceStops.data, stopsByCode, origin, destination, { routes })
+        : draft
     };
+  }
+
+  return {
+    plan: planned.current.plan,
+    loading: serviceStops.loading || island.loading,
+    error: serviceStops.error || island.error
+  };
+}
 
-    fetchPositions();
-    const interval = setInterval(fetchPositions, refreshInterval);
-    return () => clearInterval(interval);
-  }, [serviceNumber, refreshInterval]);
+// Custom hook for the user's favourites (see favourites.js), kept in sync
+// across components and browser tabs
+export function useFavourites() {
+  const [favourites, setFavourites] = useState(getFavourites);
 
-  return { positions, loading, error };
-}
\ No newline at end of file
+  useEffect(() => {
+    setFavourites(getFavourites());
+    return subscribeFavourites(setFavourites);
+  }, []);
+
+  const isFavourite = (stopCode, service) => favourites.some(entry =>
+    (entry.stopCode || null) === (stopCode || null) && (entry.service || null) === (service || null)
+  );
+
+  return { favourites, isFavourite };
+}
+
+// Custom hook for the arrival alerts (see alerts.js)
+export function useAlerts() {
+  const [alerts, setAlerts] = useState(getAlerts);
+
+  useEffect(() => {
+    setAlerts(getAlerts());
+    return subscribeAlerts(setAlerts);
+  }, []);
+
+  return { alerts };
+}
+
+// Custom hook for the arrival recorder's settings (see arrivalLog.js)
+export function useRecorderSettings() {
+  const [settings, setSettings] = useState(getRecorderSettings);
+
+  useEffect(() => {
+    setSettings(getRecorderSettings());
+    return subscribeRecorder(setSettings);
+  }, []);
+
+  return settings;
+}
+
+// Custom hook for the user's reduced motion setting
+export function usePrefersReducedMotion() {
+  const query = '(prefers-reduced-motion: reduce)';
+  const supported = typeof window !== 'undefined' && typeof window.matchMedia === 'function';
+  const [reduced, setReduced] = useState(() => supported && window.matchMedia(query).matches);
+
+  useEffect(() => {
+    if (!supported) return;
+    const media = window.matchMedia(query);
+    const update = () => setReduced(media.matches);
+    update();
+    media.addEventListener('change', update);
+    return () => media.removeEventListener('change', update);
+  }, [supported]);
+
+  return reduced;
+}
+
+// Custom hook for the position of every bus on a service, from arrivals
+// at up to config.busPositions.maxStops stops along its route (see
+// busPositions.js). Each bus keeps its `id` from one refresh to the next.
+export function useBusPositions(serviceNumber, refreshInterval = config.busPositions.refreshInterval) {
+  const { patterns, error: routeError, loading: routeLoading } = useBusRoute(serviceNumber);
+  const samples = useMemo(() => sampleRouteStops(patterns), [patterns]);
+  const { results, loading } = useApiQueries(samples.map(sample => arrivalsQuery(sample.stopCode)), refreshInterval);
+
+  const [positions, setPositions] = useState([]);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const resultsRef = useRef(results);
+  resultsRef.current = results;
+  const vehicles = useRef({ buses: [], polledAt: null, count: 0 });
+
+  const refreshKey = results
+    .map(result => `${result.key}@${result.lastUpdated ? result.lastUpdated.getTime() : ''}`)
+    .join(',');
+
+  useEffect(() => {
+    vehicles.current = { buses: [], polledAt: null, count: vehicles.current.count };
+    setPositions([]);
+    setLastUpdated(null);
+  }, [serviceNumber]);
+
+  useEffect(() => {
+    const answered = samples
+      .map((sample, i) => ({ ...sample, arrivals: resultsRef.current[i]?.data }))
+      .filter(sample => sample.arrivals);
+    if (answered.length === 0) return;
+
+    const buses = busesFromArrivals(answered, patterns, serviceNumber);
+    const polledAt = Date.now();
+    const tracked = vehicles.current;
+    const elapsed = tracked.polledAt ? (polledAt - tracked.polledAt) / 1000 : 0;
+    const ids = matchVehicles(tracked.buses, buses, {
+      maxDistance: Math.max(200, config.tracker.maxSpeed * elapsed),
+      createId: () => `${serviceNumber}-${++tracked.count}`
+    });
+    const identified = buses.map((bus, i) => ({ ...bus, id: ids[i] }));
+    vehicles.current = { buses: identified, polledAt, count: tracked.count };
+    setPositions(identified);
+    setLastUpdated(new Date(polledAt));
+  }, [refreshKey, samples, patterns, serviceNumber]);
+
+  const failed = results.length > 0 && results.every(result => result.error);
+  return {
+    positions,
+    loading: routeLoading || loading,
+    error: routeError || (failed ? results[0].error : null),
+    lastUpdated,
+    stopsQueried: samples.length
+  };
+}
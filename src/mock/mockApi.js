@@ -0,0 +1,220 @@
+// Offline stand-in for the Singapore Bus API.
+//
+// Enabled with REACT_APP_MOCK_API=true (or config.mock.enabled). Serves
+// /api/bus-stops, /api/arrivals and /api/bus-routes, and this app's own
+// /api/service-stops, from the JSON fixtures next to this file, and can
+// replay failure scenarios from ./scenarios.
+import config from '../config';
+import busStopsFixture from './fixtures/busStops.json';
+import busRoutesFixture from './fixtures/busRoutes.json';
+import arrivalSchedule from './fixtures/arrivalSchedule.json';
+import upstreamDown from './scenarios/upstream-down.json';
+import emptyService from './scenarios/empty-service.json';
+import malformedPayload from './scenarios/malformed-payload.json';
+import rateLimited from './scenarios/rate-limited.json';
+
+/**
+ * Scenarios selectable through REACT_APP_MOCK_SCENARIO / config.mock.scenario.
+ * 'normal' serves the fixtures unchanged.
+ */
+export const MOCK_SCENARIOS = {
+  normal: { description: 'Fixture data with live-looking arrivals', responses: {} },
+  'upstream-down': upstreamDown,
+  'empty-service': emptyService,
+  'malformed-payload': malformedPayload,
+  'rate-limited': rateLimited
+};
+
+const jsonResponse = (status, body, headers = {}) => {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+};
+
+const errorResponse = (status, message) => {
+  return jsonResponse(status, { success: false, error: { message } });
+};
+
+// Response for an endpoint overridden by the active scenario, if any
+const scenarioResponse = (scenario, path) => {
+  const override = scenario.responses[path] || scenario.responses['*'];
+  if (!override) return null;
+  if (override.raw != null) {
+    return new Response(override.raw, {
+      status: override.status,
+      headers: { 'Content-Type': override.contentType || 'text/plain', ...override.headers }
+    });
+  }
+  return jsonResponse(override.status, override.body, override.headers);
+};
+
+/**
+ * Parses a "minLng,minLat,maxLng,maxLat" bounding box
+ * @param {string} value - bbox query parameter
+ * @returns {Array|null} - Numbers, or null if the value is not a valid bbox
+ */
+const parseBbox = (value) => {
+  const parts = value.split(',').map(Number);
+  if (parts.length !== 4 || parts.some(isNaN)) return null;
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  return minLng <= maxLng && minLat <= maxLat ? parts : null;
+};
+
+const busStops = (params) => {
+  let entries = Object.entries(busStopsFixture.data.stops);
+
+  if (params.has('bbox')) {
+    const bbox = parseBbox(params.get('bbox'));
+    if (!bbox) return errorResponse(400, 'bbox must be minLng,minLat,maxLng,maxLat');
+    const [minLng, minLat, maxLng, maxLat] = bbox;
+    entries = entries.filter(([, [lng, lat]]) =>
+      lng >= minLng && lng <= maxLng && lat >= minLat && lat <= maxLat
+    );
+  }
+
+  if (params.has('limit')) {
+    const limit = Number(params.get('limit'));
+    if (!Number.isInteger(limit) || limit < 1) return errorResponse(400, 'limit must be a positive integer');
+    entries = entries.slice(0, limit);
+  }
+
+  return jsonResponse(200, { success: true, data: { stops: Object.fromEntries(entries) } });
+};
+
+const busRoutes = (params) => {
+  const { routes } = busRoutesFixture.data;
+  const service = params.get('service');
+  const selected = service
+    ? (routes[service] ? { [service]: routes[service] } : {})
+    : routes;
+  return jsonResponse(200, { success: true, data: { routes: selected } });
+};
+
+// Same shape as api/service-stops.js: the stop sequences of every service
+const serviceStops = () => {
+  const { routes } = busRoutesFixture.data;
+  const services = Object.fromEntries(
+    Object.entries(routes).map(([service, route]) => [service, route.stops])
+  );
+  return jsonResponse(200, { success: true, data: { services } });
+};
+
+// Position of a bus `stopsTravelled` stops along a stop sequence
+const positionAlong = (sequence, stopsTravelled) => {
+  const index = Math.min(Math.floor(stopsTravelled), sequence.length - 1);
+  const next = Math.min(index + 1, sequence.length - 1);
+  const fraction = stopsTravelled - index;
+  const [lng1, lat1] = busStopsFixture.data.stops[sequence[index]];
+  const [lng2, lat2] = busStopsFixture.data.stops[sequence[next]];
+  return {
+    latitude: lat1 + (lat2 - lat1) * fraction,
+    longitude: lng1 + (lng2 - lng1) * fraction
+  };
+};
+
+/**
+ * Generates arrivals from the fixture timetable. Buses leave each origin
+ * every `headwayMinutes` and take `minutesPerStop` per stop, so successive
+ * calls count down and buses move along their route in real time.
+ */
+const scheduleArrivals = (busStopCode, now) => {
+  const { minutesPerStop, busesPerService, services } = arrivalSchedule;
+  const { routes } = busRoutesFixture.data;
+  const msPerStop = minutesPerStop * 60000;
+  const arrivals = [];
+
+  Object.entries(services).forEach(([serviceNo, timetable]) => {
+    const route = routes[serviceNo];
+    if (!route) return;
+
+    // Prefer the direction in which the bus departs from this stop rather
+    // than the one in which it terminates here
+    const candidates = route.stops
+      .map(sequence => ({ sequence, index: sequence.indexOf(busStopCode) }))
+      .filter(({ index }) => index >= 0);
+    if (candidates.length === 0) return;
+    const { sequence, index } = candidates.find(({ sequence, index }) => index < sequence.length - 1)
+      || candidates[0];
+
+    const headway = timetable.headwayMinutes * 60000;
+    const offset = timetable.offsetMinutes * 60000;
+    const travel = index * msPerStop;
+    const firstTrip = Math.ceil((now - offset - travel) / headway);
+
+    const buses = [];
+    for (let n = 0; n < busesPerService; n++) {
+      const trip = firstTrip + n;
+      const arrivalTime = trip * headway + offset + travel;
+      const elapsed = now - (arrivalTime - travel);
+      const departed = elapsed >= 0;
+      buses.push({
+        minutesAway: Math.max(0, Math.floor((arrivalTime - now) / 60000)),
+        estimatedArrival: new Date(arrivalTime).toISOString(),
+        ...positionAlong(sequence, departed ? elapsed / msPerStop : 0),
+        visitNumber: 1,
+        load: trip % 3,
+        feature: 'WAB',
+        type: timetable.types[trip % timetable.types.length],
+        monitored: departed ? 1 : 0,
+        originCode: sequence[0],
+        destinationCode: sequence[sequence.length - 1]
+      });
+    }
+
+    arrivals.push({ serviceNo, operator: timetable.operator, buses });
+  });
+
+  return arrivals.sort((a, b) =>
+    a.serviceNo.localeCompare(b.serviceNo, undefined, { numeric: true })
+  );
+};
+
+const busArrivals = (params) => {
+  const busStopCode = params.get('busStopCode');
+  if (!busStopCode) return errorResponse(400, 'busStopCode is required');
+  return jsonResponse(200, {
+    success: true,
+    data: { busStopCode, arrivals: scheduleArrivals(busStopCode, Date.now()) }
+  });
+};
+
+const handlers = {
+  '/api/bus-stops': busStops,
+  '/api/bus-routes': busRoutes,
+  '/api/service-stops': serviceStops,
+  '/api/arrivals': busArrivals
+};
+
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(abortError());
+  }, { once: true });
+});
+
+/**
+ * fetch()-compatible handler for API endpoints
+ * @param {string} endpoint - Endpoint path with query string, e.g. '/api/arrivals?busStopCode=65011'
+ * @param {Object} [init] - fetch() options; only `signal` is used
+ * @returns {Promise<Response>}
+ */
+export const mockFetch = async (endpoint, { signal } = {}) => {
+  await delay(config.mock.latency, signal);
+
+  const url = new URL(endpoint, 'http://mock.invalid');
+  const scenario = MOCK_SCENARIOS[config.mock.scenario] || MOCK_SCENARIOS.normal;
+
+  const override = scenarioResponse(scenario, url.pathname);
+  if (override) return override;
+
+  const handler = handlers[url.pathname];
+  if (!handler) return errorResponse(404, `Unknown endpoint ${url.pathname}`);
+  return handler(url.searchParams);
+};
@@ -0,0 +1,99 @@
+import config from '../config';
+import { ApiErrorType, arrivalsQuery, busRouteQuery, busStopsQuery, request, serviceStopsQuery } from '../apiClient';
+import busStopsFixture from './fixtures/busStops.json';
+import { mockFetch } from './mockApi';
+
+const HEADWAY_27 = 9 * 60000;
+const OFFSET_27 = 2 * 60000;
+
+const fetchJson = async (endpoint) => {
+  const response = await mockFetch(endpoint);
+  return { status: response.status, body: await response.json() };
+};
+
+const { mock } = config;
+
+beforeEach(() => {
+  config.mock = { ...mock, enabled: true, latency: 0, scenario: 'normal' };
+});
+
+afterEach(() => {
+  config.mock = mock;
+  jest.restoreAllMocks();
+});
+
+describe('bus stops', () => {
+  test('are filtered to a bounding box', async () => {
+    const { body } = await fetchJson('/api/bus-stops?bbox=103.84,1.36,103.86,1.385');
+    const inside = Object.keys(busStopsFixture.data.stops).filter(code => {
+      const [lng, lat] = busStopsFixture.data.stops[code];
+      return lng >= 103.84 && lng <= 103.86 && lat >= 1.36 && lat <= 1.385;
+    });
+
+    expect(inside.length).toBeGreaterThan(0);
+    expect(Object.keys(body.data.stops)).toEqual(inside);
+  });
+
+  test('are limited in number', async () => {
+    const { body } = await fetchJson('/api/bus-stops?limit=5');
+
+    expect(Object.keys(body.data.stops)).toHaveLength(5);
+  });
+
+  test('refuse a bad bbox or limit', async () => {
+    expect((await fetchJson('/api/bus-stops?bbox=103.86,1.36,103.84,1.385')).status).toBe(400);
+    expect((await fetchJson('/api/bus-stops?limit=0')).status).toBe(400);
+  });
+});
+
+describe('arrivals', () => {
+  test('count down in real time', async () => {
+    // Five minutes before a service 27 departure from its origin, 65011
+    const departure = Math.ceil(Date.parse('2024-01-01T08:00:00Z') / HEADWAY_27) * HEADWAY_27 + OFFSET_27;
+    let now = departure - 5 * 60000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    const first = (await fetchJson('/api/arrivals?busStopCode=65011')).body.data.arrivals;
+    now += 60000;
+    const second = (await fetchJson('/api/arrivals?busStopCode=65011')).body.data.arrivals;
+
+    const bus27 = (arrivals) => arrivals.find(({ serviceNo }) => serviceNo === '27').buses[0];
+    expect(bus27(first)).toMatchObject({ minutesAway: 5, estimatedArrival: new Date(departure).toISOString() });
+    expect(bus27(second)).toMatchObject({ minutesAway: 4, estimatedArrival: new Date(departure).toISOString() });
+  });
+
+  test('need a stop code', async () => {
+    expect((await fetchJson('/api/arrivals')).status).toBe(400);
+  });
+});
+
+describe('scenarios', () => {
+  const run = (query) => query.fetch({ retries: 0 });
+
+  test('upstream-down fails every endpoint as the proxy would', async () => {
+    config.mock.scenario = 'upstream-down';
+
+    await expect(request('/api/arrivals?busStopCode=65011', { retries: 0 })).rejects.toMatchObject({
+      type: ApiErrorType.HTTP,
+      status: 502,
+      message: 'HTTP 502: Could not reach the upstream API'
+    });
+  });
+
+  test('empty-service answers with nothing running', async () => {
+    config.mock.scenario = 'empty-service';
+
+    await expect(run(arrivalsQuery('65011'))).resolves.toEqual([]);
+    await expect(run(busRouteQuery('27'))).resolves.toBeNull();
+    await expect(run(serviceStopsQuery())).resolves.toEqual({});
+  });
+
+  test('malformed-payload fails with malformed errors', async () => {
+    config.mock.scenario = 'malformed-payload';
+
+    await expect(run(busStopsQuery())).rejects.toMatchObject({ type: ApiErrorType.MALFORMED });
+    await expect(run(arrivalsQuery('65011'))).rejects.toMatchObject({ type: ApiErrorType.MALFORMED });
+    await expect(run(busRouteQuery('27'))).rejects.toMatchObject({ type: ApiErrorType.MALFORMED });
+    await expect(run(serviceStopsQuery())).rejects.toMatchObject({ type: ApiErrorType.MALFORMED });
+  });
+});
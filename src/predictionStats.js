@@ -0,0 +1,147 @@
+// Turns recorded arrivals polls (arrivalLog.js) into a reliability
+// report for one stop and service: each bus followed from poll to poll
+// with its predictions, prediction error split by monitored (GPS) and
+// estimated (timetable) predictions, and the spread of actual headways.
+//
+// The API never says when a bus actually arrived, so a bus is taken to have
+// arrived at its last predicted time when it drops off the list while due
+// within `ARRIVED_WITHIN` minutes.
+import config from './config';
+import { median } from './utils';
+
+const ARRIVED_WITHIN = 1;           // Minutes
+const MAX_POLL_GAP = 5 * 60000;     // Longer gaps end the buses being followed
+const MAX_HEADWAY = 60;             // Minutes; longer gaps are recording breaks
+const HEADWAY_BUCKET = 2;           // Minutes per histogram bar
+const HEADWAY_BUCKETS = 15;         // The last bar collects everything longer
+
+const predictedArrival = (record) => record.estimatedArrival ?? record.polledAt + record.minutesAway * 60000;
+
+const mean = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+/**
+ * Follows individual buses through the polls of one stop and service,
+ * matching each prediction to the bus whose previous prediction was closest
+ * @param {Array<ArrivalRecord>} records - Records of one stop and service
+ * @param {Object} [options]
+ * @param {number} [options.sameBusWindow] - Largest jump (ms) in a bus's
+ *   prediction between polls
+ * @returns {Array} - Tracks { id, points, arrivedAt } in order of first
+ *   sighting; points are { polledAt, predicted, minutesAway, monitored }
+ *   and arrivedAt is null when the bus was not seen to arrive
+ */
+export const trackBuses = (records, { sameBusWindow = config.recorder.sameBusWindow } = {}) => {
+  const polls = new Map();
+  records.forEach(record => {
+    if (!polls.has(record.polledAt)) polls.set(record.polledAt, []);
+    polls.get(record.polledAt).push(record);
+  });
+
+  const tracks = [];
+  let open = [];
+  let lastPoll = null;
+
+  const close = (track, polledAt) => {
+    const last = track.points[track.points.length - 1];
+    const seenToArrive = polledAt - last.polledAt <= MAX_POLL_GAP &&
+      (last.predicted - last.polledAt) / 60000 <= ARRIVED_WITHIN;
+    track.arrivedAt = seenToArrive ? last.predicted : null;
+  };
+
+  Array.from(polls.keys()).sort((a, b) => a - b).forEach(polledAt => {
+    // A long gap in recording ends every bus being followed
+    if (lastPoll !== null && polledAt - lastPoll > MAX_POLL_GAP) {
+      open.forEach(track => { track.arrivedAt = null; });
+      open = [];
+    }
+
+    const matched = new Set();
+    polls.get(polledAt)
+      .map(record => ({ polledAt, predicted: predictedArrival(record), minutesAway: record.minutesAway, monitored: record.monitored }))
+      .sort((a, b) => a.predicted - b.predicted)
+      .forEach(point => {
+        let best = null;
+        open.forEach(track => {
+          if (matched.has(track)) return;
+          const gap = Math.abs(track.points[track.points.length - 1].predicted - point.predicted);
+          if (gap < sameBusWindow && (!best || gap < best.gap)) best = { track, gap };
+        });
+        const track = best ? best.track : { id: tracks.length + 1, points: [], arrivedAt: null };
+        if (!best) {
+          tracks.push(track);
+          open.push(track);
+        }
+        track.points.push(point);
+        matched.add(track);
+      });
+
+    open.filter(track => !matched.has(track)).forEach(track => close(track, polledAt));
+    open = open.filter(track => matched.has(track));
+    lastPoll = polledAt;
+  });
+
+  return tracks;
+};
+
+// Error statistics, in minutes, for a set of prediction errors
+const errorStats = (errors) => ({
+  count: errors.length,
+  meanAbsError: mean(errors.map(Math.abs)),
+  bias: mean(errors),
+  withinOneMinute: errors.length > 0 ? errors.filter(error => Math.abs(error) <= 1).length / errors.length : null
+});
+
+/**
+ * Compares every prediction for a bus seen to arrive with its arrival
+ * @param {Array} tracks - From trackBuses()
+ * @returns {Object} - { monitored, estimated } each { count, meanAbsError,
+ *   bias, withinOneMinute }; errors are minutes, positive when the bus came
+ *   earlier than predicted
+ */
+export const predictionAccuracy = (tracks) => {
+  const errors = { monitored: [], estimated: [] };
+  tracks.filter(track => track.arrivedAt !== null).forEach(track => {
+    track.points.forEach(point => {
+      errors[point.monitored ? 'monitored' : 'estimated'].push((point.predicted - track.arrivedAt) / 60000);
+    });
+  });
+  return { monitored: errorStats(errors.monitored), estimated: errorStats(errors.estimated) };
+};
+
+/**
+ * Measures the gaps between successive arrivals
+ * @param {Array} tracks - From trackBuses()
+ * @returns {Object} - { values, buckets: [{ from, to, count }], median, mean }
+ *   in minutes; the last bucket has `to` null
+ */
+export const headwayDistribution = (tracks) => {
+  const arrivals = tracks.map(track => track.arrivedAt).filter(time => time !== null).sort((a, b) => a - b);
+  const values = arrivals.slice(1)
+    .map((time, i) => (time - arrivals[i]) / 60000)
+    .filter(headway => headway <= MAX_HEADWAY);
+
+  const buckets = Array.from({ length: HEADWAY_BUCKETS }, (_, i) => ({
+    from: i * HEADWAY_BUCKET,
+    to: i === HEADWAY_BUCKETS - 1 ? null : (i + 1) * HEADWAY_BUCKET,
+    count: 0
+  }));
+  values.forEach(headway => {
+    buckets[Math.min(HEADWAY_BUCKETS - 1, Math.floor(headway / HEADWAY_BUCKET))].count++;
+  });
+
+  return { values, buckets, median: median(values), mean: mean(values) };
+};
+
+/**
+ * Builds the full report for one stop and service
+ * @param {Array<ArrivalRecord>} records - Records of one stop and service
+ * @returns {Object} - { tracks, accuracy, headways }
+ */
+export const buildPredictionReport = (records) => {
+  const tracks = trackBuses(records);
+  return {
+    tracks,
+    accuracy: predictionAccuracy(tracks),
+    headways: headwayDistribution(tracks)
+  };
+};
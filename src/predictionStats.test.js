@@ -0,0 +1,73 @@
+import { buildPredictionReport, headwayDistribution, trackBuses } from './predictionStats';
+
+const T0 = Date.parse('2024-01-01T08:00:00Z');
+const at = (minutes) => T0 + minutes * 60000;
+
+const record = (poll, predicted, monitored) => ({
+  polledAt: at(poll),
+  estimatedArrival: at(predicted),
+  minutesAway: Math.floor(predicted - poll),
+  monitored
+});
+
+// Polls a minute apart: a GPS-tracked bus due at 3.5 minutes, a timetabled
+// one due at 9 and a third still on its way when recording stops
+const records = [
+  ...[4, 4.5, 4, 3.5].map((predicted, poll) => record(poll, predicted, true)),
+  ...[0, 1, 2, 3, 4, 5, 6, 7, 8].map(poll => record(poll, 9, false)),
+  ...[4, 5, 6, 7, 8, 9].map(poll => record(poll, 20, true))
+];
+
+describe('trackBuses', () => {
+  test('follows each bus from poll to poll until it arrives', () => {
+    const tracks = trackBuses(records);
+
+    expect(tracks.map(track => track.points.length)).toEqual([4, 9, 6]);
+    expect(tracks.map(track => track.arrivedAt)).toEqual([at(3.5), at(9), null]);
+  });
+
+  test('does not count buses as arrived across a gap in recording', () => {
+    const tracks = trackBuses([record(0, 0.5, true), record(10, 15, true)]);
+
+    expect(tracks.map(track => track.arrivedAt)).toEqual([null, null]);
+  });
+
+  test('starts a new bus when a prediction jumps further than sameBusWindow', () => {
+    const polls = [record(0, 10, true), record(1, 12, true)];
+
+    expect(trackBuses(polls)).toHaveLength(1);
+    expect(trackBuses(polls, { sameBusWindow: 60000 })).toHaveLength(2);
+  });
+});
+
+describe('buildPredictionReport', () => {
+  test('measures prediction error by kind of prediction', () => {
+    const { accuracy } = buildPredictionReport(records);
+
+    expect(accuracy.monitored).toEqual({ count: 4, meanAbsError: 0.5, bias: 0.5, withinOneMinute: 1 });
+    expect(accuracy.estimated).toEqual({ count: 9, meanAbsError: 0, bias: 0, withinOneMinute: 1 });
+  });
+
+  test('measures headways between the buses seen to arrive', () => {
+    const { headways } = buildPredictionReport(records);
+
+    expect(headways.values).toEqual([5.5]);
+    expect(headways.median).toBe(5.5);
+    expect(headways.buckets[2]).toEqual({ from: 4, to: 6, count: 1 });
+  });
+});
+
+describe('headwayDistribution', () => {
+  test('skips breaks in recording and buckets long headways together', () => {
+    const tracks = [0, 40, null, 160].map(minutes => ({ arrivedAt: minutes === null ? null : at(minutes) }));
+    const { values, buckets, mean } = headwayDistribution(tracks);
+
+    expect(values).toEqual([40]);
+    expect(mean).toBe(40);
+    expect(buckets[buckets.length - 1]).toEqual({ from: 28, to: null, count: 1 });
+  });
+
+  test('is empty without arrivals', () => {
+    expect(headwayDistribution([])).toMatchObject({ values: [], median: null, mean: null });
+  });
+});
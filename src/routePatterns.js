@@ -0,0 +1,200 @@
+// Turns a /api/bus-routes entry into per-direction route patterns
+import { bearingBetween, isValidPosition, locateOnPath, pathLength, polylineToPositions, slicePath } from './geometry';
+
+// Decodes a pattern's path, dropping points outside the service area
+const decodePath = (encoded) => {
+  try {
+    return polylineToPositions(encoded).filter(isValidPosition);
+  } catch (error) {
+    console.error('Failed to decode polyline:', error);
+    return [];
+  }
+};
+
+/**
+ * Decodes the path of each direction of a service
+ * @param {Object} routeInfo - { polylines: [encoded], stops: [[code]] }
+ * @returns {Array} - One path ([lng, lat] positions) per direction; empty
+ *   for a direction without a polyline
+ */
+export const routePaths = (routeInfo) => {
+  const polylines = Array.isArray(routeInfo?.polylines) ? routeInfo.polylines : [];
+  const sequences = Array.isArray(routeInfo?.stops) ? routeInfo.stops : [];
+  return Array.from({ length: Math.max(polylines.length, sequences.length) },
+    (_, index) => (polylines[index] ? decodePath(polylines[index]) : []));
+};
+
+/**
+ * Builds one pattern per direction of a service. Stops are joined to the
+ * stop dataset by code; codes missing from it are listed in `missingStops`
+ * and left out of `stops`. Each stop gets its `sequence` in the pattern and
+ * `distanceAlong` the path in metres. A pattern without a polyline falls
+ * back to a straight line through its stops.
+ *
+ * @param {string} serviceNo - Service number
+ * @param {Object} routeInfo - { polylines: [encoded], stops: [[code]] }
+ * @param {Object} stopsByCode - Stop features by code
+ * @returns {Array} - Patterns ({ pattern, direction, serviceNo, feature,
+ *   stops, origin, destination, stopCount, missingStops, length })
+ */
+export const buildRoutePatterns = (serviceNo, routeInfo, stopsByCode) => {
+  if (!routeInfo) return [];
+  const polylines = Array.isArray(routeInfo.polylines) ? routeInfo.polylines : [];
+  const sequences = Array.isArray(routeInfo.stops) ? routeInfo.stops : [];
+  const count = Math.max(polylines.length, sequences.length);
+  const patterns = [];
+
+  for (let index = 0; index < count; index++) {
+    const codes = sequences[index] || [];
+    const stops = [];
+    const missingStops = [];
+
+    codes.forEach((code, sequence) => {
+      const stop = stopsByCode[code];
+      if (!stop) {
+        missingStops.push(code);
+        return;
+      }
+      stops.push({
+        ...stop,
+        properties: {
+          ...stop.properties,
+          pattern: index,
+          sequence,
+          isTerminal: sequence === 0 || sequence === codes.length - 1
+        }
+      });
+    });
+
+    const decoded = polylines[index] ? decodePath(polylines[index]) : [];
+    const coordinates = decoded.length > 1
+      ? decoded
+      : stops.map(stop => stop.geometry.coordinates);
+    if (coordinates.length < 2 && stops.length === 0) continue;
+
+    // Stops are visited in order, so each is looked for beyond the last.
+    // A match behind the last stop on its own segment is the road the bus
+    // comes back along, so the search moves on to the next segment.
+    let fromIndex = 0;
+    let fromDistance = 0;
+    stops.forEach(stop => {
+      let located = locateOnPath(coordinates, stop.geometry.coordinates, { fromIndex });
+      if (located && located.distance < fromDistance) {
+        located = locateOnPath(coordinates, stop.geometry.coordinates, { fromIndex: fromIndex + 1 }) || located;
+      }
+      stop.properties.distanceAlong = located ? located.distance : null;
+      if (located) {
+        fromIndex = located.index;
+        fromDistance = located.distance;
+      }
+    });
+
+    patterns.push({
+      pattern: index,
+      direction: index + 1,
+      serviceNo,
+      feature: {
+        type: 'Feature',
+        properties: { pattern: index, serviceNo, direction: `Direction ${index + 1}` },
+        geometry: { type: 'LineString', coordinates }
+      },
+      stops,
+      origin: stops.find(stop => stop.properties.sequence === 0) || null,
+      destination: stops.find(stop => stop.properties.sequence === codes.length - 1) || null,
+      stopCount: codes.length,
+      missingStops,
+      length: pathLength(coordinates)
+    });
+  }
+
+  return patterns;
+};
+
+/**
+ * Lists the distinct terminal stops of a set of patterns
+ * @param {Array} patterns - From buildRoutePatterns()
+ * @returns {Array} - Stop features
+ */
+export const routeTerminals = (patterns) => {
+  const terminals = new Map();
+  patterns.forEach(({ origin, destination }) => {
+    [origin, destination].forEach(stop => {
+      if (stop && !terminals.has(stop.properties.code)) terminals.set(stop.properties.code, stop);
+    });
+  });
+  return Array.from(terminals.values());
+};
+
+/**
+ * Lists the stops of every pattern, each stop once. A stop that is a
+ * terminal in any pattern is kept in its terminal form.
+ * @param {Array} patterns - From buildRoutePatterns()
+ * @returns {Array} - Stop features
+ */
+export const uniqueRouteStops = (patterns) => {
+  const byCode = new Map();
+  patterns.forEach(pattern => pattern.stops.forEach(stop => {
+    const existing = byCode.get(stop.properties.code);
+    if (!existing || (stop.properties.isTerminal && !existing.properties.isTerminal)) {
+      byCode.set(stop.properties.code, stop);
+    }
+  }));
+  return Array.from(byCode.values());
+};
+
+/**
+ * Snaps a bus onto the route it is running. A bus arriving at `stopCode`
+ * is looked for on the part of each pattern before that stop, so the two
+ * directions of a route sharing a road, or a loop passing the same place
+ * twice, resolve to the leg that leads to the stop. Without such a pattern
+ * the closest one is used.
+ *
+ * @param {Array} patterns - From buildRoutePatterns()
+ * @param {Array} point - Bus position as [lng, lat]
+ * @param {string} [stopCode] - Stop the bus is arriving at
+ * @param {Object} [options]
+ * @param {number} [options.maxOffset] - Metres from the route beyond which
+ *   the bus is not snapped
+ * @returns {Object|null} - { pattern, direction, position ([lng, lat] on the
+ *   path), distance (metres along it), offset, bearing, previousStop,
+ *   nextStop, stopsBefore (stops still to pass before `stopCode`, or null)
+ *   }, or null when no pattern is within `maxOffset`
+ */
+export const locateBusOnRoute = (patterns, point, stopCode, { maxOffset = 200 } = {}) => {
+  const candidates = patterns.map(pattern => {
+    const path = pattern.feature.geometry.coordinates;
+    const target = [...pattern.stops].reverse()
+      .find(stop => stop.properties.code === stopCode && stop.properties.distanceAlong != null);
+    const searched = target ? slicePath(path, 0, target.properties.distanceAlong) : path;
+    // tolerance 0 keeps searching for the closest point rather than the first
+    const located = locateOnPath(searched.length > 1 ? searched : path, point, { tolerance: 0 });
+    return located && { pattern, target, located, path: searched.length > 1 ? searched : path };
+  }).filter(candidate => candidate && candidate.located.offset <= maxOffset);
+  if (candidates.length === 0) return null;
+
+  const best = candidates.reduce((a, b) => {
+    if (Boolean(a.target) !== Boolean(b.target)) return a.target ? a : b;
+    return b.located.offset < a.located.offset ? b : a;
+  });
+  const { pattern, target, located, path } = best;
+  const [lng1, lat1] = path[located.index];
+  const [lng2, lat2] = path[located.index + 1];
+
+  const placed = pattern.stops.filter(stop => stop.properties.distanceAlong != null);
+  const previousStop = [...placed].reverse().find(stop => stop.properties.distanceAlong <= located.distance) || null;
+  const nextStop = placed.find(stop => stop.properties.distanceAlong > located.distance) || null;
+
+  return {
+    pattern: pattern.pattern,
+    direction: pattern.direction,
+    position: located.position,
+    distance: located.distance,
+    offset: located.offset,
+    bearing: bearingBetween(lat1, lng1, lat2, lng2),
+    previousStop,
+    nextStop,
+    stopsBefore: target && nextStop
+      ? Math.max(0, target.properties.sequence - nextStop.properties.sequence)
+      : null
+  };
+};
@@ -0,0 +1,161 @@
+import polyline from '@mapbox/polyline';
+import { haversineDistance } from './geometry';
+import { buildRoutePatterns, locateBusOnRoute, routePaths, uniqueRouteStops } from './routePatterns';
+
+const stop = (code, lng, lat) => ({
+  type: 'Feature',
+  properties: { code, name: `Stop ${code}` },
+  geometry: { type: 'Point', coordinates: [lng, lat] }
+});
+
+// Stops a kilometre apart along latitude 1.3
+const stopsByCode = Object.fromEntries([
+  stop('10001', 103.8, 1.3),
+  stop('10002', 103.81, 1.3),
+  stop('10003', 103.82, 1.3),
+  stop('10004', 103.83, 1.3),
+  // Across the road from 10002
+  stop('10005', 103.81, 1.3003)
+].map(feature => [feature.properties.code, feature]));
+
+// 0.01 degrees of longitude along latitude 1.3, in metres
+const STEP = haversineDistance(1.3, 103.8, 1.3, 103.81);
+
+// Encodes [lng, lat] positions the way the routes API does
+const encode = (positions) => polyline.encode(positions.map(([lng, lat]) => [lat, lng]));
+
+const codesOf = (stops) => stops.map(({ properties }) => properties.code);
+
+describe('routePaths', () => {
+  test('decodes a path per direction, empty where there is no polyline', () => {
+    const paths = routePaths({ polylines: [encode([[103.8, 1.3], [103.81, 1.3]])], stops: [['10001'], ['10002']] });
+
+    expect(paths).toEqual([[[103.8, 1.3], [103.81, 1.3]], []]);
+    expect(routePaths(null)).toEqual([]);
+  });
+});
+
+describe('buildRoutePatterns', () => {
+  test('builds a pattern per direction, listing stops missing from the dataset', () => {
+    const patterns = buildRoutePatterns('10', {
+      polylines: [encode([[103.8, 1.3], [103.83, 1.3]]), encode([[103.83, 1.3], [103.8, 1.3]])],
+      stops: [['10001', '99999', '10002', '10003'], ['10003', '10002', '10001']]
+    }, stopsByCode);
+
+    expect(patterns.map(({ direction, stopCount }) => [direction, stopCount])).toEqual([[1, 4], [2, 3]]);
+    expect(codesOf(patterns[0].stops)).toEqual(['10001', '10002', '10003']);
+    expect(patterns[0].stops.map(({ properties }) => properties.sequence)).toEqual([0, 2, 3]);
+    expect(patterns[0].missingStops).toEqual(['99999']);
+    expect(patterns[0].length).toBeCloseTo(STEP * 3, -1);
+  });
+
+  test('draws a straight line through the stops without a polyline', () => {
+    const [pattern] = buildRoutePatterns('10', { polylines: [], stops: [['10001', '10002', '10003']] }, stopsByCode);
+
+    expect(pattern.feature.geometry.coordinates).toEqual([[103.8, 1.3], [103.81, 1.3], [103.82, 1.3]]);
+    expect(pattern.length).toBeCloseTo(STEP * 2);
+  });
+
+  test('marks the first and last stop of the sequence as terminals, even when one is missing', () => {
+    const [pattern] = buildRoutePatterns('10', { stops: [['10001', '10002', '10003', '99999']] }, stopsByCode);
+
+    expect(pattern.origin.properties.code).toBe('10001');
+    expect(pattern.destination).toBeNull();
+    expect(pattern.stops.map(({ properties }) => properties.isTerminal)).toEqual([true, false, false]);
+
+    const [reversed] = buildRoutePatterns('10', { stops: [['99999', '10003', '10002', '10001']] }, stopsByCode);
+    expect(reversed.origin).toBeNull();
+    expect(reversed.destination.properties.code).toBe('10001');
+    expect(reversed.stops[0].properties.isTerminal).toBe(false);
+  });
+
+  test('skips directions with neither a path nor stops', () => {
+    expect(buildRoutePatterns('10', { polylines: [''], stops: [['99999']] }, stopsByCode)).toEqual([]);
+    expect(buildRoutePatterns('10', null, stopsByCode)).toEqual([]);
+  });
+
+  test('measures each stop along the path', () => {
+    const [pattern] = buildRoutePatterns('10', {
+      polylines: [encode([[103.8, 1.3], [103.83, 1.3]])],
+      stops: [['10001', '10002', '10004']]
+    }, stopsByCode);
+
+    const distances = pattern.stops.map(({ properties }) => properties.distanceAlong);
+    expect(distances[0]).toBeCloseTo(0);
+    expect(distances[1]).toBeCloseTo(STEP, -1);
+    expect(distances[2]).toBeCloseTo(STEP * 3, -1);
+  });
+
+  test('keeps stop distances increasing on a route that returns along the same road', () => {
+    const [pattern] = buildRoutePatterns('10', {
+      polylines: [encode([[103.8, 1.3], [103.81, 1.3], [103.82, 1.3], [103.81, 1.3], [103.8, 1.3]])],
+      stops: [['10001', '10002', '10003', '10002', '10001']]
+    }, stopsByCode);
+
+    const distances = pattern.stops.map(({ properties }) => properties.distanceAlong);
+    [0, 1, 2, 3, 4].forEach(i => expect(distances[i]).toBeCloseTo(STEP * i, -1));
+  });
+});
+
+describe('uniqueRouteStops', () => {
+  test('lists each stop once, keeping its terminal form', () => {
+    const patterns = buildRoutePatterns('10', {
+      stops: [['10001', '10002', '10003'], ['10002', '10001']]
+    }, stopsByCode);
+
+    const stops = uniqueRouteStops(patterns);
+    expect(codesOf(stops)).toEqual(['10001', '10002', '10003']);
+    expect(stops[1].properties).toMatchObject({ code: '10002', isTerminal: true, pattern: 1 });
+  });
+});
+
+describe('locateBusOnRoute', () => {
+  // Both directions of a service along the same road
+  const twoWay = buildRoutePatterns('10', {
+    polylines: [encode([[103.8, 1.3], [103.82, 1.3]]), encode([[103.82, 1.3], [103.8, 1.3]])],
+    stops: [['10001', '10002', '10003'], ['10003', '10002', '10001']]
+  }, stopsByCode);
+
+  // A loop out along one side of the road and back along the other
+  const loop = buildRoutePatterns('20', {
+    polylines: [encode([[103.8, 1.3], [103.82, 1.3], [103.82, 1.3003], [103.8, 1.3003]])],
+    stops: [['10001', '10002', '10003', '10005', '10001']]
+  }, stopsByCode);
+
+  test('picks the direction that leads to the stop on a shared road', () => {
+    const eastbound = locateBusOnRoute(twoWay, [103.805, 1.3], '10002');
+    expect(eastbound).toMatchObject({ direction: 1, offset: 0 });
+    expect(eastbound.distance).toBeCloseTo(STEP / 2, -1);
+    expect(eastbound.bearing).toBeCloseTo(90, 0);
+
+    const westbound = locateBusOnRoute(twoWay, [103.815, 1.3], '10002');
+    expect(westbound.direction).toBe(2);
+    expect(westbound.distance).toBeCloseTo(STEP / 2, -1);
+  });
+
+  test('picks the leg of a loop that leads to the stop', () => {
+    const outbound = locateBusOnRoute(loop, [103.805, 1.3], '10002');
+    expect(outbound.distance).toBeCloseTo(STEP / 2, -1);
+    expect(outbound.previousStop.properties.sequence).toBe(0);
+
+    const inbound = locateBusOnRoute(loop, [103.805, 1.3003], '10001');
+    expect(inbound.distance).toBeGreaterThan(STEP * 3);
+    expect(inbound.previousStop.properties.code).toBe('10005');
+    expect(inbound.nextStop.properties.sequence).toBe(4);
+    expect(inbound.stopsBefore).toBe(0);
+  });
+
+  test('counts the stops still to pass', () => {
+    const located = locateBusOnRoute(twoWay, [103.805, 1.3], '10003');
+
+    expect(located.previousStop.properties.code).toBe('10001');
+    expect(located.nextStop.properties.code).toBe('10002');
+    expect(located.stopsBefore).toBe(1);
+    expect(locateBusOnRoute(twoWay, [103.805, 1.3]).stopsBefore).toBeNull();
+  });
+
+  test('leaves buses far from every pattern unplaced', () => {
+    expect(locateBusOnRoute(twoWay, [103.805, 1.31], '10002')).toBeNull();
+    expect(locateBusOnRoute(twoWay, [103.805, 1.31], '10002', { maxOffset: 2000 })).not.toBeNull();
+  });
+});
@@ -0,0 +1,48 @@
+// Reverse index from bus stop to the services calling there, built from the
+// stop sequences of every service (/api/service-stops; the stops endpoint
+// has no service information)
+
+// One index per stop sequences object, so every component reading the
+// cached dataset shares the same index
+const built = new WeakMap();
+
+const compareServices = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+/**
+ * Builds the stop -> services index
+ * @param {Object} serviceStops - Stop sequences ([[code]], one per
+ *   direction) by service number
+ * @returns {Object} - Calls by stop code, each { service, direction,
+ *   sequence } where direction counts from 1 and sequence from 0, sorted
+ *   by service then direction
+ */
+export const buildServiceIndex = (serviceStops) => {
+  if (built.has(serviceStops)) return built.get(serviceStops);
+
+  const index = {};
+  Object.entries(serviceStops).forEach(([service, stops]) => {
+    const sequences = Array.isArray(stops) ? stops : [];
+    sequences.forEach((codes, pattern) => {
+      codes.forEach((code, sequence) => {
+        if (!index[code]) index[code] = [];
+        index[code].push({ service, direction: pattern + 1, sequence });
+      });
+    });
+  });
+
+  Object.values(index).forEach(calls => calls.sort((a, b) =>
+    compareServices(a.service, b.service) || a.direction - b.direction || a.sequence - b.sequence
+  ));
+
+  built.set(serviceStops, index);
+  return index;
+};
+
+/**
+ * Lists the calls at a stop
+ * @param {Object|null} index - From buildServiceIndex()
+ * @param {string} code - Bus stop code
+ * @returns {Array} - { service, direction, sequence } entries
+ */
+export const callsAtStop = (index, code) => (index && index[code]) || [];
+
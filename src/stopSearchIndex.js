@@ -0,0 +1,159 @@
+// Fuzzy search over bus stops by name, road and stop code
+
+// Common words in LTA stop names and their abbreviations. Both forms are
+// reduced to the abbreviation so "Opp Blk 123" matches "opposite block 123".
+const ABBREVIATIONS = {
+  avenue: 'ave',
+  before: 'bef',
+  after: 'aft',
+  block: 'blk',
+  boulevard: 'blvd',
+  central: 'ctrl',
+  centre: 'ctr',
+  center: 'ctr',
+  close: 'cl',
+  crescent: 'cres',
+  drive: 'dr',
+  garden: 'gdn',
+  gardens: 'gdns',
+  heights: 'hts',
+  interchange: 'int',
+  jalan: 'jln',
+  lorong: 'lor',
+  market: 'mkt',
+  near: 'nr',
+  opposite: 'opp',
+  park: 'pk',
+  primary: 'pr',
+  road: 'rd',
+  school: 'sch',
+  secondary: 'sec',
+  square: 'sq',
+  station: 'stn',
+  street: 'st',
+  terminal: 'ter',
+  terminus: 'ter',
+  upper: 'upp'
+};
+
+/**
+ * Splits text into lower-case tokens with abbreviations normalized
+ * @param {string} text - Text to tokenize
+ * @returns {Array} - Tokens
+ */
+export const tokenize = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map(token => ABBREVIATIONS[token] || token);
+};
+
+/**
+ * Optimal string alignment distance (Levenshtein plus transpositions),
+ * giving up early once it exceeds `max`
+ * @returns {number} - Distance, or max + 1 if it is larger than max
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+/**
+ * Scores how well one query token matches one stop token
+ * @returns {number} - 0 (no match) to 1 (exact)
+ */
+const tokenScore = (queryToken, token) => {
+  if (token === queryToken) return 1;
+  if (token.startsWith(queryToken)) return 0.6 + 0.3 * (queryToken.length / token.length);
+  // Numbers (block numbers, codes) must match exactly or by prefix
+  if (/^\d+$/.test(queryToken)) return 0;
+  const allowed = queryToken.length >= 7 ? 2 : queryToken.length >= 4 ? 1 : 0;
+  if (allowed === 0) return 0;
+  const distance = editDistance(queryToken, token.slice(0, queryToken.length + allowed), allowed);
+  return distance <= allowed ? 0.7 - 0.15 * distance : 0;
+};
+
+const bestTokenScore = (queryToken, tokens) => {
+  return tokens.reduce((best, token) => Math.max(best, tokenScore(queryToken, token)), 0);
+};
+
+/**
+ * Prepares stops for searching
+ * @param {Array} stops - GeoJSON stop features
+ * @returns {Array} - Index entries ({ stop, code, nameTokens, roadTokens })
+ */
+export const buildSearchIndex = (stops) => {
+  return stops.map(stop => ({
+    stop,
+    code: stop.properties.code,
+    nameTokens: tokenize(stop.properties.name),
+    roadTokens: tokenize(stop.properties.road)
+  }));
+};
+
+/**
+ * Scores one indexed stop against a tokenized query
+ * @returns {number} - 0 if the stop does not match
+ */
+const scoreEntry = (entry, queryTokens, rawQuery) => {
+  // Stop codes: exact and prefix matches rank above any text match
+  if (/^\d+$/.test(rawQuery)) {
+    if (entry.code === rawQuery) return 3;
+    if (entry.code.startsWith(rawQuery)) return 2 + rawQuery.length / 10;
+  }
+
+  let total = 0;
+  for (const queryToken of queryTokens) {
+    const nameScore = bestTokenScore(queryToken, entry.nameTokens);
+    const roadScore = bestTokenScore(queryToken, entry.roadTokens) * 0.8;
+    const score = Math.max(nameScore, roadScore);
+    // Every query token has to match something
+    if (score === 0) return 0;
+    total += score;
+  }
+  return total / queryTokens.length;
+};
+
+/**
+ * Finds the stops best matching a query
+ * @param {Array} index - Result of buildSearchIndex()
+ * @param {string} query - Free text: stop name, road or code
+ * @param {number} limit - Maximum number of results
+ * @returns {Array} - Matches ({ stop, score }), best first
+ */
+export const searchStops = (index, query, limit = 10) => {
+  const rawQuery = String(query || '').trim();
+  const queryTokens = tokenize(rawQuery);
+  if (queryTokens.length === 0) return [];
+
+  return index
+    .map(entry => ({ stop: entry.stop, score: scoreEntry(entry, queryTokens, rawQuery) }))
+    .filter(match => match.score > 0)
+    .sort((a, b) =>
+      b.score - a.score ||
+      a.stop.properties.name.localeCompare(b.stop.properties.name) ||
+      a.stop.properties.code.localeCompare(b.stop.properties.code)
+    )
+    .slice(0, limit);
+};
@@ -0,0 +1,57 @@
+import { buildSearchIndex, searchStops, tokenize } from './stopSearchIndex';
+
+const stop = (code, name, road) => ({
+  type: 'Feature',
+  properties: { code, name, road },
+  geometry: { type: 'Point', coordinates: [103.8, 1.3] }
+});
+
+const index = buildSearchIndex([
+  stop('65011', 'Sengkang Int', 'Compassvale Rd'),
+  stop('65009', 'Opp Blk 211', 'Compassvale Lane'),
+  stop('65019', 'Blk 211', 'Compassvale Lane'),
+  stop('01012', 'Hotel Grand Pacific', 'Victoria St'),
+  stop('10009', 'Bt Merah Int', 'Bt Merah Ctrl')
+]);
+
+const codes = (query, limit) => searchStops(index, query, limit).map(match => match.stop.properties.code);
+
+describe('tokenize', () => {
+  test('lower-cases, splits on punctuation and abbreviates', () => {
+    expect(tokenize('Opposite Block 211, Sengkang Interchange')).toEqual(['opp', 'blk', '211', 'sengkang', 'int']);
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe('searchStops', () => {
+  test('finds stops by exact code or code prefix', () => {
+    expect(codes('65011')).toEqual(['65011']);
+    expect(codes('6501')).toEqual(['65019', '65011']);
+    expect(codes('65')).toHaveLength(3);
+  });
+
+  test('matches the abbreviated and spelled-out forms alike', () => {
+    expect(codes('opposite block 211')).toEqual(['65009']);
+    expect(codes('sengkang interchange')).toEqual(['65011']);
+  });
+
+  test('tolerates typos in longer words', () => {
+    expect(codes('sengakng')).toEqual(['65011']);
+    expect(codes('victroia')).toEqual(['01012']);
+  });
+
+  test('needs every word to match and block numbers to match exactly', () => {
+    expect(codes('sengkang hotel')).toEqual([]);
+    expect(codes('blk 212')).toEqual([]);
+  });
+
+  test('matches roads, equal matches in name order', () => {
+    expect(codes('compassvale')).toEqual(['65019', '65009', '65011']);
+    expect(codes('merah')).toEqual(['10009']);
+  });
+
+  test('limits the results and ignores empty queries', () => {
+    expect(codes('compassvale', 2)).toHaveLength(2);
+    expect(codes('  ')).toEqual([]);
+  });
+});
@@ -0,0 +1,21 @@
+// Helpers shared by the tests of modules that keep their state in localStorage
+
+/**
+ * Stores a value, then loads a fresh copy of a module that reads storage on
+ * import
+ * @param {string} key - localStorage key
+ * @param {*} stored - Value to store: strings as they are, anything else as
+ *   JSON; undefined leaves storage alone
+ * @param {Function} load - Requires the module, e.g. () => require('./alerts')
+ * @returns {Object} - The module's exports
+ */
+export const loadWithStorage = (key, stored, load) => {
+  if (stored !== undefined) {
+    window.localStorage.setItem(key, typeof stored === 'string' ? stored : JSON.stringify(stored));
+  }
+  let loaded;
+  jest.isolateModules(() => {
+    loaded = load();
+  });
+  return loaded;
+};
@@ -0,0 +1,228 @@
+// Finds bus trips between two stops from the route stop sequences: direct
+// services, and itineraries with one change of bus, either at a stop both
+// services call at or after a short walk to a nearby stop.
+import config from './config';
+import { featureToLatLng, haversineDistance, slicePath } from './geometry';
+import { buildRoutePatterns } from './routePatterns';
+import { buildServiceIndex, callsAtStop } from './serviceIndex';
+
+// Grid cell used to find stops within walking distance, in degrees (~550 m)
+const CELL_SIZE = 0.005;
+
+const neighbourGrids = new WeakMap();
+
+const cellKey = (lat, lng) => `${Math.floor(lat / CELL_SIZE)}:${Math.floor(lng / CELL_SIZE)}`;
+
+// Buckets stops into grid cells, once per stop collection
+const neighbourGrid = (stopsByCode) => {
+  if (neighbourGrids.has(stopsByCode)) return neighbourGrids.get(stopsByCode);
+  const grid = new Map();
+  Object.values(stopsByCode).forEach(stop => {
+    const key = cellKey(...featureToLatLng(stop));
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(stop);
+  });
+  neighbourGrids.set(stopsByCode, grid);
+  return grid;
+};
+
+/**
+ * Lists the stops within walking distance of a stop
+ * @param {Object} stopsByCode - Stop features by code
+ * @param {string} code - Stop to walk from
+ * @param {number} maxWalk - Longest walk in metres
+ * @returns {Array} - { code, distance } for other stops, nearest first
+ */
+export const stopsWithinWalk = (stopsByCode, code, maxWalk) => {
+  const stop = stopsByCode[code];
+  if (!stop) return [];
+  const [lat, lng] = featureToLatLng(stop);
+  const grid = neighbourGrid(stopsByCode);
+  const row = Math.floor(lat / CELL_SIZE);
+  const col = Math.floor(lng / CELL_SIZE);
+  const reach = Math.ceil(maxWalk / (CELL_SIZE * 111000));
+  const nearby = [];
+
+  for (let r = row - reach; r <= row + reach; r++) {
+    for (let c = col - reach; c <= col + reach; c++) {
+      (grid.get(`${r}:${c}`) || []).forEach(other => {
+        if (other.properties.code === code) return;
+        const [otherLat, otherLng] = featureToLatLng(other);
+        const distance = haversineDistance(lat, lng, otherLat, otherLng);
+        if (distance <= maxWalk) nearby.push({ code: other.properties.code, distance });
+      });
+    }
+  }
+  return nearby.sort((a, b) => a.distance - b.distance);
+};
+
+// Earliest sequence in `sequences` after `after`, or undefined
+const firstAfter = (sequences, after) => {
+  let best;
+  sequences.forEach(sequence => {
+    if (sequence > after && (best === undefined || sequence < best)) best = sequence;
+  });
+  return best;
+};
+
+const compareItineraries = (a, b) =>
+  a.stops - b.stops || (a.distance ?? Infinity) - (b.distance ?? Infinity);
+
+/**
+ * Plans trips between two stops
+ * @param {Object} serviceStops - Stop sequences ([[code]], one per
+ *   direction) by service number
+ * @param {Object} stopsByCode - Stop features by code, for names, walking
+ *   transfers and distances
+ * @param {string} origin - Origin stop code
+ * @param {string} destination - Destination stop code
+ * @param {Object} [options]
+ * @param {number} [options.maxWalk] - Longest transfer walk in metres
+ * @param {number} [options.maxResults] - Itineraries returned per kind
+ * @param {Object} [options.routes] - Route info ({ polylines, stops }) by
+ *   service number, for any of the services used
+ * @returns {Object} - { direct, transfers }: itineraries ranked by stops
+ *   travelled, then distance. Each is { id, stops, distance, legs } where a
+ *   leg is { type: 'bus', service, direction, from, to, stops, distance, path }
+ *   or { type: 'walk', from, to, distance, path }; distances are metres along
+ *   the route polylines where `routes` has them, else along straight lines
+ *   between the stops (null when unknown), and paths are [lng, lat].
+ */
+export const planTrips = (serviceStops, stopsByCode, origin, destination, {
+  maxWalk = config.tripPlanner.maxWalk,
+  maxResults = config.tripPlanner.maxResults,
+  routes = {}
+} = {}) => {
+  if (!serviceStops || !origin || !destination || origin === destination) {
+    return { direct: [], transfers: [] };
+  }
+
+  const index = buildServiceIndex(serviceStops);
+
+  // Where the destination sits in each pattern that calls there
+  const destinationCalls = new Map();
+  callsAtStop(index, destination).forEach(call => {
+    const key = `${call.service}:${call.direction}`;
+    if (!destinationCalls.has(key)) destinationCalls.set(key, []);
+    destinationCalls.get(key).push(call.sequence);
+  });
+  const reachesDestination = (call) => {
+    const sequences = destinationCalls.get(`${call.service}:${call.direction}`);
+    return sequences ? firstAfter(sequences, call.sequence) : undefined;
+  };
+
+  // Patterns are only built (polylines decoded) for services in a result
+  const patterns = new Map();
+  const patternFor = (service, direction) => {
+    if (!patterns.has(service)) {
+      const route = routes[service] || { stops: serviceStops[service] };
+      patterns.set(service, buildRoutePatterns(service, route, stopsByCode));
+    }
+    return patterns.get(service).find(pattern => pattern.direction === direction);
+  };
+
+  const busLeg = (service, direction, fromSequence, toSequence) => {
+    const codes = serviceStops[service][direction - 1];
+    const pattern = patternFor(service, direction);
+    const at = (sequence) => pattern?.stops.find(stop => stop.properties.sequence === sequence);
+    const start = at(fromSequence)?.properties.distanceAlong;
+    const end = at(toSequence)?.properties.distanceAlong;
+    const known = start != null && end != null;
+    return {
+      type: 'bus',
+      service,
+      direction,
+      from: codes[fromSequence],
+      to: codes[toSequence],
+      stops: toSequence - fromSequence,
+      distance: known ? end - start : null,
+      path: known ? slicePath(pattern.feature.geometry.coordinates, start, end) : []
+    };
+  };
+
+  const walkLeg = (from, to, distance) => ({
+    type: 'walk',
+    from,
+    to,
+    distance,
+    path: [from, to].map(code => stopsByCode[code].geometry.coordinates)
+  });
+
+  const itinerary = (legs) => {
+    const distances = legs.map(leg => leg.distance);
+    return {
+      id: legs.map(leg => (leg.type === 'bus' ? `${leg.service}:${leg.direction}` : 'walk')).join('>'),
+      stops: legs.reduce((total, leg) => total + (leg.stops || 0), 0),
+      distance: distances.includes(null) ? null : distances.reduce((a, b) => a + b, 0),
+      legs
+    };
+  };
+
+  const originCalls = callsAtStop(index, origin);
+
+  // Direct: the service calls at the destination later in the same direction
+  const directKeys = new Set();
+  const direct = [];
+  originCalls.forEach(call => {
+    const toSequence = reachesDestination(call);
+    if (toSequence === undefined) return;
+    const key = `${call.service}:${call.direction}`;
+    if (directKeys.has(key)) return;
+    directKeys.add(key);
+    direct.push(itinerary([busLeg(call.service, call.direction, call.sequence, toSequence)]));
+  });
+
+  // One transfer: ride to any later stop, optionally walk to a nearby stop,
+  // then ride a second service to the destination. Only the fewest-stop
+  // (then shortest-walk) option is kept per pair of services.
+  const best = new Map();
+  originCalls.forEach(first => {
+    if (directKeys.has(`${first.service}:${first.direction}`)) return;
+    const codes = serviceStops[first.service][first.direction - 1];
+
+    for (let sequence = first.sequence + 1; sequence < codes.length; sequence++) {
+      const alight = codes[sequence];
+      const boardings = [{ code: alight, distance: 0 }, ...stopsWithinWalk(stopsByCode, alight, maxWalk)];
+
+      boardings.forEach(boarding => {
+        callsAtStop(index, boarding.code).forEach(second => {
+          if (second.service === first.service) return;
+          if (directKeys.has(`${second.service}:${second.direction}`)) return;
+          const toSequence = reachesDestination(second);
+          if (toSequence === undefined) return;
+
+          const candidate = {
+            stops: (sequence - first.sequence) + (toSequence - second.sequence),
+            walk: boarding.distance,
+            first,
+            alightSequence: sequence,
+            second,
+            toSequence
+          };
+          const key = `${first.service}:${first.direction}>${second.service}:${second.direction}`;
+          const current = best.get(key);
+          if (!current || candidate.stops < current.stops ||
+              (candidate.stops === current.stops && candidate.walk < current.walk)) {
+            best.set(key, candidate);
+          }
+        });
+      });
+    }
+  });
+
+  const transfers = Array.from(best.values())
+    .sort((a, b) => a.stops - b.stops || a.walk - b.walk)
+    .slice(0, maxResults * 3)
+    .map(candidate => {
+      const firstLeg = busLeg(candidate.first.service, candidate.first.direction, candidate.first.sequence, candidate.alightSequence);
+      const secondLeg = busLeg(candidate.second.service, candidate.second.direction, candidate.second.sequence, candidate.toSequence);
+      return itinerary(firstLeg.to === secondLeg.from
+        ? [firstLeg, secondLeg]
+        : [firstLeg, walkLeg(firstLeg.to, secondLeg.from, candidate.walk), secondLeg]);
+    });
+
+  return {
+    direct: direct.sort(compareItineraries).slice(0, maxResults),
+    transfers: transfers.sort(compareItineraries).slice(0, maxResults)
+  };
+};
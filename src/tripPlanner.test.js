@@ -0,0 +1,95 @@
+import { haversineDistance } from './geometry';
+import { planTrips, stopsWithinWalk } from './tripPlanner';
+
+const stop = (code, lng, lat) => ({
+  type: 'Feature',
+  properties: { code, name: `Stop ${code}` },
+  geometry: { type: 'Point', coordinates: [lng, lat] }
+});
+
+// One row of stops along latitude 1.3 and another about 450 m north of it
+const stopsByCode = Object.fromEntries([
+  stop('10001', 103.8, 1.3),
+  stop('10002', 103.802, 1.3),
+  stop('10003', 103.804, 1.3),
+  stop('10004', 103.806, 1.3),
+  stop('20001', 103.8, 1.302),
+  stop('20002', 103.8, 1.304),
+  stop('20003', 103.802, 1.304),
+  stop('20004', 103.8009, 1.304),
+  stop('20005', 103.804, 1.304)
+].map(feature => [feature.properties.code, feature]));
+
+const serviceStops = {
+  10: [['10001', '10002', '10003', '10004'], ['10004', '10003', '10002', '10001']],
+  20: [['10001', '20001', '20002']],
+  30: [['20002', '20003', '20005']],
+  // Starts about 100 m from the end of service 20
+  40: [['20004', '20005']]
+};
+
+// Straight-line distance between two stops
+const between = (from, to) => {
+  const [lng1, lat1] = stopsByCode[from].geometry.coordinates;
+  const [lng2, lat2] = stopsByCode[to].geometry.coordinates;
+  return haversineDistance(lat1, lng1, lat2, lng2);
+};
+
+describe('stopsWithinWalk', () => {
+  test('lists the other stops in reach, nearest first', () => {
+    expect(stopsWithinWalk(stopsByCode, '20002', 150)).toEqual([
+      { code: '20004', distance: between('20002', '20004') }
+    ]);
+
+    const nearby = stopsWithinWalk(stopsByCode, '20002', 250);
+    expect(nearby.map(({ code }) => code).sort()).toEqual(['20001', '20003', '20004']);
+    expect(nearby[0].code).toBe('20004');
+  });
+
+  test('knows nothing about unknown stops', () => {
+    expect(stopsWithinWalk(stopsByCode, '99999', 250)).toEqual([]);
+  });
+});
+
+describe('planTrips', () => {
+  test('finds direct services in the direction of travel', () => {
+    const { direct, transfers } = planTrips(serviceStops, stopsByCode, '10001', '10004');
+
+    expect(direct).toHaveLength(1);
+    expect(direct[0]).toMatchObject({ id: '10:1', stops: 3 });
+    expect(direct[0].legs).toEqual([expect.objectContaining({
+      type: 'bus', service: '10', direction: 1, from: '10001', to: '10004', stops: 3
+    })]);
+    expect(direct[0].distance).toBeCloseTo(between('10001', '10004'), -1);
+    expect(transfers).toEqual([]);
+
+    expect(planTrips(serviceStops, stopsByCode, '10004', '10001').direct[0].id).toBe('10:2');
+  });
+
+  test('changes buses at a shared stop or after a short walk, fewest stops first', () => {
+    const { direct, transfers } = planTrips(serviceStops, stopsByCode, '10001', '20005', { maxWalk: 150 });
+
+    expect(direct).toEqual([]);
+    expect(transfers.map(({ id, stops }) => [id, stops])).toEqual([
+      ['20:1>walk>40:1', 3],
+      ['20:1>30:1', 4]
+    ]);
+    expect(transfers[0].legs[1]).toMatchObject({
+      type: 'walk',
+      from: '20002',
+      to: '20004',
+      distance: between('20002', '20004')
+    });
+  });
+
+  test('walks no further than maxWalk', () => {
+    const { transfers } = planTrips(serviceStops, stopsByCode, '10001', '20005', { maxWalk: 50 });
+
+    expect(transfers.map(({ id }) => id)).toEqual(['20:1>30:1']);
+  });
+
+  test('plans nothing without data or between a stop and itself', () => {
+    expect(planTrips(null, stopsByCode, '10001', '10004')).toEqual({ direct: [], transfers: [] });
+    expect(planTrips(serviceStops, stopsByCode, '10001', '10001')).toEqual({ direct: [], transfers: [] });
+  });
+});
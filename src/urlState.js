@@ -0,0 +1,123 @@
+// The app's view in the page URL, so that it can be linked to, survives a
+// reload and follows back/forward. Query parameters:
+//   tab      one of TABS
+//   service  service number(s), comma-separated
+//   stop     bus stop code (tracker, reliability report)
+//   board    departure board stop codes, comma-separated
+//   bus      tracker bus as <service>.<n>: the nth bus of the service due
+//            at the stop, e.g. 36.2
+//   map      map view as <lat>,<lng>,<zoom>
+import { isInServiceArea } from './geometry';
+
+export const TABS = ['favourites', 'map', 'nearby', 'trip', 'tracker', 'route', 'board', 'report'];
+
+const SERVICE_PATTERN = /^[A-Za-z]{0,3}\d{1,4}[A-Za-z]{0,2}$/;
+const STOP_PATTERN = /^\d{5}$/;
+const MIN_ZOOM = 10;
+const MAX_ZOOM = 19;
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const isValidZoom = (zoom) => Number.isInteger(zoom) && zoom >= MIN_ZOOM && zoom <= MAX_ZOOM;
+
+/**
+ * Reads the app state from a query string. Invalid parameters are left out
+ * of `state` and explained in `errors`, so the rest of a link still works.
+ *
+ * @param {string} search - e.g. window.location.search
+ * @returns {Object} - { state: { tab, services, stop, boardStops, bus
+ *   ({ service, rank }), map ({ lat, lng, zoom }) }, with only the valid
+ *   parameters present, and errors: [message] }
+ */
+export const parseUrlState = (search) => {
+  const params = new URLSearchParams(search);
+  const state = {};
+  const errors = [];
+
+  const tab = params.get('tab');
+  if (tab != null) {
+    if (TABS.includes(tab)) state.tab = tab;
+    else errors.push(`There is no "${tab}" view`);
+  }
+
+  const service = params.get('service');
+  if (service != null) {
+    const services = splitList(service);
+    services.filter(entry => !SERVICE_PATTERN.test(entry))
+      .forEach(entry => errors.push(`"${entry}" is not a bus service number`));
+    const valid = services.filter(entry => SERVICE_PATTERN.test(entry));
+    if (valid.length > 0) state.services = Array.from(new Set(valid));
+  }
+
+  const stop = params.get('stop');
+  if (stop != null) {
+    if (STOP_PATTERN.test(stop.trim())) state.stop = stop.trim();
+    else errors.push(`"${stop}" is not a bus stop code; stop codes have five digits`);
+  }
+
+  const board = params.get('board');
+  if (board != null) {
+    const codes = splitList(board);
+    codes.filter(code => !STOP_PATTERN.test(code))
+      .forEach(code => errors.push(`"${code}" is not a bus stop code; stop codes have five digits`));
+    const valid = codes.filter(code => STOP_PATTERN.test(code));
+    if (valid.length > 0) state.boardStops = Array.from(new Set(valid));
+  }
+
+  const bus = params.get('bus');
+  if (bus != null) {
+    const match = /^(.+)\.(\d+)$/.exec(bus.trim());
+    if (match && SERVICE_PATTERN.test(match[1]) && Number(match[2]) >= 1) {
+      state.bus = { service: match[1], rank: Number(match[2]) };
+    } else {
+      errors.push(`"${bus}" does not pick a bus; use the service and the bus's place in line, e.g. 36.2`);
+    }
+  }
+
+  const map = params.get('map');
+  if (map != null) {
+    const [lat, lng, zoom] = map.split(',').map(Number);
+    if (!isInServiceArea(lat, lng)) {
+      errors.push('The map position in this link is not in Singapore');
+    } else if (!isValidZoom(zoom)) {
+      errors.push(`The map zoom must be a whole number from ${MIN_ZOOM} to ${MAX_ZOOM}`);
+    } else {
+      state.map = { lat, lng, zoom };
+    }
+  }
+
+  return { state, errors };
+};
+
+/**
+ * The map view as a link can hold it: zoom rounded into the range
+ * parseUrlState() accepts, or null for a view outside the service area
+ * @param {Object} map - { lat, lng, zoom }
+ * @returns {Object|null} - { lat, lng, zoom }
+ */
+const linkableView = ({ lat, lng, zoom }) => {
+  if (!isInServiceArea(lat, lng)) return null;
+  return { lat, lng, zoom: Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, Math.round(zoom))) };
+};
+
+/**
+ * Writes app state as a query string; the inverse of parseUrlState(), so
+ * only what it accepts is written
+ * @param {Object} state - Same shape as parseUrlState()'s; empty values are
+ *   left out
+ * @returns {string} - '?tab=...' or '' when there is nothing to write
+ */
+export const buildUrlSearch = ({ tab, services, stop, boardStops, bus, map }) => {
+  const params = new URLSearchParams();
+  if (tab) params.set('tab', tab);
+  if (services?.length) params.set('service', services.join(','));
+  if (stop) params.set('stop', stop);
+  if (boardStops?.length) params.set('board', boardStops.join(','));
+  if (bus) params.set('bus', `${bus.service}.${bus.rank}`);
+  const view = map && linkableView(map);
+  if (view) params.set('map', `${view.lat.toFixed(5)},${view.lng.toFixed(5)},${view.zoom}`);
+
+  // Commas are safe in a query string and easier to read unescaped
+  const search = params.toString().replace(/%2C/g, ',');
+  return search ? `?${search}` : '';
+};
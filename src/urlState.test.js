@@ -0,0 +1,70 @@
+import { buildUrlSearch, parseUrlState } from './urlState';
+
+describe('parseUrlState', () => {
+  test('reads every parameter', () => {
+    const { state, errors } = parseUrlState('?tab=tracker&service=36,36A&stop=65011&board=65011,65009&bus=36.2&map=1.3,103.8,15');
+
+    expect(errors).toEqual([]);
+    expect(state).toEqual({
+      tab: 'tracker',
+      services: ['36', '36A'],
+      stop: '65011',
+      boardStops: ['65011', '65009'],
+      bus: { service: '36', rank: 2 },
+      map: { lat: 1.3, lng: 103.8, zoom: 15 }
+    });
+  });
+
+  test('keeps the valid parts of a link and explains the rest', () => {
+    const { state, errors } = parseUrlState('?tab=nope&service=36,xx!&stop=6501&bus=36&map=1.3,103.8,15');
+
+    expect(state).toEqual({ services: ['36'], map: { lat: 1.3, lng: 103.8, zoom: 15 } });
+    expect(errors).toEqual([
+      'There is no "nope" view',
+      '"xx!" is not a bus service number',
+      '"6501" is not a bus stop code; stop codes have five digits',
+      '"36" does not pick a bus; use the service and the bus\'s place in line, e.g. 36.2'
+    ]);
+  });
+
+  test('rejects map views outside Singapore or the zoom range', () => {
+    expect(parseUrlState('?map=51.5,-0.1,12').errors).toEqual(['The map position in this link is not in Singapore']);
+    expect(parseUrlState('?map=1.3,103.8,9').errors).toEqual(['The map zoom must be a whole number from 10 to 19']);
+    expect(parseUrlState('?map=1.3,103.8,12.5').state.map).toBeUndefined();
+  });
+
+  test('drops duplicate services and stops', () => {
+    expect(parseUrlState('?service=36,36&board=65011,65011').state).toEqual({
+      services: ['36'],
+      boardStops: ['65011']
+    });
+  });
+});
+
+describe('buildUrlSearch', () => {
+  test('writes only the values given, with readable commas', () => {
+    expect(buildUrlSearch({ tab: 'board', boardStops: ['65011', '65009'] })).toBe('?tab=board&board=65011,65009');
+    expect(buildUrlSearch({ services: [], stop: null })).toBe('');
+  });
+
+  test('round-trips through parseUrlState', () => {
+    const state = {
+      tab: 'tracker',
+      services: ['36', '36A'],
+      stop: '65011',
+      bus: { service: '36A', rank: 1 },
+      map: { lat: 1.30521, lng: 103.82091, zoom: 16 }
+    };
+
+    expect(parseUrlState(buildUrlSearch(state))).toEqual({ state, errors: [] });
+  });
+
+  test('only writes map views that a link can be opened with', () => {
+    const zoomedOut = buildUrlSearch({ tab: 'map', map: { lat: 1.35, lng: 103.8, zoom: 9 } });
+    expect(zoomedOut).toBe('?tab=map&map=1.35000,103.80000,10');
+    expect(parseUrlState(zoomedOut).errors).toEqual([]);
+
+    expect(buildUrlSearch({ tab: 'map', map: { lat: 1.35, lng: 103.8, zoom: 15.4 } })).toBe('?tab=map&map=1.35000,103.80000,15');
+    expect(buildUrlSearch({ tab: 'map', map: { lat: 3.1, lng: 101.7, zoom: 12 } })).toBe('?tab=map');
+  });
+});
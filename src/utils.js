@@ -1,72 +1,175 @@
 // Utility functions for coordinate validation and data processing
+import { isInServiceArea } from './geometry';
 
 /**
- * Validates if coordinates are valid (not NaN, not 0, and are numbers)
- * @param {number} lat - Latitude
- * @param {number} lng - Longitude
- * @returns {boolean} - True if coordinates are valid
+ * Validates bus stop data from API response
+ * @param {Array} stopData - Bus stop data array from API
+ * @returns {boolean} - True if stop data is valid
  */
-export const isValidCoordinate = (lat, lng) => {
-  return lat != null && lng != null && 
-         !isNaN(lat) && !isNaN(lng) && 
-         lat !== 0 && lng !== 0 &&
-         typeof lat === 'number' && typeof lng === 'number';
+export const isValidStopData = (stopData) => {
+  return stopData && 
+         Array.isArray(stopData) && 
+         stopData.length >= 4 && 
+         isInServiceArea(stopData[1], stopData[0]); // [lng, lat, name, road]
 };
 
 /**
- * Filters an array of coordinates to only include valid ones
- * @param {Array} coordinates - Array of coordinate pairs
- * @returns {Array} - Filtered array with only valid coordinates
+ * Validates bus data from API response
+ * @param {Object} bus - Bus data object from API
+ * @returns {boolean} - True if bus data is valid
  */
-export const filterValidCoordinates = (coordinates) => {
-  return coordinates.filter(coord => 
-    coord && 
-    Array.isArray(coord) && 
-    coord.length >= 2 && 
-    isValidCoordinate(coord[0], coord[1])
-  );
+export const isValidBusData = (bus) => {
+  return bus && 
+         isInServiceArea(bus.latitude, bus.longitude);
 };
 
 /**
- * Calculates bounds from an array of coordinates with validation
- * @param {Array} coordinates - Array of coordinate pairs
- * @param {Array} defaultBounds - Default bounds to use if no valid coordinates
- * @returns {Array} - Bounds array [[minLat, minLng], [maxLat, maxLng]]
+ * Describes a bus's passenger load
+ * @param {number} load - 0 seats available, 1 standing, 2 limited standing
+ * @returns {string} - Label for the load
  */
-export const calculateBounds = (coordinates, defaultBounds = [[1.2, 103.6], [1.5, 104.0]]) => {
-  const validCoords = filterValidCoordinates(coordinates);
-  
-  if (validCoords.length === 0) {
-    return defaultBounds;
-  }
-  
-  const lats = validCoords.map(coord => coord[1]);
-  const lngs = validCoords.map(coord => coord[0]);
-  
+export const getLoadText = (load) => {
+  const loads = ['Seats Available', 'Standing Available', 'Limited Standing'];
+  return loads[load] || 'Unknown';
+};
+
+/**
+ * Colour for a bus's passenger load: green, orange, red, or grey if unknown
+ * @param {number} load - 0 seats available, 1 standing, 2 limited standing
+ * @returns {string} - CSS colour
+ */
+export const getLoadColor = (load) => {
+  const colors = ['#4caf50', '#ff9800', '#f44336'];
+  return colors[load] || '#9e9e9e';
+};
+
+/**
+ * When a bus is predicted to arrive: its estimated arrival, or failing
+ * that the API's minutesAway counted from `now`
+ * @param {Object} bus - Bus from an arrivals response
+ * @param {number} [now] - Epoch ms
+ * @returns {number} - Epoch ms
+ */
+export const predictedArrival = (bus, now = Date.now()) => {
+  const eta = Date.parse(bus.estimatedArrival);
+  return Number.isNaN(eta) ? now + bus.minutesAway * 60000 : eta;
+};
+
+/**
+ * Minutes until a bus arrives, counted down from its estimated arrival so
+ * that it stays right between polls; falls back to the API's minutesAway
+ * @param {Object} bus - Bus from an arrivals response
+ * @param {number} [now] - Epoch ms
+ * @returns {number} - Whole minutes, 0 when arriving
+ */
+export const minutesUntil = (bus, now = Date.now()) => {
+  const eta = Date.parse(bus.estimatedArrival);
+  return Number.isNaN(eta) ? bus.minutesAway : Math.max(0, Math.floor((eta - now) / 60000));
+};
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values
+ * @returns {number|null} - null for an empty list
+ */
+export const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Identifies a square grid tile. Tiles are `size` degrees wide and indexed
+ * from (0, 0) at lng 0, lat 0, so the same area always maps to the same tile.
+ * @param {Object} tile - { x, y, size }
+ * @returns {string} - Stable tile id
+ */
+export const tileId = (tile) => `${tile.size}:${tile.x}:${tile.y}`;
+
+/**
+ * Returns the bounding box of a grid tile
+ * @param {Object} tile - { x, y, size }
+ * @returns {Array} - [minLng, minLat, maxLng, maxLat], rounded to 5 decimals
+ */
+export const tileBbox = (tile) => {
+  const round = (value) => Number(value.toFixed(5));
   return [
-    [Math.min(...lats), Math.min(...lngs)],
-    [Math.max(...lats), Math.max(...lngs)]
+    round(tile.x * tile.size),
+    round(tile.y * tile.size),
+    round((tile.x + 1) * tile.size),
+    round((tile.y + 1) * tile.size)
   ];
 };
 
 /**
- * Validates bus stop data from API response
- * @param {Array} stopData - Bus stop data array from API
- * @returns {boolean} - True if stop data is valid
+ * Lists the grid tiles covering a map viewport
+ * @param {Array} bounds - [[south, west], [north, east]]
+ * @param {number} size - Tile size in degrees
+ * @returns {Array} - Tiles ({ x, y, size })
  */
-export const isValidStopData = (stopData) => {
-  return stopData && 
-         Array.isArray(stopData) && 
-         stopData.length >= 4 && 
-         isValidCoordinate(stopData[0], stopData[1]);
+export const tilesForBounds = (bounds, size) => {
+  const [[south, west], [north, east]] = bounds;
+  const tiles = [];
+  for (let x = Math.floor(west / size); x <= Math.floor(east / size); x++) {
+    for (let y = Math.floor(south / size); y <= Math.floor(north / size); y++) {
+      tiles.push({ x, y, size });
+    }
+  }
+  return tiles;
 };
 
 /**
- * Validates bus data from API response
- * @param {Object} bus - Bus data object from API
- * @returns {boolean} - True if bus data is valid
+ * Lists the grid tiles a path passes through
+ * @param {Array} coordinates - Path as [lng, lat] positions
+ * @param {number} size - Tile size in degrees
+ * @param {number} [margin] - Degrees either side of the path also covered
+ * @returns {Array} - Tiles ({ x, y, size }), each once
  */
-export const isValidBusData = (bus) => {
-  return bus && 
-         isValidCoordinate(bus.latitude, bus.longitude);
-}; 
\ No newline at end of file
+export const tilesAlongPath = (coordinates, size, margin = 0) => {
+  const tiles = new Map();
+  coordinates.forEach(([lng, lat], i) => {
+    // Each segment adds the tiles of its bounding box
+    const [nextLng, nextLat] = coordinates[Math.min(i + 1, coordinates.length - 1)];
+    const bounds = [
+      [Math.min(lat, nextLat) - margin, Math.min(lng, nextLng) - margin],
+      [Math.max(lat, nextLat) + margin, Math.max(lng, nextLng) + margin]
+    ];
+    tilesForBounds(bounds, size).forEach(tile => tiles.set(tileId(tile), tile));
+  });
+  return Array.from(tiles.values());
+};
+
+/**
+ * Splits a grid tile into its four quadrants
+ * @param {Object} tile - { x, y, size }
+ * @returns {Array} - Four tiles of half the size
+ */
+export const splitTile = (tile) => {
+  const size = tile.size / 2;
+  return [0, 1].flatMap(dx => [0, 1].map(dy => ({
+    x: tile.x * 2 + dx,
+    y: tile.y * 2 + dy,
+    size
+  })));
+};
+
+/**
+ * Wraps a function so that calls with the same arguments return the same
+ * result, e.g. so that map markers keep their icon between renders.
+ * Arguments are compared as strings, so keep them primitive.
+ * @param {Function} fn - Function to wrap
+ * @param {number} [maxSize] - Results kept; the oldest is dropped beyond this
+ * @returns {Function} - Memoized function
+ */
+export const memoize = (fn, maxSize = 500) => {
+  const results = new Map();
+  return (...args) => {
+    const key = args.join('|');
+    if (results.has(key)) return results.get(key);
+    const result = fn(...args);
+    results.set(key, result);
+    if (results.size > maxSize) results.delete(results.keys().next().value);
+    return result;
+  };
+};
@@ -0,0 +1,75 @@
+import { splitTile, tileBbox, tileId, tilesAlongPath, tilesForBounds } from './utils';
+
+// Smallest box enclosing a set of tiles
+const unionBbox = (tiles) => {
+  const boxes = tiles.map(tileBbox);
+  return [
+    Math.min(...boxes.map(box => box[0])),
+    Math.min(...boxes.map(box => box[1])),
+    Math.max(...boxes.map(box => box[2])),
+    Math.max(...boxes.map(box => box[3]))
+  ];
+};
+
+describe('grid tiles', () => {
+  test('tileId tells tiles of different sizes apart', () => {
+    expect(tileId({ x: 1, y: 2, size: 0.5 })).toBe('0.5:1:2');
+    expect(tileId({ x: 1, y: 2, size: 0.25 })).not.toBe(tileId({ x: 1, y: 2, size: 0.5 }));
+  });
+
+  test('tileBbox rounds away floating point noise', () => {
+    expect(tileBbox({ x: 10380, y: 130, size: 0.01 })).toEqual([103.8, 1.3, 103.81, 1.31]);
+  });
+
+  test('tilesForBounds covers a viewport across tile edges', () => {
+    const tiles = tilesForBounds([[1.295, 103.805], [1.305, 103.815]], 0.01);
+
+    expect(tiles.map(tileId)).toEqual(['0.01:10380:129', '0.01:10380:130', '0.01:10381:129', '0.01:10381:130']);
+    expect(unionBbox(tiles)).toEqual([103.8, 1.29, 103.82, 1.31]);
+  });
+
+  test('tilesForBounds puts an edge in the tile that starts there', () => {
+    expect(tilesForBounds([[1, 103.5], [1.2, 103.9]], 0.5)).toEqual([{ x: 207, y: 2, size: 0.5 }]);
+    expect(tilesForBounds([[1, 103.5], [1.2, 104]], 0.5)).toHaveLength(2);
+  });
+
+  test('tilesForBounds rounds negative coordinates down', () => {
+    const tiles = tilesForBounds([[-0.3, -0.7], [0.2, -0.2]], 0.5);
+
+    expect(tiles).toEqual([
+      { x: -2, y: -1, size: 0.5 },
+      { x: -2, y: 0, size: 0.5 },
+      { x: -1, y: -1, size: 0.5 },
+      { x: -1, y: 0, size: 0.5 }
+    ]);
+    expect(tileBbox(tiles[0])).toEqual([-1, -0.5, -0.5, 0]);
+  });
+
+  test('tilesAlongPath covers the tiles a path crosses, and those within the margin', () => {
+    const path = [[103.805, 1.305], [103.825, 1.305], [103.825, 1.315]];
+
+    expect(tilesAlongPath(path, 0.01).map(tileId)).toEqual([
+      '0.01:10380:130', '0.01:10381:130', '0.01:10382:130', '0.01:10382:131'
+    ]);
+
+    // A path running just inside a tile's corner reaches the neighbours
+    const nearCorner = [[103.8095, 1.305], [103.8095, 1.3095]];
+    expect(tilesAlongPath(nearCorner, 0.01)).toHaveLength(1);
+    expect(tilesAlongPath(nearCorner, 0.01, 0.001).map(tileId)).toEqual([
+      '0.01:10380:130', '0.01:10380:131', '0.01:10381:130', '0.01:10381:131'
+    ]);
+    expect(tilesAlongPath([], 0.01)).toEqual([]);
+  });
+
+  test.each([
+    [{ x: 1, y: 2, size: 0.5 }],
+    [{ x: -1, y: -1, size: 0.5 }]
+  ])('splitTile divides %o into its four quadrants', (tile) => {
+    const quadrants = splitTile(tile);
+
+    expect(quadrants).toHaveLength(4);
+    expect(quadrants.every(quadrant => quadrant.size === tile.size / 2)).toBe(true);
+    expect(new Set(quadrants.map(tileId)).size).toBe(4);
+    expect(unionBbox(quadrants)).toEqual(tileBbox(tile));
+  });
+});
@@ -0,0 +1,37 @@
+// Telling buses apart across polls. Arrivals carry no vehicle id, so a bus
+// is taken to be the one from the previous poll closest to it, within the
+// distance it could have driven in the meantime.
+import { haversineDistance } from './geometry';
+
+/**
+ * Gives each bus of a poll the id of the matching bus from the previous
+ * poll, pairing the closest buses first. Buses with no match within
+ * `maxDistance` get a new id.
+ *
+ * @param {Array} previous - Buses of the previous poll, with `id`,
+ *   `latitude` and `longitude`
+ * @param {Array} buses - Buses of this poll, with `latitude` and `longitude`
+ * @param {Object} options
+ * @param {number} options.maxDistance - Furthest a bus can have moved, in metres
+ * @param {Function} options.createId - Returns a new unique id
+ * @returns {Array} - One id per bus, in the order of `buses`
+ */
+export const matchVehicles = (previous, buses, { maxDistance, createId }) => {
+  const pairs = [];
+  buses.forEach((bus, index) => {
+    previous.forEach(vehicle => {
+      const distance = haversineDistance(vehicle.latitude, vehicle.longitude, bus.latitude, bus.longitude);
+      if (distance <= maxDistance) pairs.push({ index, id: vehicle.id, distance });
+    });
+  });
+  pairs.sort((a, b) => a.distance - b.distance);
+
+  const ids = new Array(buses.length).fill(null);
+  const taken = new Set();
+  pairs.forEach(({ index, id }) => {
+    if (ids[index] != null || taken.has(id)) return;
+    ids[index] = id;
+    taken.add(id);
+  });
+  return ids.map(id => id ?? createId());
+};
@@ -0,0 +1,40 @@
+import { haversineDistance } from './geometry';
+import { matchVehicles } from './vehicles';
+
+// Degrees of longitude per metre along latitude 1.3
+const DEGREES_PER_METRE = 0.01 / haversineDistance(1.3, 103.8, 1.3, 103.81);
+
+// A bus `metres` east of 103.8, 1.3
+const at = (metres, id) => ({ id, latitude: 1.3, longitude: 103.8 + metres * DEGREES_PER_METRE });
+
+const counter = () => {
+  let count = 0;
+  return jest.fn(() => `new-${++count}`);
+};
+
+describe('matchVehicles', () => {
+  test('pairs the closest buses first', () => {
+    // The first bus is nearest to a, but the second is nearer still
+    const ids = matchVehicles([at(0, 'a'), at(200, 'b')], [at(50), at(10)], { maxDistance: 300, createId: counter() });
+
+    expect(ids).toEqual(['b', 'a']);
+  });
+
+  test('never gives one id to two buses', () => {
+    const createId = counter();
+    const ids = matchVehicles([at(0, 'a')], [at(20), at(10)], { maxDistance: 300, createId });
+
+    expect(ids).toEqual(['new-1', 'a']);
+    expect(createId).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives buses further than maxDistance a new id', () => {
+    const ids = matchVehicles([at(0, 'a')], [at(500)], { maxDistance: 300, createId: counter() });
+
+    expect(ids).toEqual(['new-1']);
+  });
+
+  test('starts every bus afresh on the first poll', () => {
+    expect(matchVehicles([], [at(0), at(100)], { maxDistance: 300, createId: counter() })).toEqual(['new-1', 'new-2']);
+  });
+});